@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Lint a platform catalog (see services/catalog-lint.js)
+ *
+ *   npm run lint:catalog                        config/platforms.json
+ *   npm run lint:catalog -- path/to/platforms.json [--json]
+ *
+ * Seats are checked against config/clients.json (or CLIENTS_CONFIG).
+ * Exits with 1 when the catalog has errors - the server would refuse it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lintCatalog } = require('../services/catalog-lint');
+const ClientRegistry = require('../services/client-registry');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../config/platforms.json');
+
+let config;
+try {
+  config = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+  console.error(`Cannot read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const clients = ClientRegistry.load(process.env.CLIENTS_CONFIG || undefined).list().map(client => client.id);
+const lint = lintCatalog(config.platforms, { clients });
+
+if (json) {
+  console.log(JSON.stringify(lint, null, 2));
+} else {
+  for (const { code, message } of lint.errors) {
+    console.log(`✗ ${code}: ${message}`);
+  }
+  for (const { code, message } of lint.warnings) {
+    console.log(`⚠️ ${code}: ${message}`);
+  }
+  console.log(`\n${file}: ${lint.errors.length} errors, ${lint.warnings.length} warnings`);
+}
+
+process.exit(lint.valid ? 0 : 1);
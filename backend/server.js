@@ -13,19 +13,48 @@ const PORT = process.env.PORT || 3000;
 // Services
 const AIAgent = require('./services/ai-agent');
 const PlatformMatcher = require('./services/platform-matcher');
-
-// Storage: Use in-memory storage (Vercel-compatible)
-// Data resets when function restarts, but perfect for testing!
-const InMemoryStorage = require('./services/inmemory-storage');
-const storageService = new InMemoryStorage();
-const historyService = storageService; // In-memory storage handles both
-console.log('💾 Using in-memory storage (Vercel-compatible)');
+const TicketWorkflow = require('./services/ticket-workflow');
+const TicketAssigner = require('./services/ticket-assigner');
+const SystemPrompt = require('./services/system-prompt');
+const ClientRegistry = require('./services/client-registry');
+const { AliasLearner, learnerOptionsFromEnv } = require('./services/alias-learner');
+const { parseTicketQuery } = require('./services/ticket-query');
+const SerialQueue = require('./services/serial-queue');
+const { lintCatalog } = require('./services/catalog-lint');
+const { parseHistoryQuery, toChangeTimeline, hasRetention, retentionFromEnv } = require('./services/history-query');
+const { parseMentions, parseAttachments, buildComment, buildThreads, MAX_BODY_LENGTH } = require('./services/ticket-comments');
+const { ConversationStore, conversationPolicyFromEnv } = require('./services/conversation-store');
+const { MAX_BATCH_SIZE, detailsOf } = require('./services/extraction-schema');
+const { checkTicket, specsOf } = require('./services/platform-specs');
+const { PRIORITY_LEVELS, parsePriority, calculateSLADeadline } = require('./services/storage-helpers');
+
+// Storage: driver chosen from STORAGE_DRIVER / DATABASE_URL (see storage-factory.js).
+// Defaults to in-memory storage (Vercel-compatible, resets on restart)
+const { createStorage } = require('./services/storage-factory');
+const { driver: storageDriver, storage: storageService } = createStorage();
+const historyService = storageService; // Every driver handles tickets and history
+console.log(`💾 Using ${storageDriver} storage`);
 
 // Initialize services
-const aiAgent = new AIAgent();
+const conversationStore = new ConversationStore(storageService, conversationPolicyFromEnv(process.env));
 const platformMatcher = new PlatformMatcher();
+const workflow = TicketWorkflow.load(process.env.WORKFLOW_CONFIG || undefined);
+const assigner = TicketAssigner.load(process.env.ASSIGNMENT_CONFIG || undefined);
+const clientRegistry = ClientRegistry.load(process.env.CLIENTS_CONFIG || undefined);
+const aliasLearner = new AliasLearner(learnerOptionsFromEnv(process.env));
+// The chat prompt lists the live catalog, so chat recognizes the same platforms ticket validation accepts
+const aiAgent = new AIAgent({
+  conversations: conversationStore,
+  systemPrompt: SystemPrompt.load(process.env.PROMPT_CONFIG || undefined),
+  catalog: () => ({ platforms: platformMatcher.getAllPlatforms(), clients: clientRegistry.names() }),
+  resolvePlatform: name => platformMatcher.matchPlatform(name)?.name || name,
+  resolveClient: name => clientRegistry.matchClient(name)?.name || name,
+  platformOf: name => platformMatcher.matchPlatform(name)
+});
 
 // Middleware
+// Comments carry base64 attachments (up to 5 x 5 MB), so they get a larger body limit
+app.use('/api/tickets/:ticketId/comments', express.json({ limit: '35mb' }));
 app.use(express.json());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
@@ -79,122 +108,1444 @@ const authenticateAPI = (req, res, next) => {
   if (!apiKey || apiKey !== process.env.API_SECRET_KEY) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
-  next();
-};
+  next();
+};
+
+// Refuse (501) edits the storage driver does not store: kept in memory only,
+// they would be lost on the next restart (see InMemoryStorage.stores)
+const STORED_DATA = { catalogs: 'Catalog edits', comments: 'Comments' };
+const requireStorage = data => (req, res, next) => {
+  if (storageService.stores(data)) {
+    return next();
+  }
+  res.status(501).json({
+    success: false,
+    error: `${STORED_DATA[data]} cannot be saved with ${storageDriver} storage`
+  });
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+// Health check
+app.get('/api/health', async (req, res) => {
+  try {
+    const stats = await storageService.getStorageStats();
+    
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'production',
+      storage: storageDriver,
+      ai: aiAgent.describeProvider(),
+      services: {
+        ai: !!aiAgent.provider,
+        storage: true,
+        platforms: platformMatcher.getPlatformCount()
+      },
+      stats: {
+        tickets: stats.ticketCount,
+        history: stats.historyCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// PLATFORMS
+// ============================================
+
+// Get platform list (includeInactive=true for the whole catalog)
+app.get('/api/platforms', authenticateAPI, async (req, res) => {
+  try {
+    const platforms = platformMatcher.getAllPlatforms(req.query.includeInactive !== 'true');
+    res.json({
+      success: true,
+      platforms: platforms,
+      count: platforms.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The client ids platform seats are linted against
+function clientIds() {
+  return clientRegistry.list().map(client => client.id);
+}
+
+// Lint the live platform catalog (see services/catalog-lint.js)
+app.get('/api/platforms/lint', authenticateAPI, (req, res) => {
+  const lint = lintCatalog(platformMatcher.catalog, { clients: clientIds() });
+  res.json({
+    success: true,
+    ...lint
+  });
+});
+
+// The platforms a name could be, best first, with why each one matched
+app.get('/api/platforms/match', authenticateAPI, (req, res) => {
+  if (!req.query.name) {
+    return res.status(400).json({ success: false, error: 'name is required' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
+  const candidates = platformMatcher.rankPlatforms(req.query.name, limit).map(candidate => ({
+    id: candidate.platform.id,
+    name: candidate.platform.name,
+    priority: candidate.platform.priority,
+    score: candidate.score,
+    matched: candidate.matched,
+    kind: candidate.kind,
+    reasons: candidate.reasons
+  }));
+  const platform = platformMatcher.matchPlatform(req.query.name);
+  res.json({
+    success: true,
+    platform: platform ? { id: platform.id, name: platform.name } : null,
+    candidates
+  });
+});
+
+/**
+ * Look up the platform a catalog route refers to (active or not)
+ * Sends a 404 and returns null if it does not exist
+ */
+function findCatalogPlatform(req, res) {
+  const platform = platformMatcher.getCatalogPlatform(req.params.platformId);
+  if (!platform) {
+    res.status(404).json({ success: false, error: 'Platform not found' });
+  }
+  return platform;
+}
+
+/**
+ * Save an edited platform catalog and start matching with it
+ * Sends a 400 with the problems (and returns false) if the edit is invalid
+ */
+async function savePlatforms(plan, res) {
+  if (plan.errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid platform',
+      errors: plan.errors
+    });
+    return false;
+  }
+
+  // The whole catalog must pass the lint the server starts with, not just the edited platform
+  const lint = lintCatalog(plan.platforms, { clients: clientIds() });
+  if (!lint.valid) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid platform catalog',
+      errors: lint.errors.map(error => error.message)
+    });
+    return false;
+  }
+
+  await storageService.saveCatalog('platforms', plan.platforms);
+  platformMatcher.setCatalog(plan.platforms);
+  return true;
+}
+
+/**
+ * Handler for a catalog edit: `plan(req, current)` returns the edited catalog,
+ * which is saved and logged as `action`
+ */
+function editPlatforms(action, plan) {
+  return async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const current = req.params.platformId ? findCatalogPlatform(req, res) : null;
+      if (req.params.platformId && !current) return;
+
+      const edit = plan(req, current);
+      if (!await savePlatforms(edit, res)) return;
+
+      await historyService.logAction(req.requestId, null, req.body.userId || 'anonymous', action, {
+        ...(current ? { previous: current } : {}),
+        ...(edit.merged ? { merged: edit.merged.id } : {}),
+        platform: edit.platform
+      });
+
+      res.status(current ? 200 : 201).json({
+        success: true,
+        platform: edit.platform
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Validators for a platform's specs (see services/platform-specs.js) - the
+ * matcher checks their contents; `nullable` lets an update clear them
+ */
+function specValidators({ nullable = false } = {}) {
+  return [
+    body('tagTypes').optional({ nullable }).isArray({ min: 1 }),
+    body('requiredFields').optional({ nullable }).isArray(),
+    body('macros').optional({ nullable }).isObject(),
+    body('adServers').optional({ nullable }).isArray(),
+    body('docs').optional({ nullable }).isArray()
+  ];
+}
+
+// Add a platform
+app.post('/api/platforms',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  body('id').isString().trim().isLength({ min: 1, max: 100 }),
+  body('name').isString().trim().isLength({ min: 1, max: 200 }),
+  body('aliases').optional().isArray(),
+  body('seats').optional().isArray(),
+  body('priority').optional().isInt({ min: 1 }).toInt(),
+  ...specValidators(),
+  editPlatforms('platform_created', req => platformMatcher.planCreate(req.body))
+);
+
+// Rename, (de)activate or reprioritize a platform, or replace its aliases or seats
+app.patch('/api/platforms/:platformId',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('aliases').optional().isArray(),
+  body('seats').optional().isArray(),
+  body('active').optional().isBoolean({ strict: true }),
+  body('priority').optional().isInt({ min: 1 }).toInt(),
+  ...specValidators({ nullable: true }),
+  editPlatforms('platform_updated', (req, current) => platformMatcher.planUpdate(current.id, req.body))
+);
+
+// Add an alias to a platform
+app.post('/api/platforms/:platformId/aliases',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  body('alias').isString().trim().isLength({ min: 1, max: 200 }),
+  editPlatforms('platform_alias_added', (req, current) => platformMatcher.planAddAlias(current.id, req.body.alias))
+);
+
+// Remove an alias from a platform
+app.delete('/api/platforms/:platformId/aliases/:alias',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  editPlatforms('platform_alias_removed', (req, current) => platformMatcher.planRemoveAlias(current.id, req.params.alias))
+);
+
+// Merge a platform into another (`into`): its name, aliases and seats move over
+// and it is removed - existing tickets keep their platformId
+app.post('/api/platforms/:platformId/merge',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  body('into').isString().trim().isLength({ min: 1 }),
+  editPlatforms('platform_merged', (req, current) => platformMatcher.planMerge(current.id, req.body.into))
+);
+
+// Aliases learned from users' corrections (`status=proposed` for those
+// awaiting approval) - see services/alias-learner.js
+app.get('/api/platforms/learned-aliases', authenticateAPI, (req, res) => {
+  const status = AliasLearner.STATUSES.includes(req.query.status) ? req.query.status : null;
+  const learned = aliasLearner.list(status).map(entry => ({
+    ...entry,
+    platform: platformMatcher.getCatalogPlatform(entry.platformId)?.name || null
+  }));
+  res.json({
+    success: true,
+    learned,
+    count: learned.length,
+    threshold: aliasLearner.threshold
+  });
+});
+
+// Approve a learned alias - it is added to its platform's aliases
+app.post('/api/platforms/learned-aliases/:learnedId/approve', authenticateAPI, requireStorage('catalogs'), async (req, res) => {
+  try {
+    await updateLearnedAliases(async () => {
+      const learned = aliasLearner.get(req.params.learnedId);
+      if (!learned) {
+        return res.status(404).json({ success: false, error: 'Learned alias not found' });
+      }
+
+      const decision = aliasLearner.planDecide(learned.id, 'approved', req.body.userId);
+      if (decision.errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid decision', errors: decision.errors });
+      }
+      if (!platformMatcher.getCatalogPlatform(learned.platformId)) {
+        return res.status(400).json({ success: false, error: `Platform ${learned.platformId} no longer exists` });
+      }
+
+      const edit = platformMatcher.planAddAlias(learned.platformId, learned.input);
+      if (!await savePlatforms(edit, res)) return;
+      await saveLearnedAliases(decision.entries);
+
+      await historyService.logAction(req.requestId, null, req.body.userId || 'anonymous', 'platform_alias_added', {
+        learned: learned.id,
+        platform: edit.platform
+      });
+
+      res.json({
+        success: true,
+        learned: decision.entry,
+        platform: edit.platform
+      });
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Reject a learned alias - the correction is no longer counted
+app.post('/api/platforms/learned-aliases/:learnedId/reject', authenticateAPI, requireStorage('catalogs'), async (req, res) => {
+  try {
+    await updateLearnedAliases(async () => {
+      if (!aliasLearner.get(req.params.learnedId)) {
+        return res.status(404).json({ success: false, error: 'Learned alias not found' });
+      }
+
+      const decision = aliasLearner.planDecide(req.params.learnedId, 'rejected', req.body.userId);
+      if (decision.errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid decision', errors: decision.errors });
+      }
+
+      await saveLearnedAliases(decision.entries);
+      await historyService.logAction(req.requestId, null, req.body.userId || 'anonymous', 'learned_alias_rejected', {
+        learned: decision.entry
+      });
+
+      res.json({
+        success: true,
+        learned: decision.entry
+      });
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Learned-alias updates are planned from the current entries, so they run one
+// at a time - otherwise two at once would each save over the other's change
+let learnedAliasUpdates = Promise.resolve();
+
+function updateLearnedAliases(update) {
+  const run = learnedAliasUpdates.then(update);
+  // Keep the queue going after a failed update
+  learnedAliasUpdates = run.catch(() => {});
+  return run;
+}
+
+async function saveLearnedAliases(entries) {
+  await storageService.saveCatalog('learned_aliases', entries);
+  aliasLearner.setEntries(entries);
+}
+
+/**
+ * Count a correction: the user picked `platformId` from the suggestions for a
+ * platform name the matcher did not know. Proposes it as an alias once it has
+ * been confirmed often enough (see services/alias-learner.js)
+ */
+async function learnPlatformCorrection(input, platformId, userId, req) {
+  // Nothing to learn into when the storage driver does not keep catalogs
+  if (!storageService.stores('catalogs')) return;
+  if (!input || !platformId || platformMatcher.resolvePlatform(input)) return;
+  if (!platformMatcher.suggestPlatforms(input).some(suggestion => suggestion.id === platformId)) return;
+
+  const plan = await updateLearnedAliases(async () => {
+    const record = aliasLearner.planRecord(input, platformId);
+    if (record.entry) await saveLearnedAliases(record.entries);
+    return record;
+  });
+  if (!plan.entry) return;
+
+  await historyService.logAction({
+    requestId: req.requestId,
+    userId,
+    action: plan.proposed ? 'platform_alias_proposed' : 'platform_corrected',
+    data: { input, platformId, count: plan.entry.count }
+  });
+}
+
+// Ticket status lifecycle (see config/workflow.json)
+app.get('/api/workflow', authenticateAPI, (req, res) => {
+  res.json({
+    success: true,
+    ...workflow.describe()
+  });
+});
+
+// ============================================
+// CLIENTS
+// ============================================
+
+// List the known clients (see config/clients.json)
+app.get('/api/clients', authenticateAPI, (req, res) => {
+  const clients = clientRegistry.list();
+  res.json({
+    success: true,
+    clients,
+    count: clients.length
+  });
+});
+
+// Which client a name refers to - or the clients it could be
+app.get('/api/clients/match', authenticateAPI, (req, res) => {
+  if (!req.query.name) {
+    return res.status(400).json({ success: false, error: 'name is required' });
+  }
+
+  const client = clientRegistry.matchClient(req.query.name);
+  res.json({
+    success: true,
+    client,
+    suggestions: client ? [] : clientRegistry.suggestClients(req.query.name)
+  });
+});
+
+/**
+ * Save an edited client list and start using it
+ * Sends a 400 with the problems (and returns false) if the list is invalid
+ */
+async function saveClients(plan, res) {
+  if (plan.errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid client',
+      errors: plan.errors
+    });
+    return false;
+  }
+
+  await storageService.saveCatalog('clients', plan.clients);
+  clientRegistry.replace(plan.clients);
+  return true;
+}
+
+// Add a client
+app.post('/api/clients',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  body('name').isString().trim().isLength({ min: 1, max: 200 }),
+  body('id').optional().isString(),
+  body('aliases').optional().isArray(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const plan = clientRegistry.planCreate(req.body);
+      if (!await saveClients(plan, res)) return;
+
+      await historyService.logAction(req.requestId, null, req.body.userId || 'anonymous', 'client_created', plan.client);
+
+      res.status(201).json({
+        success: true,
+        client: plan.client
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Rename a client or change its aliases (its id stays)
+app.patch('/api/clients/:clientId',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('aliases').optional().isArray(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const current = clientRegistry.get(req.params.clientId);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const plan = clientRegistry.planUpdate(current.id, req.body);
+      if (!await saveClients(plan, res)) return;
+
+      await historyService.logAction(req.requestId, null, req.body.userId || 'anonymous', 'client_updated', {
+        previous: current,
+        client: plan.client
+      });
+
+      res.json({
+        success: true,
+        client: plan.client
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Remove a client - its tickets keep their account name
+app.delete('/api/clients/:clientId',
+  authenticateAPI,
+  requireStorage('catalogs'),
+  async (req, res) => {
+    try {
+      const current = clientRegistry.get(req.params.clientId);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const plan = clientRegistry.planDelete(current.id);
+      if (!await saveClients(plan, res)) return;
+
+      await historyService.logAction(req.requestId, null, req.body?.userId || req.query.userId || 'anonymous', 'client_deleted', current);
+
+      res.json({
+        success: true,
+        clientId: current.id
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// The messages of one conversation are answered one at a time, each from the
+// draft the one before it left - two "yes" sent at once are one confirmation
+const chatTurns = new SerialQueue();
+
+// AI Chat endpoint
+app.post('/api/chat',
+  authenticateAPI,
+  body('message').trim().isLength({ min: 1, max: 2000 }),
+  body('userId').isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message, userId, conversationId } = req.body;
+
+    await chatTurns.run(conversationId || req.requestId, async () => {
+      try {
+        // Log chat start
+        await historyService.logAction(
+          req.requestId,
+          null, // no ticket yet
+          userId,
+          'chat_message',
+          { message }
+        );
+
+        // The drafts before this message, to learn from platform corrections
+        const previous = conversationId ? await aiAgent.getConversation(conversationId) : null;
+        const previousDrafts = previous?.drafts || (previous?.extractedData ? [previous.extractedData] : []);
+
+        // Process with AI
+        const aiStartTime = Date.now();
+        const response = await aiAgent.processMessage(message, userId, conversationId);
+        const aiProcessingTime = Date.now() - aiStartTime;
+
+        // Suggest the registered clients an ambiguous or unknown account could be
+        for (const draft of [response.extractedData, ...(response.drafts || [])].filter(draft => draft?.account)) {
+          const client = clientRegistry.matchClient(draft.account);
+          if (client) {
+            draft.clientId = client.id;
+          } else {
+            draft.clientSuggestions = clientRegistry.suggestClients(draft.account);
+          }
+        }
+
+        // Validate extracted platform if present - and pick the client's seat
+        if (response.extractedData?.platform) {
+          const platformMatch = platformMatcher.resolvePlatform(response.extractedData.platform, response.extractedData.clientId);
+          if (platformMatch) {
+            Object.assign(response.extractedData, platformFields(platformMatch));
+          } else {
+            response.platformSuggestions = platformMatcher.suggestPlatforms(response.extractedData.platform);
+          }
+        }
+
+        // ...and each requested ticket's (several when the message asked for a batch)
+        for (const [index, draft] of (response.drafts || []).entries()) {
+          if (!draft.platform) continue;
+          const platformMatch = platformMatcher.resolvePlatform(draft.platform, draft.clientId);
+          if (platformMatch) {
+            Object.assign(draft, platformFields(platformMatch));
+            // An unknown platform name corrected to this one: learn it
+            await learnPlatformCorrection(previousDrafts[index]?.platform, platformMatch.platform.id, userId, req)
+              .catch(error => console.error('Alias learning error:', error));
+          } else {
+            draft.platformSuggestions = platformMatcher.suggestPlatforms(draft.platform);
+          }
+        }
+
+        const clientSuggestions = response.extractedData?.clientSuggestions || [];
+        const platformSuggestions = response.platformSuggestions || [];
+        if (clientSuggestions.length > 0 || platformSuggestions.length > 0) {
+          response.suggestions = [
+            ...clientSuggestions.map(({ name }) => name),
+            ...platformSuggestions.map(({ name }) => name),
+            ...(response.suggestions || [])
+          ];
+        }
+
+        // The user confirmed the draft: create its ticket(s)
+        if (response.draft?.state === 'confirmed') {
+          await createDraftTickets(response, userId, req);
+        }
+
+        // Log response
+        await historyService.logAction({
+          requestId: req.requestId,
+          userId,
+          action: 'ai_response',
+          data: {
+            extractedData: response.extractedData,
+            drafts: response.drafts,
+            draft: response.draft,
+            confidence: response.confidence,
+            extraction: response.extraction,
+            tokenUsage: response.tokenUsage,
+            processingTime: aiProcessingTime
+          }
+        });
+
+        res.json({
+          success: true,
+          ...response,
+          requestId: req.requestId,
+          processingTime: aiProcessingTime
+        });
+
+      } catch (error) {
+        console.error('Chat error:', error);
+      
+        await historyService.logAction({
+          requestId: req.requestId,
+          userId,
+          action: 'error',
+          data: { error: error.message }
+        });
+
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+);
+
+// ============================================
+// CONVERSATIONS
+// ============================================
+
+// Get a chat conversation: its turns and the data extracted so far
+app.get('/api/conversations/:conversationId',
+  authenticateAPI,
+  async (req, res) => {
+    try {
+      const conversation = await aiAgent.getConversation(req.params.conversationId);
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found or expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        conversation
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Resume a conversation (e.g. after a page reload) - also keeps it from expiring
+app.post('/api/conversations/:conversationId/resume',
+  authenticateAPI,
+  async (req, res) => {
+    try {
+      const resumed = await aiAgent.resumeConversation(req.params.conversationId);
+
+      if (!resumed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found or expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        conversationId: req.params.conversationId,
+        ...resumed
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Delete a conversation
+app.delete('/api/conversations/:conversationId',
+  authenticateAPI,
+  async (req, res) => {
+    try {
+      const deleted = await aiAgent.clearConversation(req.params.conversationId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found or expired'
+        });
+      }
+
+      await historyService.logAction({
+        requestId: req.requestId,
+        userId: req.body?.userId || req.query.userId || 'anonymous',
+        action: 'conversation_deleted',
+        data: { conversationId: req.params.conversationId }
+      });
+
+      res.json({
+        success: true
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// ============================================
+// TICKET CREATION
+// ============================================
+
+/**
+ * Check a ticket request and build the ticket to store (with its platform
+ * matched - auto-assignment waits for createPreparedTicket)
+ * Returns { ticketData }, or { error } - the 400 response body
+ */
+function prepareTicket(data, userId, requestId, conversationHistory) {
+  // Validate required fields
+  const required = ['account', 'platform', 'tagType', 'priority'];
+  const missing = required.filter(field => !data[field]);
+
+  if (missing.length > 0) {
+    return {
+      error: {
+        success: false,
+        error: 'Missing required fields',
+        missing: missing
+      }
+    };
+  }
+
+  if (!parsePriority(data.priority)) {
+    return {
+      error: {
+        success: false,
+        error: 'Invalid priority',
+        allowed: PRIORITY_LEVELS
+      }
+    };
+  }
+
+  // Store the account under its registered client name (see config/clients.json)
+  const client = clientRegistry.resolveAccount(data.account);
+  if (!client.account) {
+    return {
+      error: {
+        success: false,
+        error: client.suggestions.length > 0 ? 'Ambiguous or unknown client' : 'Unknown client',
+        suggestions: client.suggestions
+      }
+    };
+  }
+
+  // Validate platform, and pick the client's seat on it
+  const platformMatch = platformMatcher.resolvePlatform(data.platform, client.clientId);
+  if (!platformMatch) {
+    return {
+      error: {
+        success: false,
+        error: 'Invalid platform',
+        suggestions: platformMatcher.suggestPlatforms(data.platform)
+      }
+    };
+  }
+  if (platformMatch.seat && client.clientId !== platformMatch.seat.client) {
+    return {
+      error: {
+        success: false,
+        error: `Seat ${platformMatch.seat.id} belongs to another client - name the platform (${platformMatch.platform.name}) instead`
+      }
+    };
+  }
+
+  // The platform's supported tag types and required details (see platform-specs.js)
+  const specs = checkTicket(platformMatch.platform, data);
+  if (!specs.supported) {
+    return {
+      error: {
+        success: false,
+        error: `${platformMatch.platform.name} does not support ${data.tagType} tags`,
+        supportedTagTypes: specsOf(platformMatch.platform).tagTypes
+      }
+    };
+  }
+  if (specs.missing.length > 0) {
+    return {
+      error: {
+        success: false,
+        error: `Missing fields required by ${platformMatch.platform.name}`,
+        missing: specs.missing
+      }
+    };
+  }
+
+  // Prepare ticket data
+  const ticketData = {
+    ...data,
+    account: client.account,
+    ...platformFields(platformMatch),
+    priority: parsePriority(data.priority),
+    status: workflow.initialStatus,
+    requestor: userId,
+    requestId,
+    conversationHistory: conversationHistory || []
+  };
+
+  return { ticketData };
+}
+
+/**
+ * The ticket fields for a resolved platform ({ platform, seat })
+ */
+function platformFields({ platform, seat }) {
+  return {
+    platform: platform.name,
+    platformId: platform.id,
+    seat: seat ? seat.id : null
+  };
+}
+
+/**
+ * Auto-assign a prepared ticket, store it and log its creation
+ */
+async function createPreparedTicket(prepared, userId, req) {
+  // Auto-assignment rules (config/assignment.json), unless already assigned.
+  // Only applied once the whole request is valid, so a rejected batch takes
+  // no round-robin turn - and a failed create gives its turn back.
+  const autoAssignment = prepared.ticketData.assignee ? null : assigner.assign(prepared.ticketData);
+  const ticketData = autoAssignment
+    ? { ...prepared.ticketData, assignee: autoAssignment.assignee, team: autoAssignment.team }
+    : prepared.ticketData;
+
+  let ticket;
+  try {
+    // Log ticket creation start
+    await historyService.logAction({
+      requestId: req.requestId,
+      userId,
+      action: 'ticket_creation_started',
+      data: ticketData
+    });
+
+    ticket = await storageService.createTicket(ticketData);
+  } catch (error) {
+    if (autoAssignment) assigner.release(autoAssignment);
+    throw error;
+  }
+
+  if (autoAssignment) {
+    await historyService.logAction(req.requestId, ticket.id, 'system', 'auto_assigned', autoAssignment);
+  }
+
+  // Log success
+  await historyService.logAction(
+    req.requestId,
+    ticket.id,
+    userId,
+    'ticket_created',
+    {
+      account: ticketData.account,
+      platform: ticketData.platform,
+      seat: ticketData.seat,
+      priority: ticketData.priority,
+      responseTime: Date.now() - req.requestStartTime
+    }
+  );
+
+  return ticket;
+}
+
+/**
+ * Create the tickets of a confirmed chat draft (all of them under the chat
+ * request's requestId) and record the outcome on the conversation. Adds
+ * `tickets` to the chat response, or `ticketErrors` when any ticket is
+ * invalid - then none are created and the draft goes back to be confirmed.
+ *
+ * Each ticket's id is saved on the draft as soon as it exists. If creating
+ * one fails, the draft goes back to be confirmed with the ones created so
+ * far, and the next "yes" creates only the rest.
+ */
+async function createDraftTickets(response, userId, req) {
+  // Only the message that takes the draft on from 'confirmed' creates them
+  const claimed = await aiAgent.claimConfirmedDraft(response.conversationId);
+  if (!claimed) {
+    const conversation = await aiAgent.getConversation(response.conversationId);
+    response.draft = { state: conversation?.draftState || null, ticketIds: conversation?.ticketIds || [] };
+    return;
+  }
+
+  const done = claimed.ticketIds || [];
+  const prepared = response.drafts.slice(done.length).map(draft => prepareTicket(
+    { account: draft.account, platform: draft.platform, tagType: draft.tagType, priority: draft.priority, ...detailsOf(draft) },
+    userId,
+    req.requestId
+  ));
+
+  const invalid = prepared
+    .map(({ error }, index) => error ? { index: done.length + index, error: error.error, missing: error.missing, suggestions: error.suggestions, supportedTagTypes: error.supportedTagTypes } : null)
+    .filter(Boolean);
+  if (invalid.length > 0) {
+    await aiAgent.setDraftState(response.conversationId, 'awaiting_confirmation', done);
+    response.draft = { state: 'awaiting_confirmation', ticketIds: done };
+    response.ticketErrors = invalid;
+    return;
+  }
+
+  const created = await Promise.all(done.map(ticketId => storageService.getTicket(ticketId)));
+  const ticketIds = [...done];
+  try {
+    for (const ticket of prepared) {
+      const createdTicket = await createPreparedTicket(ticket, userId, req);
+      created.push(createdTicket);
+      ticketIds.push(createdTicket.id);
+      await aiAgent.setDraftState(response.conversationId, 'creating', [...ticketIds]);
+    }
+  } catch (error) {
+    await aiAgent.setDraftState(response.conversationId, 'awaiting_confirmation', ticketIds);
+    throw error;
+  }
+
+  await aiAgent.setDraftState(response.conversationId, 'created', ticketIds);
+  response.draft = { state: 'created', ticketIds };
+  response.tickets = created.filter(Boolean).map(ticketSummary);
+}
+
+function ticketSummary(ticket) {
+  return {
+    id: ticket.id,
+    url: ticket.url,
+    title: ticket.title,
+    assignee: ticket.assignee,
+    team: ticket.team
+  };
+}
+
+// Create ticket endpoint
+app.post('/api/tickets/create',
+  authenticateAPI,
+  body('data').isObject(),
+  body('userId').isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // `platformInput`: the platform name first given, when data.platform was
+    // picked from the suggestions that name got
+    const { data, userId, conversationHistory, platformInput } = req.body;
+
+    try {
+      const prepared = prepareTicket(data, userId, req.requestId, conversationHistory);
+      if (prepared.error) {
+        return res.status(400).json(prepared.error);
+      }
+
+      // Create Notion ticket
+      const notionStartTime = Date.now();
+      const ticket = await createPreparedTicket(prepared, userId, req);
+      const notionTime = Date.now() - notionStartTime;
+
+      if (typeof platformInput === 'string') {
+        await learnPlatformCorrection(platformInput, prepared.ticketData.platformId, userId, req)
+          .catch(error => console.error('Alias learning error:', error));
+      }
+
+      res.json({
+        success: true,
+        ticket: ticketSummary(ticket),
+        requestId: req.requestId,
+        processingTime: {
+          total: Date.now() - req.requestStartTime,
+          notion: notionTime
+        }
+      });
+
+    } catch (error) {
+      console.error('Ticket creation error:', error);
+      
+      await historyService.logAction({
+        requestId: req.requestId,
+        userId: req.body.userId,
+        action: 'ticket_creation_failed',
+        data: { error: error.message }
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Create a batch of tickets (the `drafts` of a multi-ticket chat message)
+// under one shared requestId. Every ticket is checked before any is created.
+app.post('/api/tickets/bulk',
+  authenticateAPI,
+  body('tickets').isArray({ min: 1, max: MAX_BATCH_SIZE }),
+  body('tickets.*').isObject(),
+  body('userId').isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tickets, userId, conversationHistory } = req.body;
+    const created = [];
+
+    try {
+      const prepared = tickets.map(data => prepareTicket(data, userId, req.requestId, conversationHistory));
+      const invalid = prepared
+        .map(({ error }, index) => error ? { index, error: error.error, missing: error.missing, suggestions: error.suggestions, supportedTagTypes: error.supportedTagTypes } : null)
+        .filter(Boolean);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tickets - none were created',
+          invalid
+        });
+      }
+
+      const storageStartTime = Date.now();
+      for (const ticket of prepared) {
+        created.push(await createPreparedTicket(ticket, userId, req));
+      }
+
+      res.json({
+        success: true,
+        tickets: created.map(ticketSummary),
+        requestId: req.requestId,
+        processingTime: {
+          total: Date.now() - req.requestStartTime,
+          storage: Date.now() - storageStartTime
+        }
+      });
+
+    } catch (error) {
+      console.error('Bulk ticket creation error:', error);
+
+      await historyService.logAction({
+        requestId: req.requestId,
+        userId,
+        action: 'ticket_creation_failed',
+        data: { error: error.message, created: created.map(ticket => ticket.id) }
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        // Tickets stored before the failure stay - so the caller can retry the rest
+        tickets: created.map(ticketSummary)
+      });
+    }
+  }
+);
+
+// Get ticket history (same query as /api/history, 20 entries per page by default)
+app.get('/api/tickets/history',
+  authenticateAPI,
+  (req, res) => queryHistory({ limit: 20, ...req.query }, res)
+);
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+async function queryHistory(params, res) {
+  const { errors } = parseHistoryQuery(params);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid history query',
+      errors
+    });
+  }
+
+  try {
+    const history = await historyService.getHistory(params);
+
+    res.json({
+      success: true,
+      ...history
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Query the audit log by ticket, user, action type and time range (see services/history-query.js)
+app.get('/api/history',
+  authenticateAPI,
+  (req, res) => queryHistory(req.query, res)
+);
+
+// List archived history segments
+app.get('/api/history/segments',
+  authenticateAPI,
+  async (req, res) => {
+    try {
+      const segments = await historyService.listArchiveSegments();
+
+      res.json({
+        success: true,
+        segments
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Archive history older than `before`, or apply the configured retention policy
+app.post('/api/history/archive',
+  authenticateAPI,
+  [
+    body('before').optional().isISO8601()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      let result;
+      if (req.body.before) {
+        result = {
+          archived: await historyService.archiveHistory(req.body.before),
+          cutoff: new Date(req.body.before).toISOString()
+        };
+      } else {
+        result = await historyService.applyRetention();
+      }
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// List tickets - filters, sorting and cursor pagination (see services/ticket-query.js)
+app.get('/api/tickets',
+  authenticateAPI,
+  async (req, res) => {
+    const { errors } = parseTicketQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ticket query',
+        errors
+      });
+    }
+
+    try {
+      const tickets = await storageService.listTickets(req.query);
+
+      res.json({
+        success: true,
+        ...tickets
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Get single ticket
+app.get('/api/tickets/:ticketId',
+  authenticateAPI,
+  async (req, res) => {
+    try {
+      const ticket = await storageService.getTicket(req.params.ticketId);
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        ticket
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
 
-// ============================================
-// ROUTES
-// ============================================
+// Update ticket status or priority (recorded as a field-level change)
+// Status changes must follow the workflow; some need a `reason`
+app.patch('/api/tickets/:ticketId',
+  authenticateAPI,
+  async (req, res) => {
+    try {
+      const { status, priority, reason } = req.body;
 
-// Health check
-app.get('/api/health', async (req, res) => {
-  try {
-    const stats = await storageService.getStorageStats();
-    
-    res.json({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'production',
-      storage: 'in-memory',
-      services: {
-        ai: !!process.env.GEMINI_API_KEY,
-        storage: true,
-        platforms: platformMatcher.getPlatformCount()
-      },
-      stats: {
-        tickets: stats.ticketCount,
-        history: stats.historyCount
+      const current = await storageService.getTicket(req.params.ticketId);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found'
+        });
       }
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-});
 
-// Get platform list
-app.get('/api/platforms', authenticateAPI, async (req, res) => {
-  try {
-    const platforms = platformMatcher.getAllPlatforms();
-    res.json({
-      success: true,
-      platforms: platforms,
-      count: platforms.length
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      // Only send the fields being changed, so the diff shows just those
+      let updates = {};
+      if (status !== undefined) {
+        const transition = workflow.planTransition(current, status, reason);
+        if (transition.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid status transition',
+            errors: transition.errors,
+            allowed: workflow.allowedTransitions(current.status)
+          });
+        }
+        updates = transition.updates;
+      }
+      if (priority !== undefined) {
+        const level = parsePriority(priority);
+        if (!level) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid priority',
+            allowed: PRIORITY_LEVELS
+          });
+        }
+        // The SLA deadline follows the priority, counted from the request
+        updates.priority = level;
+        updates.slaDeadline = calculateSLADeadline(level, current.requestTime || undefined);
+      }
+
+      const ticket = await storageService.updateTicket(
+        current.id,
+        updates,
+        req.body.userId || 'anonymous',
+        reason ? { reason } : {}
+      );
+
+      res.json({
+        success: true,
+        ticket
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
   }
-});
+);
 
-// AI Chat endpoint
-app.post('/api/chat',
+// Claim, assign, reassign or unassign a ticket
+// claim takes `userId`; assign and reassign take `assignee` and an optional `team`
+app.post('/api/tickets/:ticketId/:operation(claim|assign|reassign|unassign)',
   authenticateAPI,
-  body('message').trim().isLength({ min: 1, max: 2000 }),
   body('userId').isString(),
+  body('assignee').optional().isString(),
+  body('team').optional().isString(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { message, userId, conversationId } = req.body;
-
     try {
-      // Log chat start
-      await historyService.logAction(
-        req.requestId,
-        null, // no ticket yet
-        userId,
-        'chat_message',
-        { message }
-      );
+      const current = await storageService.getTicket(req.params.ticketId);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found'
+        });
+      }
 
-      // Process with AI
-      const aiStartTime = Date.now();
-      const response = await aiAgent.processMessage(message, userId, conversationId);
-      const aiProcessingTime = Date.now() - aiStartTime;
-
-      // Validate extracted platform if present
-      if (response.extractedData?.platform) {
-        const platformMatch = platformMatcher.matchPlatform(response.extractedData.platform);
-        if (platformMatch) {
-          response.extractedData.platform = platformMatch.name;
-          response.extractedData.platformId = platformMatch.id;
-        } else {
-          response.platformSuggestions = platformMatcher.suggestPlatforms(response.extractedData.platform);
-        }
+      const { updates, errors: assignmentErrors } = assigner.planAssignment(req.params.operation, current, req.body);
+      if (assignmentErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot ${req.params.operation} ticket`,
+          errors: assignmentErrors
+        });
       }
 
-      // Log response
-      await historyService.logAction({
-        requestId: req.requestId,
-        userId,
-        action: 'ai_response',
-        data: {
-          extractedData: response.extractedData,
-          processingTime: aiProcessingTime
-        }
-      });
+      const ticket = await storageService.updateTicket(
+        current.id,
+        updates,
+        req.body.userId,
+        req.body.reason ? { reason: req.body.reason } : {}
+      );
 
       res.json({
         success: true,
-        ...response,
-        requestId: req.requestId,
-        processingTime: aiProcessingTime
+        ticket
       });
 
     } catch (error) {
-      console.error('Chat error:', error);
-      
-      await historyService.logAction({
-        requestId: req.requestId,
-        userId,
-        action: 'error',
-        data: { error: error.message }
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// ============================================
+// COMMENTS
+// ============================================
+
+/**
+ * Look up the ticket (and comment, if the route has one) a comment route
+ * refers to. Sends a 404 and returns null if either does not exist.
+ */
+async function findCommentTarget(req, res) {
+  const ticket = await storageService.getTicket(req.params.ticketId);
+  if (!ticket) {
+    res.status(404).json({ success: false, error: 'Ticket not found' });
+    return null;
+  }
+
+  if (!req.params.commentId) {
+    return { ticket };
+  }
+
+  const comment = await storageService.getComment(req.params.commentId);
+  if (!comment || comment.ticketId !== ticket.id) {
+    res.status(404).json({ success: false, error: 'Comment not found' });
+    return null;
+  }
+  return { ticket, comment };
+}
+
+// List a ticket's comments as threads (replies nested under their parent)
+app.get('/api/tickets/:ticketId/comments',
+  authenticateAPI,
+  async (req, res) => {
+    try {
+      const target = await findCommentTarget(req, res);
+      if (!target) return;
+
+      const comments = await storageService.listComments({ ticketId: target.ticket.id });
+
+      res.json({
+        success: true,
+        ticketId: target.ticket.id,
+        total: comments.length,
+        comments: buildThreads(comments)
       });
 
+    } catch (error) {
       res.status(500).json({
         success: false,
         error: error.message
@@ -203,102 +1554,76 @@ app.post('/api/chat',
   }
 );
 
-// Create ticket endpoint
-app.post('/api/tickets/create',
+// Add a comment or reply (parentId), with @-mentions and base64 attachments
+app.post('/api/tickets/:ticketId/comments',
   authenticateAPI,
-  body('data').isObject(),
+  requireStorage('comments'),
   body('userId').isString(),
+  body('body').isString().trim().isLength({ min: 1, max: MAX_BODY_LENGTH }),
+  body('parentId').optional().isString(),
+  body('attachments').optional().isArray(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { data, userId, conversationHistory } = req.body;
+    const { userId, parentId } = req.body;
+    let attachments = [];
 
     try {
-      // Validate required fields
-      const required = ['account', 'platform', 'tagType', 'priority'];
-      const missing = required.filter(field => !data[field]);
-      
-      if (missing.length > 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Missing required fields',
-          missing: missing
-        });
+      const target = await findCommentTarget(req, res);
+      if (!target) return;
+
+      if (parentId) {
+        const parent = await storageService.getComment(parentId);
+        if (!parent || parent.ticketId !== target.ticket.id) {
+          return res.status(400).json({ success: false, error: 'parentId is not a comment on this ticket' });
+        }
+        if (parent.deletedAt) {
+          return res.status(400).json({ success: false, error: 'Cannot reply to a deleted comment' });
+        }
       }
 
-      // Validate platform
-      const platformMatch = platformMatcher.matchPlatform(data.platform);
-      if (!platformMatch) {
+      const parsed = parseAttachments(req.body.attachments);
+      if (parsed.errors.length > 0) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid platform',
-          suggestions: platformMatcher.suggestPlatforms(data.platform)
+          error: 'Invalid attachments',
+          errors: parsed.errors
         });
       }
+      attachments = parsed.attachments;
 
-      // Prepare ticket data
-      const ticketData = {
-        ...data,
-        platform: platformMatch.name,
-        platformId: platformMatch.id,
-        requestor: userId,
-        requestId: req.requestId,
-        conversationHistory: conversationHistory || []
-      };
+      for (const attachment of attachments) {
+        await storageService.putAttachment(attachment.id, attachment.content);
+      }
 
-      // Log ticket creation start
-      await historyService.logAction({
-        requestId: req.requestId,
-        userId,
-        action: 'ticket_creation_started',
-        data: ticketData
+      const comment = await storageService.createComment(buildComment({
+        ticketId: target.ticket.id,
+        parentId,
+        author: userId,
+        body: req.body.body,
+        attachments
+      }));
+
+      await historyService.logAction(req.requestId, target.ticket.id, userId, 'comment_added', {
+        commentId: comment.id,
+        parentId: comment.parentId,
+        mentions: comment.mentions,
+        attachments: comment.attachments.map(({ filename }) => filename)
       });
 
-      // Create Notion ticket
-      const notionStartTime = Date.now();
-      const ticket = await storageService.createTicket(ticketData);
-      const notionTime = Date.now() - notionStartTime;
-
-      // Log success
-      await historyService.logAction(
-        req.requestId,
-        ticket.id,
-        userId,
-        'ticket_created',
-        {
-          account: ticketData.account,
-          platform: ticketData.platform,
-          priority: ticketData.priority,
-          responseTime: Date.now() - req.requestStartTime
-        }
-      );
-
       res.json({
         success: true,
-        ticket: {
-          id: ticket.id,
-          url: ticket.url,
-          title: ticket.title
-        },
-        requestId: req.requestId,
-        processingTime: {
-          total: Date.now() - req.requestStartTime,
-          notion: notionTime
-        }
+        comment
       });
 
     } catch (error) {
-      console.error('Ticket creation error:', error);
-      
-      await historyService.logAction({
-        requestId: req.requestId,
-        userId: req.body.userId,
-        action: 'ticket_creation_failed',
-        data: { error: error.message }
-      });
+      // Don't leave orphaned attachment content behind
+      for (const attachment of attachments) {
+        await storageService.deleteAttachment(attachment.id).catch(() => {});
+      }
 
       res.status(500).json({
         success: false,
@@ -308,22 +1633,45 @@ app.post('/api/tickets/create',
   }
 );
 
-// Get ticket history
-app.get('/api/tickets/history',
+// Edit a comment's text (author only)
+app.patch('/api/tickets/:ticketId/comments/:commentId',
   authenticateAPI,
+  requireStorage('comments'),
+  body('userId').isString(),
+  body('body').isString().trim().isLength({ min: 1, max: MAX_BODY_LENGTH }),
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
-      const { userId, limit = 20, offset = 0 } = req.query;
-      
-      const history = await historyService.getHistory({
-        userId,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
+      const target = await findCommentTarget(req, res);
+      if (!target) return;
+
+      const { comment } = target;
+      if (comment.deletedAt) {
+        return res.status(400).json({ success: false, error: 'Comment has been deleted' });
+      }
+      if (comment.author !== req.body.userId) {
+        return res.status(403).json({ success: false, error: 'Only the author can edit a comment' });
+      }
+
+      const updated = await storageService.updateComment(comment.id, {
+        body: req.body.body,
+        mentions: parseMentions(req.body.body),
+        editedAt: new Date().toISOString()
+      });
+
+      await historyService.logAction(req.requestId, comment.ticketId, req.body.userId, 'comment_edited', {
+        commentId: comment.id,
+        previousBody: comment.body,
+        mentions: updated.mentions
       });
 
       res.json({
         success: true,
-        ...history
+        comment: updated
       });
 
     } catch (error) {
@@ -335,24 +1683,43 @@ app.get('/api/tickets/history',
   }
 );
 
-// Get all tickets (file storage specific)
-app.get('/api/tickets',
+// Delete a comment (author only) - replies stay, under a tombstone
+app.delete('/api/tickets/:ticketId/comments/:commentId',
   authenticateAPI,
+  requireStorage('comments'),
   async (req, res) => {
+    const userId = req.body.userId || req.query.userId;
+
     try {
-      const { status, requestor, platform, page, limit } = req.query;
-      
-      const tickets = await storageService.getTickets({
-        status,
-        requestor,
-        platform,
-        page: parseInt(page) || 1,
-        limit: parseInt(limit) || 20
+      const target = await findCommentTarget(req, res);
+      if (!target) return;
+
+      const { comment } = target;
+      if (comment.deletedAt) {
+        return res.status(400).json({ success: false, error: 'Comment has already been deleted' });
+      }
+      if (comment.author !== userId) {
+        return res.status(403).json({ success: false, error: 'Only the author can delete a comment' });
+      }
+
+      await storageService.updateComment(comment.id, {
+        body: null,
+        mentions: [],
+        attachments: [],
+        deletedAt: new Date().toISOString()
+      });
+      for (const attachment of comment.attachments) {
+        await storageService.deleteAttachment(attachment.id);
+      }
+
+      await historyService.logAction(req.requestId, comment.ticketId, userId, 'comment_deleted', {
+        commentId: comment.id,
+        attachments: comment.attachments.map(({ filename }) => filename)
       });
 
       res.json({
         success: true,
-        ...tickets
+        commentId: comment.id
       });
 
     } catch (error) {
@@ -364,23 +1731,48 @@ app.get('/api/tickets',
   }
 );
 
-// Get single ticket
-app.get('/api/tickets/:ticketId',
+// Download a comment attachment
+app.get('/api/tickets/:ticketId/comments/:commentId/attachments/:attachmentId',
   authenticateAPI,
   async (req, res) => {
     try {
-      const ticket = await storageService.getTicket(req.params.ticketId);
-      
-      if (!ticket) {
-        return res.status(404).json({
-          success: false,
-          error: 'Ticket not found'
-        });
+      const target = await findCommentTarget(req, res);
+      if (!target) return;
+
+      const attachment = target.comment.attachments.find(({ id }) => id === req.params.attachmentId);
+      const content = attachment && await storageService.getAttachment(attachment.id);
+      if (!content) {
+        return res.status(404).json({ success: false, error: 'Attachment not found' });
       }
 
+      res.setHeader('Content-Type', attachment.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename.replace(/"/g, '')}"`);
+      res.send(content);
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Comments mentioning a user, newest first
+app.get('/api/comments',
+  authenticateAPI,
+  async (req, res) => {
+    if (!req.query.mention) {
+      return res.status(400).json({ success: false, error: 'mention is required' });
+    }
+
+    try {
+      const comments = await storageService.listComments({ mention: req.query.mention });
+
       res.json({
         success: true,
-        ticket
+        total: comments.length,
+        comments: comments.reverse()
       });
 
     } catch (error) {
@@ -392,20 +1784,32 @@ app.get('/api/tickets/:ticketId',
   }
 );
 
-// Update ticket status
-app.patch('/api/tickets/:ticketId',
+// Change timeline of a ticket - who changed which fields, and when (oldest first)
+app.get('/api/tickets/:ticketId/changes',
   authenticateAPI,
   async (req, res) => {
     try {
-      const { status } = req.body;
-      
-      const ticket = await storageService.updateTicket(req.params.ticketId, {
-        status
+      const ticket = await storageService.getTicket(req.params.ticketId);
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found'
+        });
+      }
+
+      const history = await historyService.getHistory({
+        ticketId: ticket.id,
+        includeArchived: 'true',
+        order: 'asc',
+        limit: req.query.limit || 1000,
+        offset: req.query.offset
       });
 
       res.json({
         success: true,
-        ticket
+        ticketId: ticket.id,
+        total: history.total,
+        changes: toChangeTimeline(history.entries)
       });
 
     } catch (error) {
@@ -484,10 +1888,28 @@ app.get('/api/storage/stats',
       }
 
       const stats = await storageService.getStorageStats();
+
+      // Report every workflow status, including those no ticket is in yet
+      const byStatus = Object.fromEntries(workflow.statusNames().map(status => [status, 0]));
+
+      // Open work per assignee - tickets not yet in a final status
+      const workload = Object.fromEntries(Object.entries(stats.workload || {}).map(([assignee, load]) => [
+        assignee,
+        {
+          ...load,
+          open: Object.entries(load.byStatus)
+            .filter(([status]) => !workflow.isFinal(status))
+            .reduce((sum, [, count]) => sum + count, 0)
+        }
+      ]));
       
       res.json({
         success: true,
-        stats
+        stats: {
+          ...stats,
+          byStatus: { ...byStatus, ...stats.byStatus },
+          workload
+        }
       });
 
     } catch (error) {
@@ -603,19 +2025,57 @@ app.use((req, res) => {
 // Start server (Vercel serverless compatible)
 async function start() {
   try {
-    // Initialize platform matcher only
-    await platformMatcher.initialize();
-    
-    // In-memory storage doesn't need initialization
-    // It's ready immediately!
+    // Loads persisted data (no-op for in-memory storage)
+    await storageService.initialize();
+
+    // Clients edited through the API replace config/clients.json - loaded
+    // first, as platform seats are linted against them
+    const savedClients = await storageService.getCatalog('clients');
+    if (savedClients) {
+      const clientErrors = clientRegistry.replace(savedClients);
+      if (clientErrors.length > 0) {
+        console.error(`Ignoring saved clients: ${clientErrors.join('; ')}`);
+      }
+    }
+
+    await platformMatcher.initialize({ clients: clientIds() });
+
+    // Platforms edited through the API replace config/platforms.json
+    const savedPlatforms = await storageService.getCatalog('platforms');
+    const platformLint = savedPlatforms && lintCatalog(savedPlatforms, { clients: clientIds() });
+    if (platformLint && !platformLint.valid) {
+      console.error(`Ignoring saved platforms: ${platformLint.errors.map(error => error.message).join('; ')}`);
+    } else if (savedPlatforms) {
+      platformMatcher.setCatalog(savedPlatforms);
+      console.log(`✓ Loaded ${platformMatcher.getPlatformCount()} platforms saved through the API`);
+    }
+
+    // Platform corrections counted so far
+    aliasLearner.setEntries(await storageService.getCatalog('learned_aliases') || []);
+
+    // Archive history outside the retention policy now and hourly
+    if (hasRetention(retentionFromEnv(process.env))) {
+      const runRetention = () => storageService.applyRetention()
+        .then(({ archived }) => archived > 0 && console.log(`🗄️ Archived ${archived} history entries`))
+        .catch(error => console.error('History retention failed:', error.message));
+      await runRetention();
+      setInterval(runRetention, 60 * 60 * 1000).unref();
+    }
+
+    // Drop expired chat conversations now and hourly
+    const purgeConversations = () => conversationStore.purgeExpired()
+      .then(purged => purged > 0 && console.log(`🧹 Deleted ${purged} expired conversations`))
+      .catch(error => console.error('Conversation cleanup failed:', error.message));
+    await purgeConversations();
+    setInterval(purgeConversations, 60 * 60 * 1000).unref();
 
     // Only start HTTP server if not in Vercel
     if (!process.env.VERCEL) {
       app.listen(PORT, () => {
         console.log(`🚀 AI Tag Request Assistant API running on port ${PORT}`);
         console.log(`📊 Environment: ${process.env.NODE_ENV || 'production'}`);
-        console.log(`🤖 AI Provider: ${process.env.GEMINI_API_KEY ? 'Gemini' : 'None'}`);
-        console.log(`💾 Storage: In-Memory (resets on restart)`);
+        console.log(`🤖 AI Provider: ${aiAgent.provider ? `${aiAgent.provider.name} (${aiAgent.provider.model})` : 'None'}`);
+        console.log(`💾 Storage: ${storageDriver}${storageDriver === 'memory' ? ' (resets on restart)' : ''}`);
         console.log(`🎯 Platforms: ${platformMatcher.getPlatformCount()} loaded`);
         console.log(`\n✨ Ready to receive requests!`);
       });
@@ -632,6 +2092,7 @@ async function start() {
   }
 }
 
-start();
+// Resolves once the server has loaded its catalogs (the route tests wait for it)
+app.locals.started = start();
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,288 @@
+// Route tests: the whole app on in-memory storage with the mock LLM provider
+process.env.NODE_ENV = 'development';
+process.env.VERCEL = '1'; // start() loads the catalogs without listening
+process.env.LLM_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+
+let app;
+let server;
+let baseUrl;
+
+async function api(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const chat = (message, conversationId) => api('POST', '/api/chat', { message, userId: 'alice', conversationId });
+
+beforeAll(async () => {
+  for (const method of ['log', 'warn', 'error']) {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  }
+  // The model takes a while to answer, as a real one does - long enough for
+  // two messages to overlap
+  const { MockProvider } = require('./services/llm-providers');
+  const generate = MockProvider.prototype.generate;
+  jest.spyOn(MockProvider.prototype, 'generate').mockImplementation(async function (...args) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return generate.apply(this, args);
+  });
+
+  app = require('./server');
+  await app.locals.started;
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/chat', () => {
+  test('creates the tickets of a draft confirmed twice at once only once', async () => {
+    const first = await chat('I need a tracker for Nike on DV360, high priority');
+    expect(first.body.draft.state).toBe('awaiting_confirmation');
+    const { conversationId } = first.body;
+
+    const replies = await Promise.all([chat('yes', conversationId), chat('yes', conversationId)]);
+
+    const created = replies.filter(reply => reply.body.tickets);
+    expect(created).toHaveLength(1);
+    const { ticketIds } = created[0].body.draft;
+    expect(ticketIds).toHaveLength(1);
+    for (const reply of replies) {
+      expect(reply.body.draft).toEqual({ state: 'created', ticketIds });
+    }
+
+    const { body } = await api('GET', '/api/tickets');
+    expect(body.tickets.filter(ticket => ticket.requestId === created[0].body.requestId)).toHaveLength(1);
+  });
+
+  test('does not create a ticket twice when a batch failed part way', async () => {
+    const InMemoryStorage = require('./services/inmemory-storage');
+    const first = await chat('Nike trackers for DV360 and The Trade Desk, high priority');
+    expect(first.body.drafts).toHaveLength(2);
+    expect(first.body.draft.state).toBe('awaiting_confirmation');
+    const { conversationId } = first.body;
+    const before = (await api('GET', '/api/tickets')).body.tickets.length;
+
+    // The second ticket cannot be stored
+    const createTicket = InMemoryStorage.prototype.createTicket;
+    const spy = jest.spyOn(InMemoryStorage.prototype, 'createTicket')
+      .mockImplementationOnce(createTicket)
+      .mockRejectedValueOnce(new Error('storage unavailable'));
+
+    const failed = await chat('yes', conversationId);
+    expect(failed.status).toBe(500);
+    const conversation = (await api('GET', `/api/conversations/${conversationId}`)).body.conversation;
+    expect(conversation.draftState).toBe('awaiting_confirmation');
+    expect(conversation.ticketIds).toHaveLength(1);
+    spy.mockRestore();
+
+    // Confirming again creates only the second one
+    const retried = await chat('yes', conversationId);
+    expect(retried.body.draft.state).toBe('created');
+    expect(retried.body.draft.ticketIds).toHaveLength(2);
+    expect(retried.body.draft.ticketIds[0]).toBe(conversation.ticketIds[0]);
+    expect(retried.body.tickets.map(ticket => ticket.id)).toEqual(retried.body.draft.ticketIds);
+    expect((await api('GET', '/api/tickets')).body.tickets.length).toBe(before + 2);
+  });
+});
+
+describe('POST /api/tickets/bulk', () => {
+  const TRACKER = { account: 'Nike', tagType: 'Tracker', priority: 'High' };
+  const count = async () => (await api('GET', '/api/tickets')).body.tickets.length;
+
+  test('creates every ticket of the batch', async () => {
+    const before = await count();
+
+    const { status, body } = await api('POST', '/api/tickets/bulk', {
+      tickets: [{ ...TRACKER, platform: 'DV360' }, { ...TRACKER, platform: 'Xandr', tagType: 'Video Wrapper' }],
+      userId: 'alice'
+    });
+
+    expect(status).toBe(200);
+    const stored = await Promise.all(body.tickets.map(async ({ id }) => (await api('GET', `/api/tickets/${id}`)).body.ticket));
+    expect(stored.map(ticket => [ticket.platformId, ticket.tagType])).toEqual([['dv360', 'Tracker'], ['adnxs', 'Video Wrapper']]);
+    expect(await count()).toBe(before + 2);
+  });
+
+  test('creates none when one is invalid, saying which and why', async () => {
+    const before = await count();
+
+    const { status, body } = await api('POST', '/api/tickets/bulk', {
+      tickets: [{ ...TRACKER, platform: 'DV360' }, { ...TRACKER, platform: 'Nowhere Ads' }, { ...TRACKER, platform: 'TTD', priority: 'soon' }],
+      userId: 'alice'
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid tickets - none were created');
+    expect(body.invalid.map(({ index, error }) => ({ index, error }))).toEqual([
+      { index: 1, error: 'Invalid platform' },
+      { index: 2, error: 'Invalid priority' }
+    ]);
+    expect(await count()).toBe(before);
+  });
+
+  test('refuses an empty batch', async () => {
+    expect((await api('POST', '/api/tickets/bulk', { tickets: [], userId: 'alice' })).status).toBe(400);
+  });
+});
+
+describe('platform specs', () => {
+  // Numberly is an onsite tracker: Tracker tags only, with a target element
+  const NUMBERLY = { account: 'Nike', platform: 'Numberly', tagType: 'Tracker', priority: 'High' };
+
+  test('refuse a tag type the platform does not support, naming the supported ones', async () => {
+    const { status, body } = await api('POST', '/api/tickets/create', {
+      data: { ...NUMBERLY, tagType: 'Video Wrapper', targetElement: '#cta' },
+      userId: 'alice'
+    });
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ success: false, error: 'Numberly does not support Video Wrapper tags', supportedTagTypes: ['Tracker'] });
+  });
+
+  test('refuse a ticket without the details the platform requires', async () => {
+    const missing = await api('POST', '/api/tickets/create', { data: NUMBERLY, userId: 'alice' });
+    expect(missing.status).toBe(400);
+    expect(missing.body).toMatchObject({ error: 'Missing fields required by Numberly', missing: ['targetElement'] });
+
+    const created = await api('POST', '/api/tickets/create', { data: { ...NUMBERLY, targetElement: '#cta' }, userId: 'alice' });
+    expect(created.status).toBe(200);
+  });
+
+  test('keep a chat draft collecting until the platform has its details', async () => {
+    const { body } = await chat('I need a tracker for Nike on Numberly, high priority');
+
+    expect(body.drafts).toEqual([expect.objectContaining(NUMBERLY)]);
+    expect(body.draft.state).toBe('collecting');
+    expect(body.tickets).toBeUndefined();
+
+    const answered = await chat('The target element is #cta', body.conversationId);
+    expect(answered.body.draft.state).toBe('awaiting_confirmation');
+  });
+});
+
+describe('clients and their seats', () => {
+  const create = data => api('POST', '/api/tickets/create', {
+    data: { tagType: 'Tracker', priority: 'High', ...data },
+    userId: 'alice'
+  });
+  const stored = async reply => (await api('GET', `/api/tickets/${reply.body.ticket.id}`)).body.ticket;
+
+  test('store "dv360" for Cofidis on the Cofidis seat, and on the platform for others', async () => {
+    const cofidis = await stored(await create({ account: 'cofidis', platform: 'dv360' }));
+    expect(cofidis).toMatchObject({ account: 'Cofidis', platformId: 'dv360', seat: 'dv360_cofidis' });
+
+    const nike = await stored(await create({ account: 'NIKE FR', platform: 'dv360' }));
+    expect(nike).toMatchObject({ account: 'Nike', platformId: 'dv360', seat: null });
+  });
+
+  test('refuse another client\'s seat', async () => {
+    const { status, body } = await create({ account: 'Nike', platform: 'dv360_cofidis' });
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/^Seat dv360_cofidis belongs to another client/);
+  });
+});
+
+describe('PATCH /api/tickets/:ticketId', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  async function createTicket() {
+    const { body } = await api('POST', '/api/tickets/create', {
+      data: { account: 'Nike', platform: 'DV360', tagType: 'Tracker', priority: 'High' },
+      userId: 'alice'
+    });
+    return (await api('GET', `/api/tickets/${body.ticket.id}`)).body.ticket;
+  }
+
+  test('refuses a priority that is not high, medium or low', async () => {
+    const ticket = await createTicket();
+
+    for (const priority of ['banana', { level: 'high' }, '']) {
+      const { status, body } = await api('PATCH', `/api/tickets/${ticket.id}`, { priority, userId: 'bob' });
+      expect(status).toBe(400);
+      expect(body).toMatchObject({ error: 'Invalid priority', allowed: ['high', 'medium', 'low'] });
+    }
+    expect((await api('GET', `/api/tickets/${ticket.id}`)).body.ticket.priority).toBe('high');
+  });
+
+  test('moves the SLA deadline with the priority, in the same change', async () => {
+    const ticket = await createTicket();
+    expect(Date.parse(ticket.slaDeadline) - Date.parse(ticket.requestTime)).toBe(4 * HOUR);
+
+    const { body } = await api('PATCH', `/api/tickets/${ticket.id}`, { priority: 'Low', userId: 'bob' });
+
+    expect(body.ticket.priority).toBe('low');
+    expect(Date.parse(body.ticket.slaDeadline) - Date.parse(ticket.requestTime)).toBe(48 * HOUR);
+    const { changes } = (await api('GET', `/api/tickets/${ticket.id}/changes`)).body;
+    expect(changes[changes.length - 1].changes.map(change => change.field).sort()).toEqual(['priority', 'slaDeadline']);
+  });
+});
+
+describe('learned aliases', () => {
+  // A ticket for the platform picked from the suggestions "amzn" got
+  const corrected = () => api('POST', '/api/tickets/create', {
+    data: { account: 'Nike', platform: 'Amazon Advertising', tagType: 'Tracker', priority: 'High' },
+    userId: 'alice',
+    platformInput: 'amzn'
+  });
+
+  test('counts every correction made at once, then adds the approved alias', async () => {
+    expect((await api('GET', '/api/platforms/match?name=amzn')).body.platform).toBeNull();
+
+    // Saving takes a while - long enough for the corrections to overlap
+    const InMemoryStorage = require('./services/inmemory-storage');
+    const saveCatalog = InMemoryStorage.prototype.saveCatalog;
+    const spy = jest.spyOn(InMemoryStorage.prototype, 'saveCatalog').mockImplementation(async function (...args) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return saveCatalog.apply(this, args);
+    });
+    const created = await Promise.all([corrected(), corrected(), corrected()]);
+    spy.mockRestore();
+    expect(created.map(reply => reply.status)).toEqual([200, 200, 200]);
+
+    const { learned } = (await api('GET', '/api/platforms/learned-aliases?status=proposed')).body;
+    expect(learned).toEqual([expect.objectContaining({ id: 'amazon:amzn', count: 3, platform: 'Amazon Advertising' })]);
+
+    const approved = await api('POST', '/api/platforms/learned-aliases/amazon:amzn/approve', { userId: 'admin' });
+    expect(approved.body.learned.status).toBe('approved');
+    expect(approved.body.platform.aliases).toContain('amzn');
+    expect((await api('GET', '/api/platforms/match?name=amzn')).body.platform.id).toBe('amazon');
+
+    // Decided: no longer counted
+    await corrected();
+    const [entry] = (await api('GET', '/api/platforms/learned-aliases')).body.learned;
+    expect(entry).toMatchObject({ id: 'amazon:amzn', count: 3, status: 'approved' });
+  });
+});
+
+describe('storage drivers that do not store catalogs or comments', () => {
+  test('refuse those edits with a 501 instead of losing them on restart', async () => {
+    const InMemoryStorage = require('./services/inmemory-storage');
+    jest.spyOn(InMemoryStorage.prototype, 'stores').mockReturnValue(false);
+
+    try {
+      const platform = await api('POST', '/api/platforms', { id: 'newplatform', name: 'New Platform' });
+      expect(platform.status).toBe(501);
+      expect(platform.body.error).toMatch(/Catalog edits cannot be saved/);
+      expect((await api('POST', '/api/clients', { name: 'New Client' })).status).toBe(501);
+
+      const { body } = await api('GET', '/api/tickets');
+      const comment = await api('POST', `/api/tickets/${body.tickets[0].id}/comments`, { userId: 'alice', body: 'Done?' });
+      expect(comment.status).toBe(501);
+      expect(comment.body.error).toMatch(/Comments cannot be saved/);
+    } finally {
+      InMemoryStorage.prototype.stores.mockRestore();
+    }
+
+    expect((await api('GET', '/api/platforms/match?name=New%20Platform')).body.platform).toBeNull();
+  });
+});
@@ -1,74 +1,155 @@
 /**
- * AI Agent Service - Gemini Integration
+ * AI Agent Service - LLM Integration
  * Handles natural language processing and data extraction
+ * The model (Gemini, Anthropic or the offline mock - see llm-factory.js)
+ * replies with schema-constrained JSON (see extraction-schema.js); invalid
+ * replies are sent back for repair, and the keyword heuristics in extractData
+ * are only used when no valid reply comes back. When every provider is down
+ * (llm-failover.js), replies come from the rule-based extractor instead.
+ * The system prompt is rendered from config/prompts/system.md (see
+ * system-prompt.js) with the live platform catalog and client list.
+ * Each conversation keeps a draft of the ticket(s) being requested and where
+ * it stands in the confirm-and-create flow (see chat-draft.js).
+ * A draft is only complete once it has the details its platform requires,
+ * with a tag type the platform supports (see platform-specs.js).
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createLLMProvider } = require('./llm-factory');
+const { FailoverProvider } = require('./llm-failover');
+const { EXTRACTION_SCHEMA, FIELDS, parseJSONReply, validateExtraction } = require('./extraction-schema');
+const { extractFromConversation, describeExtraction, findPlatform } = require('./rule-extractor');
+const { ConversationStore } = require('./conversation-store');
+const { advanceDraft, sharedFields } = require('./chat-draft');
+const { assemblePrompt, promptBudgetFromEnv } = require('./prompt-budget');
+const SystemPrompt = require('./system-prompt');
+const { ticketGaps, specsOf } = require('./platform-specs');
+const InMemoryStorage = require('./inmemory-storage');
+
+// Model calls per message: the first attempt plus repairs
+const MAX_ATTEMPTS = 3;
 
 class AIAgent {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    
-    if (!this.apiKey) {
-      console.warn('⚠️ GEMINI_API_KEY not set - AI features will not work!');
-      this.genAI = null;
-      this.model = null;
+  constructor(options = {}) {
+    this.provider = options.provider || createLLMProvider(options.env);
+
+    if (!this.provider) {
+      console.warn('⚠️ No LLM provider configured (LLM_PROVIDER, GEMINI_API_KEY or ANTHROPIC_API_KEY) - AI features will not work!');
     } else {
-      this.genAI = new GoogleGenerativeAI(this.apiKey);
-      // Use Gemini 2.5 Flash - latest stable model (June 2025)
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-      console.log('✓ Gemini AI initialized with model: gemini-2.5-flash');
+      console.log(`✓ AI initialized with provider: ${this.provider.name} (model: ${this.provider.model})`);
     }
-    
-    // Conversation memory (simple in-memory store)
-    this.conversations = new Map();
+
+    // Conversation memory - server.js passes a store backed by the storage driver
+    this.conversations = options.conversations || new ConversationStore(new InMemoryStorage());
+
+    // Prompt size limits (LLM_PROMPT_TOKEN_BUDGET, LLM_RECENT_TURNS)
+    this.promptBudget = options.promptBudget || promptBudgetFromEnv(options.env);
+
+    // Prompt template and the catalog it lists - server.js passes a function
+    // returning the live { platforms, clients }
+    this.systemPrompt = options.systemPrompt || SystemPrompt.load();
+    this.catalog = options.catalog || (() => ({ platforms: [], clients: [] }));
+
+    // Platform name -> its catalog name (or null), so "DV360" and "Google DV360"
+    // are the same draft value
+    this.resolvePlatform = options.resolvePlatform || (name => name);
+
+    // Account name -> its registered client name, so "nike" and "Nike FR" are "Nike"
+    this.resolveClient = options.resolveClient || (name => name);
+
+    // Platform name -> its catalog entry (or null), for the platform's specs
+    this.platformOf = options.platformOf || (() => null);
   }
 
   /**
    * Process a message and extract tag request data
    */
   async processMessage(message, userId, conversationId = null) {
-    if (!this.model) {
+    if (!this.provider) {
       return {
         success: false,
-        error: 'AI service not configured - GEMINI_API_KEY missing'
+        error: 'AI service not configured - no LLM provider'
       };
     }
 
     try {
       // Get or create conversation history
       const convId = conversationId || `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      let history = this.conversations.get(convId) || [];
-
-      // Build the prompt with conversation context
-      const systemPrompt = this.buildSystemPrompt();
-      const fullPrompt = this.buildPromptWithHistory(systemPrompt, history, message);
-
-      // Call Gemini API
-      const result = await this.model.generateContent(fullPrompt);
-      const response = result.response;
-      const aiResponse = response.text();
-
-      // Extract structured data from response
-      const extractedData = this.extractData(aiResponse, message);
-
-      // Update conversation history
-      history.push({ role: 'user', content: message });
-      history.push({ role: 'assistant', content: aiResponse });
-      this.conversations.set(convId, history);
+      const conversation = await this.conversations.get(convId);
+      const history = (conversation?.turns || []).map(({ role, content }) => ({ role, content }));
+
+      // Build the request: recent turns verbatim, older ones summarized
+      const state = conversation?.extractedData
+        ? { ...conversation.extractedData, drafts: conversation.drafts || [conversation.extractedData] }
+        : null;
+      const catalog = this.catalog();
+      const prompt = assemblePrompt({
+        system: this.buildSystemPrompt(catalog),
+        history,
+        message,
+        extractedData: state,
+        droppedTurns: conversation?.droppedTurns || 0
+      }, this.promptBudget);
+
+      // Ask the model for a structured reply
+      const extraction = await this.generateExtraction({
+        system: prompt.system,
+        messages: prompt.messages,
+        state,
+        catalog
+      }, message);
+      // Merge what this message changed into the conversation's draft
+      const draft = advanceDraft(
+        conversation?.drafts
+          ? { state: conversation.draftState, tickets: conversation.drafts, ticketIds: conversation.ticketIds }
+          : null,
+        { drafts: extraction.drafts.map(ticket => this.normalizeTicket(ticket)), confirmed: extraction.confirmed, method: extraction.method },
+        message,
+        ticket => this.isDataComplete(ticket)
+      );
+      const drafts = draft.tickets;
+      const extractedData = drafts.length > 1 ? sharedFields(drafts) : { ...drafts[0] };
+
+      // Update conversation history (the user-facing message, not the JSON)
+      await this.conversations.append(convId, {
+        userId,
+        turns: [
+          { role: 'user', content: message },
+          { role: 'assistant', content: extraction.message }
+        ],
+        extractedData: { ...extractedData },
+        drafts: drafts.map(ticket => ({ ...ticket })),
+        draftState: draft.state,
+        ticketIds: draft.ticketIds
+      });
 
       // Determine next actions
-      const actions = this.determineActions(extractedData);
-      const suggestions = this.generateSuggestions(extractedData);
+      const actions = this.determineActions(extractedData, drafts, draft.state);
+      const suggestions = this.generateSuggestions(extractedData, drafts);
 
       return {
         success: true,
         conversationId: convId,
-        message: this.cleanResponse(aiResponse),
+        message: extraction.message,
         extractedData,
+        drafts,
+        draft: {
+          state: draft.state,
+          ticketIds: draft.ticketIds
+        },
+        confidence: extraction.confidence,
+        missingFields: [...new Set([...extraction.missingFields, ...drafts.flatMap(ticket => this.platformGaps(ticket))])],
+        extraction: {
+          method: extraction.method,
+          attempts: extraction.attempts,
+          provider: extraction.provider
+        },
+        tokenUsage: {
+          ...prompt.usage,
+          ...extraction.usage
+        },
         actions,
         suggestions,
-        complete: this.isDataComplete(extractedData)
+        complete: drafts.every(draft => this.isDataComplete(draft))
       };
 
     } catch (error) {
@@ -80,143 +161,132 @@ class AIAgent {
     }
   }
 
+  // ============================================
+  // STRUCTURED OUTPUT
+  // ============================================
+
   /**
-   * Build system prompt with instructions
+   * Ask the model for a structured reply to { system, messages, state, catalog },
+   * feeding validation errors back for repair. Falls back to the keyword
+   * heuristics after MAX_ATTEMPTS, and to the rule-based extractor when no
+   * provider is reachable.
+   * Returns { message, data, drafts, confirmed, confidence, missingFields,
+   * method, attempts, provider, usage } - `drafts` has one entry per ticket
+   * requested, `data` the fields they share, `confirmed` whether the user said
+   * yes to the summary; usage adds up the tokens reported for every call
    */
-  buildSystemPrompt() {
-    return `You are an AI assistant helping users create tag requests for advertising platforms.
-
-Your job is to EXTRACT information and ASK FOR CONFIRMATION.
-
-WORKFLOW:
-
-STEP 1 - Extract Everything:
-When the user describes their request, extract ALL fields at once:
-- Client/Account name
-- Platform 
-- Tag Type (Tracker or Video Wrapper)
-- Priority (High, Medium, or Low)
-
-If something is mentioned as "urgent" or "ASAP" → Priority is High
-If something says "when possible" → Priority is Low
-Otherwise → Priority is Medium
-
-STEP 2 - Show Extracted Data:
-After extracting, show everything in this EXACT format:
-"I've extracted the following:
-- Client: [ClientName] ✓
-- Platform: [PlatformName] ✓
-- Tag Type: [TagType] ✓
-- Priority: [Priority] ✓
-
-Is everything correct? If not, please tell me what needs to be changed."
-
-STEP 3 - Handle Corrections:
-- If user says "yes", "correct", "looks good" → Offer to create the ticket
-- If user says a field is wrong (e.g., "platform should be The Trade Desk"), update that field
-- After updating, show the summary again and ask for confirmation
-
-STEP 4 - Create Ticket:
-When everything is confirmed, say:
-"Perfect! Let me create this ticket for you."
-
-Information to extract:
-- account/client: Brand/client name (e.g., Nike, SAP, Cofidis, SNCF Connect)
-- platform: Google DV360, The Trade Desk, Xandr, Google Ad Manager, Amazon, Criteo, Taboola, Outbrain
-- tagType: ONLY "Tracker" or "Video Wrapper"
-- priority: ONLY "High", "Medium", or "Low"
-
-Platform aliases to recognize:
-- Google DV360 = DV360, Display & Video 360
-- Google Ad Manager = GAM, DFP, DoubleClick
-- The Trade Desk = TTD
-- Xandr = AppNexus, Microsoft Advertising
-- Amazon = Amazon Ads, Amazon DSP
-
-Tag type keywords:
-- "tracker", "tracking", "pixel" → Tracker
-- "video wrapper", "wrapper", "video tag" → Video Wrapper
-
-Priority keywords:
-- "urgent", "ASAP", "high priority" → High
-- "when possible", "no rush", "low priority" → Low
-- Otherwise → Medium
-
-IMPORTANT RULES:
-- NEVER mention Meta or Facebook as platform options
-- If user's request is vague (e.g., "I need a tag"), ask clarifying questions
-- Always use the exact confirmation format with ✓ marks
-- Be helpful if user wants to change multiple fields
-
-Example 1 - Complete request:
-User: "urgent Nike tracker for DV360"
-You: "I've extracted the following:
-- Client: Nike ✓
-- Platform: Google DV360 ✓
-- Tag Type: Tracker ✓
-- Priority: High ✓
-
-Is everything correct? If not, please tell me what needs to be changed."
-User: "yes"
-You: "Perfect! Let me create this ticket for you."
-
-Example 2 - Need corrections:
-User: "I've extracted:
-- Client: Nike ✓
-- Platform: Google DV360 ✓
-- Tag Type: Tracker ✓
-- Priority: High ✓"
-User: "platform should be The Trade Desk"
-You: "Got it! Updated to The Trade Desk.
-
-- Client: Nike ✓
-- Platform: The Trade Desk ✓
-- Tag Type: Tracker ✓
-- Priority: High ✓
-
-Is everything correct now?"
-
-Example 3 - Vague request:
-User: "I need a tag"
-You: "I'd be happy to help! To create your tag request, I need a few details:
-- Which client or brand is this for?
-- Which platform? (e.g., Google DV360, The Trade Desk, Xandr)
-- What type of tag? (Tracker or Video Wrapper)
-- What priority? (High, Medium, or Low)"
-
-REMEMBER: Extract first, show summary, ask for confirmation!`;
+  async generateExtraction({ system, messages, state, catalog }, userMessage) {
+    let attemptMessages = messages;
+    let lastReply = '';
+    let provider = null;
+    const usage = { calls: 0, inputTokens: null, outputTokens: null };
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      let reply;
+      try {
+        reply = await this.provider.generate({
+          system,
+          messages: attemptMessages,
+          schema: EXTRACTION_SCHEMA,
+          state,
+          catalog
+        });
+      } catch (error) {
+        if (error.code !== FailoverProvider.UNAVAILABLE) throw error;
+        console.warn(`⚠️ ${error.message} - answering with rule-based extraction`);
+        return { ...this.ruleExtraction(messages, state, catalog), method: 'rules', attempts: attempt, provider: null, usage };
+      }
+
+      lastReply = reply.text;
+      provider = reply.provider || this.provider.name;
+      usage.calls++;
+      if (reply.usage) {
+        usage.inputTokens = (usage.inputTokens || 0) + (reply.usage.inputTokens || 0);
+        usage.outputTokens = (usage.outputTokens || 0) + (reply.usage.outputTokens || 0);
+      }
+
+      const { extraction, errors } = validateExtraction(parseJSONReply(lastReply));
+      if (extraction) {
+        return { ...extraction, method: 'structured', attempts: attempt, provider, usage };
+      }
+
+      console.warn(`⚠️ Invalid structured reply (attempt ${attempt}/${MAX_ATTEMPTS}): ${errors.join('; ')}`);
+      attemptMessages = [
+        ...messages,
+        { role: 'assistant', content: lastReply },
+        { role: 'user', content: this.buildRepairPrompt(errors) }
+      ];
+    }
+
+    return { ...this.heuristicExtraction(lastReply, userMessage, catalog), method: 'heuristic', attempts: MAX_ATTEMPTS, provider, usage };
   }
 
   /**
-   * Build prompt with conversation history
+   * Tell the model what was wrong with its last reply
    */
-  buildPromptWithHistory(systemPrompt, history, newMessage) {
-    let prompt = systemPrompt + '\n\n';
-    
-    // Add conversation history
-    if (history.length > 0) {
-      prompt += 'Previous conversation:\n';
-      for (const msg of history) {
-        prompt += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
-      }
-      prompt += '\n';
-    }
-    
-    // Add current message
-    prompt += `User: ${newMessage}\n\nAssistant: `;
-    
-    return prompt;
+  buildRepairPrompt(errors) {
+    return `Your last reply is not valid. Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY a JSON object with the keys message, ${FIELDS.join(', ')}, confidence and missingFields, as described in the instructions.`;
+  }
+
+  /**
+   * Deterministic extraction from the user's turns alone - no model involved
+   */
+  ruleExtraction(messages, state, catalog) {
+    const extraction = extractFromConversation(messages, state, catalog);
+    return {
+      message: describeExtraction(extraction),
+      data: extraction.data,
+      drafts: extraction.drafts,
+      confirmed: extraction.confirmed,
+      confidence: extraction.confidence,
+      missingFields: extraction.missingFields
+    };
+  }
+
+  /**
+   * Best-effort extraction from an unstructured reply
+   * Fields found by keyword get a flat 0.5 confidence
+   */
+  heuristicExtraction(reply, userMessage, catalog) {
+    // A reply that is JSON but fails validation may still carry a usable message
+    const parsed = parseJSONReply(reply);
+    const message = typeof parsed?.message === 'string' && parsed.message.trim()
+      ? parsed.message.trim()
+      : this.cleanResponse(reply);
+
+    const data = this.extractData(message, userMessage, catalog);
+
+    return {
+      message,
+      data,
+      drafts: [{ ...data }],
+      confirmed: false,
+      confidence: Object.fromEntries(FIELDS.map(field => [field, data[field] ? 0.5 : 0])),
+      missingFields: FIELDS.filter(field => !data[field])
+    };
   }
 
+  // ============================================
+  // PROMPTS
+  // ============================================
+
   /**
-   * Extract structured data from AI response
+   * Build the system prompt for a catalog ({ platforms, clients })
    */
+  buildSystemPrompt(catalog = this.catalog()) {
+    return this.systemPrompt.render(catalog);
+  }
+
   /**
-   * Extract structured data from AI response
+   * Keyword heuristics - only the fallback for when the model never
+   * returns a valid structured reply
    * IMPORTANT: Only extract fields that the AI has EXPLICITLY CONFIRMED
    * Don't extract just because keywords are mentioned - look for confirmation language
    */
-  extractData(aiResponse, userMessage) {
+  extractData(aiResponse, userMessage, catalog = this.catalog()) {
     const data = {
       account: null,
       platform: null,
@@ -249,13 +319,8 @@ REMEMBER: Extract first, show summary, ask for confirmation!`;
 
     // Extract account/client - only if AI confirms it
     if (aiText.includes('client:') || aiText.includes('account:')) {
-      const knownBrands = ['nike', 'sap', 'cofidis', 'sncf', 'sncf connect', 'l\'oréal', 'loreal', 'renault', 'carrefour', 'adidas', 'puma'];
-      for (const brand of knownBrands) {
-        if (combinedText.includes(brand)) {
-          data.account = brand.split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-          break;
-        }
-      }
+      const knownClients = [...catalog.clients].sort((a, b) => b.length - a.length);
+      data.account = knownClients.find(client => combinedText.includes(client.toLowerCase())) || null;
 
       // Try capitalized words if no known brand found
       if (!data.account) {
@@ -271,26 +336,7 @@ REMEMBER: Extract first, show summary, ask for confirmation!`;
 
     // Extract platform - only if AI confirms it
     if (aiText.includes('platform:')) {
-      const platforms = {
-        'Google DV360': ['dv360', 'google dv360', 'display & video', 'display and video'],
-        'Google Ad Manager': ['gam', 'google ad manager', 'dfp', 'doubleclick'],
-        'The Trade Desk': ['trade desk', 'ttd', 'the trade desk'],
-        'Xandr': ['xandr', 'appnexus', 'microsoft advertising'],
-        'Amazon': ['amazon', 'amazon dsp', 'amazon ads'],
-        'Criteo': ['criteo'],
-        'Taboola': ['taboola'],
-        'Outbrain': ['outbrain']
-      };
-
-      for (const [platformName, aliases] of Object.entries(platforms)) {
-        for (const alias of aliases) {
-          if (combinedText.includes(alias)) {
-            data.platform = platformName;
-            break;
-          }
-        }
-        if (data.platform) break;
-      }
+      data.platform = findPlatform(combinedText, catalog.platforms.length > 0 ? catalog.platforms : null);
     }
 
     // Extract tag type - only if AI confirms it
@@ -336,19 +382,32 @@ REMEMBER: Extract first, show summary, ask for confirmation!`;
    * Check if we have all required data
    */
   isDataComplete(data) {
-    return !!(data.account && data.platform && data.tagType && data.priority);
+    return !!(data.account && data.platform && data.tagType && data.priority) &&
+      this.platformGaps(data).length === 0;
+  }
+
+  /**
+   * What a ticket still lacks for its platform (see platform-specs.js)
+   */
+  platformGaps(ticket) {
+    const platform = ticket.platform && this.platformOf(ticket.platform);
+    return platform ? ticketGaps(platform, ticket) : [];
   }
 
   /**
    * Determine what actions to offer
    */
-  determineActions(data) {
+  determineActions(data, drafts = [data], draftState = null) {
     const actions = [];
 
-    if (this.isDataComplete(data)) {
+    // Creating is confirming the summary - offered once it has been shown
+    const ready = draftState
+      ? draftState === 'awaiting_confirmation'
+      : drafts.every(draft => this.isDataComplete(draft));
+    if (ready) {
       actions.push({
         action: 'create',
-        label: '✓ Create Ticket',
+        label: drafts.length > 1 ? `✓ Create ${drafts.length} Tickets` : '✓ Create Ticket',
         primary: true
       });
     }
@@ -365,36 +424,102 @@ REMEMBER: Extract first, show summary, ask for confirmation!`;
   /**
    * Generate suggestions based on context
    */
-  generateSuggestions(data) {
+  generateSuggestions(data, drafts = [data]) {
     const suggestions = [];
+    const missing = field => drafts.some(draft => !draft[field] || this.platformGaps(draft).includes(field));
 
-    if (!data.platform) {
+    if (missing('platform')) {
       suggestions.push('Google DV360', 'The Trade Desk', 'Xandr', 'Google Ad Manager');
     }
 
-    if (!data.tagType) {
-      suggestions.push('Tracker', 'Video Wrapper');
+    if (missing('tagType')) {
+      // The tag types the platform supports, when it is known
+      const platform = data.platform && this.platformOf(data.platform);
+      suggestions.push(...(platform ? specsOf(platform).tagTypes : ['Tracker', 'Video Wrapper']));
     }
 
-    if (!data.priority) {
+    if (missing('priority')) {
       suggestions.push('Low', 'Medium', 'High');
     }
 
     return suggestions;
   }
 
+  /**
+   * A ticket with its platform and account written the way the catalog and
+   * client registry name them
+   */
+  normalizeTicket(ticket) {
+    const platform = ticket.platform && this.resolvePlatform(ticket.platform);
+    const account = ticket.account && this.resolveClient(ticket.account);
+    return {
+      ...ticket,
+      ...(platform ? { platform } : {}),
+      ...(account ? { account } : {})
+    };
+  }
+
+  /**
+   * Record what became of a confirmed draft: 'creating' with the ticket ids
+   * created so far, 'created' with all of them, or back to
+   * 'awaiting_confirmation' when its tickets could not (all) be created
+   */
+  async setDraftState(conversationId, state, ticketIds = []) {
+    return this.conversations.setDraft(conversationId, { draftState: state, ticketIds });
+  }
+
+  /**
+   * Take a confirmed draft to create its tickets: moves it on to 'creating'
+   * Returns null when another message already took it
+   */
+  async claimConfirmedDraft(conversationId) {
+    return this.conversations.moveDraft(conversationId, 'confirmed', 'creating');
+  }
+
   /**
    * Clear conversation history
+   * Returns whether there was a conversation to clear
    */
-  clearConversation(conversationId) {
-    this.conversations.delete(conversationId);
+  async clearConversation(conversationId) {
+    return this.conversations.delete(conversationId);
   }
 
   /**
-   * Get conversation history
+   * The active provider and model (and the failover chain), for /api/health
    */
-  getConversation(conversationId) {
-    return this.conversations.get(conversationId) || [];
+  describeProvider() {
+    if (!this.provider) return null;
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      ...(this.provider.describe ? { chain: this.provider.describe() } : {})
+    };
+  }
+
+  /**
+   * Get a conversation (turns and last extracted data)
+   * Returns null if it doesn't exist or has expired
+   */
+  async getConversation(conversationId) {
+    return this.conversations.get(conversationId);
+  }
+
+  /**
+   * Pick a conversation back up: keeps it from expiring and returns it with
+   * the actions and suggestions for where it left off
+   */
+  async resumeConversation(conversationId) {
+    const conversation = await this.conversations.touch(conversationId);
+    if (!conversation) return null;
+
+    const extractedData = conversation.extractedData || {};
+    const drafts = conversation.drafts || [extractedData];
+    return {
+      conversation,
+      actions: this.determineActions(extractedData, drafts, conversation.draftState),
+      suggestions: this.generateSuggestions(extractedData, drafts),
+      complete: drafts.every(draft => this.isDataComplete(draft))
+    };
   }
 }
 
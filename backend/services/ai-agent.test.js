@@ -0,0 +1,92 @@
+const AIAgent = require('./ai-agent');
+const { MockProvider } = require('./llm-providers');
+const { FailoverProvider } = require('./llm-failover');
+
+const CATALOG = {
+  platforms: [{ id: 'dv360', name: 'Google DV360', aliases: ['DV360'] }],
+  clients: ['Nike']
+};
+const MESSAGE = 'I need a tracker for Nike on DV360, high priority';
+const REQUEST = { system: 'system prompt', messages: [{ role: 'user', content: MESSAGE }], state: null, catalog: CATALOG };
+
+/**
+ * A provider that replies with the given texts in turn
+ */
+function scripted(...texts) {
+  return {
+    name: 'scripted',
+    model: 'test',
+    generate: jest.fn(async () => ({ text: texts.shift(), usage: { inputTokens: 10, outputTokens: 5 } }))
+  };
+}
+
+async function validReply() {
+  return (await new MockProvider().generate({ messages: REQUEST.messages, catalog: CATALOG })).text;
+}
+
+describe('AIAgent structured extraction', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes the first valid reply', async () => {
+    const provider = scripted(await validReply());
+    const agent = new AIAgent({ provider });
+
+    const extraction = await agent.generateExtraction(REQUEST, MESSAGE);
+
+    expect(extraction).toMatchObject({ method: 'structured', attempts: 1, provider: 'scripted' });
+    expect(extraction.data).toMatchObject({ account: 'Nike', platform: 'Google DV360' });
+    expect(extraction.usage).toEqual({ calls: 1, inputTokens: 10, outputTokens: 5 });
+  });
+
+  test('sends an invalid reply back for repair with its problems', async () => {
+    const invalid = JSON.stringify({ message: 'Got it', tagType: 'Banner' });
+    const provider = scripted(invalid, await validReply());
+    const agent = new AIAgent({ provider });
+
+    const extraction = await agent.generateExtraction(REQUEST, MESSAGE);
+
+    expect(extraction).toMatchObject({ method: 'structured', attempts: 2 });
+    expect(extraction.usage).toEqual({ calls: 2, inputTokens: 20, outputTokens: 10 });
+
+    const { messages } = provider.generate.mock.calls[1][0];
+    expect(messages.slice(0, 2)).toEqual([REQUEST.messages[0], { role: 'assistant', content: invalid }]);
+    expect(messages[2].role).toBe('user');
+    expect(messages[2].content).toMatch(/Your last reply is not valid/);
+    expect(messages[2].content).toMatch(/tagType/);
+  });
+
+  test('falls back to the keyword heuristics when no reply is valid', async () => {
+    const provider = scripted('not json', 'still not json', 'Great - a Tracker for Nike on DV360?');
+    const agent = new AIAgent({ provider });
+
+    const extraction = await agent.generateExtraction(REQUEST, MESSAGE);
+
+    expect(provider.generate).toHaveBeenCalledTimes(3);
+    expect(extraction).toMatchObject({ method: 'heuristic', attempts: 3, confirmed: false });
+    expect(extraction.message).toBe('Great - a Tracker for Nike on DV360?');
+  });
+
+  test('answers with the rule-based extractor when every provider is down', async () => {
+    const down = { name: 'down', model: 'test', generate: jest.fn().mockRejectedValue(Object.assign(new Error('Bad Request'), { status: 400 })) };
+    const agent = new AIAgent({ provider: new FailoverProvider([down], { maxRetries: 0 }) });
+
+    const extraction = await agent.generateExtraction(REQUEST, MESSAGE);
+
+    expect(extraction).toMatchObject({ method: 'rules', attempts: 1, provider: null });
+    expect(extraction.data).toMatchObject({ account: 'Nike', platform: 'Google DV360', tagType: 'Tracker', priority: 'High' });
+  });
+
+  test('lets other errors through', async () => {
+    const provider = { name: 'broken', model: 'test', generate: jest.fn().mockRejectedValue(new Error('boom')) };
+    const agent = new AIAgent({ provider });
+
+    await expect(agent.generateExtraction(REQUEST, MESSAGE)).rejects.toThrow('boom');
+  });
+});
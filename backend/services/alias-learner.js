@@ -0,0 +1,133 @@
+/**
+ * Alias Learner
+ * Learns platform aliases from the corrections users confirm: a platform name
+ * the matcher did not know ("amzn dsp"), then the platform the user picked
+ * from the suggestions it got ("Amazon Advertising"). server.js records them
+ * from /api/chat and /api/tickets/create.
+ *
+ * Each correction (name -> platform) is counted. Once the same one has been
+ * confirmed `threshold` times (ALIAS_LEARN_THRESHOLD, 3 by default) it is
+ * proposed to the admins; approving it adds the name to the platform's
+ * aliases, rejecting it stops it from being counted again. Entries:
+ *
+ *   { id, input, platformId, count, status, firstSeenAt, lastSeenAt,
+ *     decidedBy, decidedAt }
+ *
+ * status: 'learning' -> 'proposed' -> 'approved' | 'rejected'
+ *
+ * server.js saves the entries with the storage driver, as the
+ * 'learned_aliases' catalog (see getCatalog / saveCatalog).
+ */
+
+const { normalizeString } = require('./fuzzy-match');
+
+const DEFAULT_THRESHOLD = 3;
+
+const STATUSES = ['learning', 'proposed', 'approved', 'rejected'];
+
+/**
+ * The learner's settings from the environment
+ */
+function learnerOptionsFromEnv(env = process.env) {
+  const threshold = parseInt(env.ALIAS_LEARN_THRESHOLD, 10);
+  return {
+    threshold: threshold > 0 ? threshold : DEFAULT_THRESHOLD
+  };
+}
+
+class AliasLearner {
+  constructor({ threshold = DEFAULT_THRESHOLD } = {}) {
+    this.threshold = threshold;
+    this.setEntries([]);
+  }
+
+  /**
+   * Replace the entries (as saved)
+   */
+  setEntries(entries) {
+    this.entries = entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * The entries, most confirmed first - optionally only those with a status
+   */
+  list(status = null) {
+    return this.entries
+      .filter(entry => !status || entry.status === status)
+      .map(entry => ({ ...entry }))
+      .sort((a, b) => b.count - a.count || b.lastSeenAt.localeCompare(a.lastSeenAt));
+  }
+
+  get(id) {
+    const entry = this.entries.find(entry => entry.id === id);
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * The entries with a correction counted: `input` turned out to be the
+   * platform `platformId`
+   * Returns { entries, entry, proposed } - `proposed` when this correction
+   * made it a proposal - or { entries, entry: null } when it is not counted
+   * (an empty name, or an alias already approved or rejected)
+   */
+  planRecord(input, platformId) {
+    const key = normalizeString(input || '');
+    if (!key || !platformId) {
+      return { entries: this.list(), entry: null, proposed: false };
+    }
+
+    const id = `${platformId}:${key}`;
+    const now = new Date().toISOString();
+    const current = this.get(id);
+    if (current && (current.status === 'approved' || current.status === 'rejected')) {
+      return { entries: this.list(), entry: null, proposed: false };
+    }
+
+    const count = (current?.count || 0) + 1;
+    const entry = {
+      id,
+      input: current?.input || String(input).trim(),
+      platformId,
+      count,
+      status: count >= this.threshold ? 'proposed' : 'learning',
+      firstSeenAt: current?.firstSeenAt || now,
+      lastSeenAt: now,
+      decidedBy: null,
+      decidedAt: null
+    };
+
+    return {
+      entries: [...this.list().filter(other => other.id !== id), entry],
+      entry,
+      proposed: entry.status === 'proposed' && current?.status !== 'proposed'
+    };
+  }
+
+  /**
+   * The entries with a proposal approved or rejected
+   * Returns { entries, entry, errors }
+   */
+  planDecide(id, status, userId) {
+    const current = this.get(id);
+    if (!current) {
+      return { entries: this.list(), entry: null, errors: [`learned alias "${id}" not found`] };
+    }
+    if (status !== 'approved' && status !== 'rejected') {
+      return { entries: this.list(), entry: null, errors: ['status must be approved or rejected'] };
+    }
+    if (current.status !== 'proposed' && current.status !== 'learning') {
+      return { entries: this.list(), entry: null, errors: [`learned alias "${current.input}" is already ${current.status}`] };
+    }
+
+    const entry = { ...current, status, decidedBy: userId || 'anonymous', decidedAt: new Date().toISOString() };
+    return {
+      entries: this.list().map(other => other.id === id ? entry : other),
+      entry,
+      errors: []
+    };
+  }
+}
+
+AliasLearner.STATUSES = STATUSES;
+
+module.exports = { AliasLearner, learnerOptionsFromEnv };
@@ -0,0 +1,66 @@
+const { AliasLearner, learnerOptionsFromEnv } = require('./alias-learner');
+
+// Count a correction the way server.js does: plan it, then save the entries
+function record(learner, input, platformId) {
+  const plan = learner.planRecord(input, platformId);
+  if (plan.entry) learner.setEntries(plan.entries);
+  return plan;
+}
+
+describe('AliasLearner', () => {
+  test('proposes a correction once, when it reaches the threshold', () => {
+    const learner = new AliasLearner({ threshold: 3 });
+
+    const plans = ['amzn', 'AMZN', ' amzn ', 'amzn'].map(input => record(learner, input, 'amazon'));
+
+    expect(plans.map(plan => plan.entry.status)).toEqual(['learning', 'learning', 'proposed', 'proposed']);
+    expect(plans.map(plan => plan.proposed)).toEqual([false, false, true, false]);
+    expect(learner.list()).toEqual([expect.objectContaining({ id: 'amazon:amzn', input: 'amzn', count: 4 })]);
+  });
+
+  test('counts a name separately for each platform it was corrected to', () => {
+    const learner = new AliasLearner();
+    record(learner, 'amzn', 'amazon');
+    record(learner, 'amzn', 'amobee');
+    record(learner, 'amzn', 'amazon');
+
+    expect(learner.list().map(({ id, count }) => ({ id, count })))
+      .toEqual([{ id: 'amazon:amzn', count: 2 }, { id: 'amobee:amzn', count: 1 }]);
+  });
+
+  test('stops counting an approved or rejected alias', () => {
+    const learner = new AliasLearner({ threshold: 1 });
+    record(learner, 'amzn', 'amazon');
+    record(learner, 'goog', 'gam');
+
+    for (const [id, status] of [['amazon:amzn', 'approved'], ['gam:goog', 'rejected']]) {
+      const decision = learner.planDecide(id, status, 'admin');
+      expect(decision.errors).toEqual([]);
+      expect(decision.entry).toMatchObject({ status, decidedBy: 'admin' });
+      learner.setEntries(decision.entries);
+    }
+
+    expect(record(learner, 'amzn', 'amazon').entry).toBeNull();
+    expect(record(learner, 'goog', 'gam').entry).toBeNull();
+    expect(learner.list().map(entry => entry.count)).toEqual([1, 1]);
+  });
+
+  test('refuses to decide twice, or on an unknown alias', () => {
+    const learner = new AliasLearner();
+    record(learner, 'amzn', 'amazon');
+    learner.setEntries(learner.planDecide('amazon:amzn', 'rejected').entries);
+
+    expect(learner.planDecide('amazon:amzn', 'approved').errors).toEqual(['learned alias "amzn" is already rejected']);
+    expect(learner.planDecide('amazon:amzn', 'maybe').errors).toEqual(['status must be approved or rejected']);
+    expect(learner.planDecide('gam:goog', 'approved').errors).toEqual(['learned alias "gam:goog" not found']);
+  });
+
+  test('does not count an empty name', () => {
+    expect(new AliasLearner().planRecord('  ', 'amazon').entry).toBeNull();
+  });
+
+  test('reads the threshold from ALIAS_LEARN_THRESHOLD', () => {
+    expect(learnerOptionsFromEnv({ ALIAS_LEARN_THRESHOLD: '5' })).toEqual({ threshold: 5 });
+    expect(learnerOptionsFromEnv({ ALIAS_LEARN_THRESHOLD: 'zero' })).toEqual({ threshold: 3 });
+  });
+});
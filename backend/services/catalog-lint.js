@@ -0,0 +1,153 @@
+/**
+ * Catalog Lint
+ * Checks a platform catalog (the `platforms` of config/platforms.json, or the
+ * catalog saved through the API) for what PlatformMatcher would otherwise
+ * get silently wrong. Used when the catalog is loaded, by GET
+ * /api/platforms/lint and by scripts/lint-catalog.js.
+ *
+ * Errors - the catalog is refused:
+ *   missing_id, missing_name   a platform without an id or name
+ *   duplicate_id               two platforms share an id
+ *   alias_collision            two platforms share a name, alias or seat once
+ *                              normalized ("dfp_gpt" and "dfpgpt") - the later
+ *                              one would take the key over
+ *   invalid_specs              tag types, required fields, macros, ad servers
+ *                              or docs that are not valid (see platform-specs.js)
+ * Warnings - the catalog loads:
+ *   missing_priority           a platform without a priority sorts last
+ *   redundant_alias            aliases of one platform that normalize alike
+ *   near_duplicate_name        platform names a typo apart
+ *   ambiguous_alias            a name or alias that fuzzy-matches other platforms
+ *   unknown_seat_client        a seat for a client not in the client registry
+ */
+
+const { normalizeString, calculateSimilarity, levenshteinRatio } = require('./fuzzy-match');
+const { validateSpecs } = require('./platform-specs');
+
+// Same threshold as PlatformMatcher.matchPlatform
+const FUZZY_THRESHOLD = 0.8;
+
+/**
+ * Every name, alias and seat id/alias a platform is matched by
+ */
+function platformLabels(platform) {
+  return [
+    platform.name,
+    ...(platform.aliases || []),
+    ...(platform.seats || []).flatMap(seat => [seat.id, ...(seat.aliases || [])])
+  ].filter(label => typeof label === 'string' && label.trim());
+}
+
+function describe(platform, index) {
+  return platform.id ? `${platform.name || '?'} (${platform.id})` : `platforms[${index}]`;
+}
+
+/**
+ * Lint a catalog. `clients` (client ids) enables the seat client check.
+ * Returns { valid, errors, warnings } - each issue is { code, message, platforms }
+ */
+function lintCatalog(platforms, { clients = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const issue = (list, code, message, ids) => list.push({ code, message, platforms: ids.filter(Boolean) });
+
+  if (!Array.isArray(platforms)) {
+    return { valid: false, errors: [{ code: 'invalid_catalog', message: 'platforms must be a list', platforms: [] }], warnings };
+  }
+
+  const ids = new Map();
+  const owners = new Map(); // Normalized label -> { platform, index, label }
+
+  platforms.forEach((platform, index) => {
+    const name = describe(platform, index);
+
+    if (!platform.id) {
+      issue(errors, 'missing_id', `${name} has no id`, []);
+    } else if (ids.has(platform.id)) {
+      issue(errors, 'duplicate_id', `id "${platform.id}" is used by ${ids.get(platform.id)} and ${name}`, [platform.id]);
+    } else {
+      ids.set(platform.id, name);
+    }
+
+    if (!platform.name) {
+      issue(errors, 'missing_name', `${name} has no name`, [platform.id]);
+    }
+    for (const error of validateSpecs(platform)) {
+      issue(errors, 'invalid_specs', `${name}: ${error}`, [platform.id]);
+    }
+    if (platform.priority === undefined || platform.priority === null) {
+      issue(warnings, 'missing_priority', `${name} has no priority`, [platform.id]);
+    }
+
+    const own = new Map(); // This platform's labels, to spot redundant ones
+    const seatIds = new Set((platform.seats || []).map(seat => seat.id));
+    for (const label of platformLabels(platform)) {
+      const key = normalizeString(label);
+      if (!key) continue;
+
+      if (own.has(key)) {
+        // A seat's id is a code, so a readable alias spelling it out is fine
+        if (own.get(key) !== label && !seatIds.has(own.get(key)) && !seatIds.has(label)) {
+          issue(warnings, 'redundant_alias', `${name}: "${own.get(key)}" and "${label}" are the same alias once normalized`, [platform.id]);
+        }
+        continue;
+      }
+      own.set(key, label);
+
+      const owner = owners.get(key);
+      if (owner) {
+        issue(errors, 'alias_collision',
+          `"${label}" of ${name} and "${owner.label}" of ${describe(owner.platform, owner.index)} are the same once normalized ("${key}")`,
+          [owner.platform.id, platform.id]);
+      } else {
+        owners.set(key, { platform, index, label });
+      }
+    }
+
+    if (clients) {
+      for (const seat of platform.seats || []) {
+        if (!clients.includes(seat.client)) {
+          issue(warnings, 'unknown_seat_client', `${name}: seat "${seat.id}" is for unknown client "${seat.client}"`, [platform.id]);
+        }
+      }
+    }
+  });
+
+  // Fuzzy checks compare every pair of platforms
+  const normalized = platforms.map(platform => ({
+    platform,
+    name: normalizeString(platform.name || ''),
+    labels: platformLabels(platform)
+      .map(label => ({ label, key: normalizeString(label) }))
+      .filter(({ key }, index, labels) => key && labels.findIndex(other => other.key === key) === index)
+  }));
+
+  normalized.forEach((a, i) => {
+    normalized.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      if (a.name && b.name && a.name !== b.name && levenshteinRatio(a.name, b.name) >= FUZZY_THRESHOLD) {
+        issue(warnings, 'near_duplicate_name',
+          `${describe(a.platform, i)} and ${describe(b.platform, j)} have nearly the same name`,
+          [a.platform.id, b.platform.id]);
+      }
+    });
+
+    for (const { label, key } of a.labels) {
+      const others = normalized
+        .filter(b => b !== a && b.labels.some(other => other.key !== key && calculateSimilarity(label, other.label) > FUZZY_THRESHOLD))
+        .map(b => b.platform);
+      if (others.length > 0) {
+        issue(warnings, 'ambiguous_alias',
+          `"${label}" of ${describe(a.platform, i)} also fuzzy-matches ${others.map(other => other.name).join(', ')}`,
+          [a.platform.id, ...others.map(other => other.id)]);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  lintCatalog,
+  platformLabels
+};
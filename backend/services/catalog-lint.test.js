@@ -0,0 +1,51 @@
+const { lintCatalog } = require('./catalog-lint');
+
+const platform = (id, name, extra = {}) => ({ id, name, priority: 1, aliases: [], ...extra });
+
+describe('lintCatalog', () => {
+  test('passes a clean catalog', () => {
+    expect(lintCatalog([platform('gam', 'Google Ad Manager'), platform('dv360', 'Display & Video 360')]))
+      .toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('reports names that are the same once normalized as an error', () => {
+    const { valid, errors } = lintCatalog([platform('dfp_gpt', 'DFP GPT'), platform('dfpgpt', 'DFPGPT')]);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([{
+      code: 'alias_collision',
+      message: '"DFPGPT" of DFPGPT (dfpgpt) and "DFP GPT" of DFP GPT (dfp_gpt) are the same once normalized ("dfpgpt")',
+      platforms: ['dfp_gpt', 'dfpgpt']
+    }]);
+  });
+
+  test('reports an alias taken by another platform as an error', () => {
+    const { errors } = lintCatalog([
+      platform('gam', 'Google Ad Manager', { aliases: ['DFP'] }),
+      platform('dfp_gpt', 'DFP GPT', { aliases: ['dfp'] })
+    ]);
+
+    expect(errors.map(({ code, platforms }) => ({ code, platforms })))
+      .toEqual([{ code: 'alias_collision', platforms: ['gam', 'dfp_gpt'] }]);
+  });
+
+  test('reports duplicate and missing ids as errors', () => {
+    const { valid, errors } = lintCatalog([
+      platform('gam', 'GAM'),
+      platform('gam', 'Google Ad Manager'),
+      { name: 'Nameless id' }
+    ]);
+
+    expect(valid).toBe(false);
+    expect(errors.map(error => error.code).sort()).toEqual(['duplicate_id', 'missing_id']);
+    expect(errors.find(error => error.code === 'duplicate_id').message)
+      .toBe('id "gam" is used by GAM (gam) and Google Ad Manager (gam)');
+  });
+
+  test('only warns about a missing priority', () => {
+    const { valid, warnings } = lintCatalog([{ id: 'gam', name: 'Google Ad Manager', aliases: [] }]);
+
+    expect(valid).toBe(true);
+    expect(warnings.map(warning => warning.code)).toEqual(['missing_priority']);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Chat Draft
+ * The confirm-and-create flow of a chat conversation, kept server-side as an
+ * explicit draft instead of being read back from the model's wording:
+ *
+ *   collecting → awaiting_confirmation → confirmed → creating → created
+ *
+ * - collecting: some ticket in the draft is still missing a field (or a
+ *   detail its platform requires - see platform-specs.js)
+ * - awaiting_confirmation: every field is filled; the user has been shown
+ *   the summary
+ * - confirmed: the user said "yes" to that summary without changing anything -
+ *   the server creates the ticket(s) now
+ * - creating: the server is creating them - only the message that moved the
+ *   draft on from confirmed does (see ConversationStore.moveDraft)
+ * - created: the ticket(s) exist; another "yes" creates nothing
+ *
+ * Each message's extraction is merged into the draft: fields it fills replace
+ * the draft's, fields it leaves empty keep their value. Changing a field sends
+ * a confirmed or created draft back to be confirmed again.
+ */
+
+const { FIELDS, DETAIL_FIELDS } = require('./extraction-schema');
+const { isConfirmation } = require('./rule-extractor');
+
+const DRAFT_STATES = ['collecting', 'awaiting_confirmation', 'confirmed', 'creating', 'created'];
+
+// Everything a message can fill in on a ticket
+const TICKET_FIELDS = [...FIELDS, ...DETAIL_FIELDS];
+
+function isComplete(ticket) {
+  return FIELDS.every(field => ticket[field]);
+}
+
+/**
+ * Merge an extraction's tickets into the draft's. A different number of
+ * tickets is a new request, so it replaces the draft's tickets outright.
+ */
+function mergeTickets(previous, extracted) {
+  if (!previous || previous.length !== extracted.length) {
+    return extracted.map(ticket => ({ ...ticket }));
+  }
+  return extracted.map((ticket, index) => {
+    const merged = { ...previous[index] };
+    for (const field of TICKET_FIELDS) {
+      if (ticket[field]) merged[field] = ticket[field];
+    }
+    return merged;
+  });
+}
+
+function sameTickets(a, b) {
+  return a.length === b.length &&
+    a.every((ticket, index) => TICKET_FIELDS.every(field => (ticket[field] || null) === (b[index][field] || null)));
+}
+
+/**
+ * The draft after a user message
+ * `previous` is the conversation's { state, tickets, ticketIds } (null for a
+ * new conversation), `extraction` the { drafts, confirmed, method } extracted
+ * from the message. `complete` tells whether a ticket has everything it needs
+ * (default: the four fields). Returns { state, tickets, ticketIds, changed }.
+ */
+function advanceDraft(previous, { drafts, confirmed, method }, message, complete = isComplete) {
+  const state = previous?.state || 'collecting';
+  const tickets = mergeTickets(previous?.tickets, drafts);
+  const changed = !previous?.tickets || !sameTickets(previous.tickets, tickets);
+  // Tickets already created for these drafts - all of them once 'created',
+  // the first few when creating them failed part way (they are not created
+  // again). A change makes them a new request.
+  const ticketIds = changed ? [] : previous?.ticketIds || [];
+
+  // Nothing new while or after the tickets are created ("yes" again, "thanks")
+  if ((state === 'creating' || state === 'created') && !changed) {
+    return { state, tickets, ticketIds, changed };
+  }
+
+  if (!tickets.every(ticket => complete(ticket))) {
+    return { state: 'collecting', tickets, ticketIds: [], changed };
+  }
+
+  // "yes" only counts as an answer to a summary the user has already seen.
+  // A structured reply decides on its own - "ok, but is DV360 right?" is no
+  // yes; the keyword check is for the rules and heuristic fallbacks.
+  const saysYes = method === 'structured'
+    ? confirmed === true
+    : confirmed === true || isConfirmation(message);
+  if (state === 'awaiting_confirmation' && !changed && saysYes) {
+    return { state: 'confirmed', tickets, ticketIds, changed };
+  }
+
+  return { state: 'awaiting_confirmation', tickets, ticketIds, changed };
+}
+
+/**
+ * The fields all of a draft's tickets share (null where they differ)
+ */
+function sharedFields(tickets) {
+  return Object.fromEntries(FIELDS.map(field => [
+    field,
+    tickets.every(ticket => ticket[field] === tickets[0][field]) ? tickets[0][field] || null : null
+  ]));
+}
+
+module.exports = {
+  DRAFT_STATES,
+  advanceDraft,
+  sharedFields
+};
@@ -0,0 +1,54 @@
+const { advanceDraft } = require('./chat-draft');
+
+const TICKET = { account: 'Nike', platform: 'Google DV360', tagType: 'Tracker', priority: 'High' };
+const AWAITING = { state: 'awaiting_confirmation', tickets: [TICKET], ticketIds: [] };
+
+describe('advanceDraft', () => {
+  test('asks for confirmation once every field is filled', () => {
+    const draft = advanceDraft(null, { drafts: [TICKET], confirmed: false, method: 'structured' }, 'Tracker for Nike on DV360, high');
+    expect(draft).toMatchObject({ state: 'awaiting_confirmation', changed: true });
+  });
+
+  test('confirms a structured reply only on its confirmed flag', () => {
+    const unchanged = { drafts: [{ ...TICKET }], method: 'structured' };
+
+    expect(advanceDraft(AWAITING, { ...unchanged, confirmed: false }, 'ok, but is DV360 right?').state)
+      .toBe('awaiting_confirmation');
+    expect(advanceDraft(AWAITING, { ...unchanged, confirmed: true }, 'looks good').state)
+      .toBe('confirmed');
+  });
+
+  test('reads "yes" from the message on the fallback paths', () => {
+    for (const method of ['rules', 'heuristic']) {
+      const extraction = { drafts: [{ ...TICKET }], confirmed: false, method };
+      expect(advanceDraft(AWAITING, extraction, 'yes').state).toBe('confirmed');
+      expect(advanceDraft(AWAITING, extraction, 'is DV360 right?').state).toBe('awaiting_confirmation');
+    }
+  });
+
+  test('leaves a draft being created alone until something changes', () => {
+    const creating = { ...AWAITING, state: 'creating' };
+    const unchanged = { drafts: [{ ...TICKET }], confirmed: true, method: 'structured' };
+    expect(advanceDraft(creating, unchanged, 'yes').state).toBe('creating');
+
+    const changed = { ...unchanged, drafts: [{ ...TICKET, priority: 'Low' }] };
+    expect(advanceDraft(creating, changed, 'make it low').state).toBe('awaiting_confirmation');
+  });
+
+  test('keeps the tickets already created until the drafts change', () => {
+    const partial = { ...AWAITING, ticketIds: ['ticket_1'] };
+    const unchanged = { drafts: [{ ...TICKET }], confirmed: true, method: 'structured' };
+    expect(advanceDraft(partial, unchanged, 'yes')).toMatchObject({ state: 'confirmed', ticketIds: ['ticket_1'] });
+
+    const changed = { ...unchanged, drafts: [{ ...TICKET, priority: 'Low' }] };
+    expect(advanceDraft(partial, changed, 'make it low').ticketIds).toEqual([]);
+  });
+
+  test('does not confirm a change, or a summary not yet shown', () => {
+    const changed = { drafts: [{ ...TICKET, priority: 'Low' }], confirmed: true, method: 'structured' };
+    expect(advanceDraft(AWAITING, changed, 'yes, but low priority').state).toBe('awaiting_confirmation');
+
+    const first = { drafts: [TICKET], confirmed: true, method: 'structured' };
+    expect(advanceDraft(null, first, 'yes').state).toBe('awaiting_confirmation');
+  });
+});
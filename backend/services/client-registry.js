@@ -0,0 +1,268 @@
+/**
+ * Client Registry
+ * The known clients (accounts), loaded from config/clients.json (or the file
+ * at CLIENTS_CONFIG). The chat agent lists them in its system prompt, and
+ * ticket creation stores each account under its registered name, so "nike",
+ * "NIKE FR" and "Nike" are one client:
+ *
+ *   { "id": "nike", "name": "Nike", "aliases": ["Nike France", "NIKE FR"] }
+ *
+ * Names are matched like platforms (see PlatformMatcher): exactly on the name
+ * or an alias, ignoring case, accents and punctuation, then fuzzily. A fuzzy
+ * match only counts when a single client is close enough; otherwise the
+ * closest clients are offered as suggestions. With "allowUnknown": false,
+ * tickets for an account that matches no client are rejected.
+ *
+ * Clients edited through the API replace the file's list; server.js saves
+ * them with the storage driver (see getCatalog / saveCatalog).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeString, calculateSimilarity } = require('./fuzzy-match');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/clients.json');
+
+// Fuzzy score a name needs to count as a client (as for platforms)
+const MATCH_THRESHOLD = 0.8;
+
+// ...and to be suggested
+const SUGGESTION_THRESHOLD = 0.3;
+
+/**
+ * A client id from its name - "SNCF Connect" -> "sncf-connect"
+ */
+function slugify(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * A client as stored: { id, name, aliases }
+ */
+function toClient(client) {
+  return {
+    id: client.id || slugify(client.name),
+    name: client.name.trim(),
+    aliases: (client.aliases || []).map(alias => alias.trim())
+  };
+}
+
+class ClientRegistry {
+  constructor(config) {
+    const errors = ClientRegistry.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid clients config: ${errors.join('; ')}`);
+    }
+
+    this.allowUnknown = config.allowUnknown !== false;
+    this.setClients(config.clients);
+  }
+
+  /**
+   * Load the registry from a JSON file (defaults to config/clients.json)
+   */
+  static load(filePath = DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new ClientRegistry(config);
+  }
+
+  /**
+   * Return the problems with a clients config - empty when it is valid
+   * No two clients may share an id, or a name or alias once normalized
+   */
+  static validate(config) {
+    if (!Array.isArray(config?.clients)) {
+      return ['clients must be a list'];
+    }
+
+    const errors = [];
+    const ids = new Set();
+    const owners = new Map(); // Normalized name or alias -> client name
+    config.clients.forEach((client, index) => {
+      if (!client?.name || typeof client.name !== 'string' || !client.name.trim()) {
+        errors.push(`clients[${index}]: name is required`);
+        return;
+      }
+      if (client.id !== undefined && (typeof client.id !== 'string' || !client.id)) {
+        errors.push(`client "${client.name}": id must be a non-empty string`);
+      }
+      if (client.aliases !== undefined &&
+          (!Array.isArray(client.aliases) || client.aliases.some(alias => typeof alias !== 'string' || !alias.trim()))) {
+        errors.push(`client "${client.name}": aliases must be a list of names`);
+        return;
+      }
+
+      const id = client.id || slugify(client.name);
+      if (ids.has(id)) {
+        errors.push(`client id "${id}" is used twice`);
+      }
+      ids.add(id);
+
+      for (const label of new Set([client.name, ...(client.aliases || [])].map(normalizeString))) {
+        const owner = owners.get(label);
+        if (owner === client.name) {
+          errors.push(`client "${client.name}" is listed twice`);
+        } else if (owner) {
+          errors.push(`client "${client.name}" shares a name or alias with "${owner}"`);
+        } else {
+          owners.set(label, client.name);
+        }
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Replace the clients - the caller has validated them
+   */
+  setClients(clients) {
+    this.clients = clients.map(toClient);
+    this.aliasMap = new Map();
+    for (const client of this.clients) {
+      for (const label of [client.name, ...client.aliases]) {
+        this.aliasMap.set(normalizeString(label), client);
+      }
+    }
+  }
+
+  /**
+   * Replace the clients with an edited list
+   * Returns the problems with the list - nothing is changed unless it is empty
+   */
+  replace(clients) {
+    const errors = ClientRegistry.validate({ clients });
+    if (errors.length === 0) {
+      this.setClients(clients);
+    }
+    return errors;
+  }
+
+  names() {
+    return this.clients.map(client => client.name);
+  }
+
+  list() {
+    return this.clients.map(client => ({ ...client, aliases: [...client.aliases] }));
+  }
+
+  get(id) {
+    return this.clients.find(client => client.id === id) || null;
+  }
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * How close a name is to each client (its best name or alias score),
+   * closest first
+   */
+  score(input) {
+    return this.clients
+      .map(client => ({
+        client,
+        score: Math.max(...[client.name, ...client.aliases]
+          .map(label => calculateSimilarity(input, label)))
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * The client a name refers to, or null when none (or more than one) is
+   * close enough
+   */
+  matchClient(input) {
+    if (!input || !normalizeString(input)) return null;
+
+    const exact = this.aliasMap.get(normalizeString(input));
+    if (exact) return exact;
+
+    const close = this.score(input).filter(({ score }) => score > MATCH_THRESHOLD);
+    return close.length === 1 ? close[0].client : null;
+  }
+
+  suggestClients(input, limit = 5) {
+    if (!input) return [];
+
+    return this.score(input)
+      .filter(({ score }) => score > SUGGESTION_THRESHOLD)
+      .slice(0, limit)
+      .map(({ client, score }) => ({
+        id: client.id,
+        name: client.name,
+        score,
+        aliases: client.aliases
+      }));
+  }
+
+  /**
+   * Check an account name for a new ticket
+   * Returns { account, clientId } - the registered name, or the name as given
+   * for an unknown client - or { suggestions } when the name is ambiguous, or
+   * unknown and unknown accounts are not allowed
+   */
+  resolveAccount(input) {
+    const client = this.matchClient(input);
+    if (client) {
+      return { account: client.name, clientId: client.id };
+    }
+
+    const suggestions = this.suggestClients(input);
+    const ambiguous = suggestions.filter(({ score }) => score > MATCH_THRESHOLD).length > 1;
+    if (ambiguous || !this.allowUnknown) {
+      return { suggestions };
+    }
+    return { account: String(input).trim(), clientId: null };
+  }
+
+  // ============================================
+  // EDITING
+  // ============================================
+
+  /**
+   * The client list with a new client added
+   * Returns { clients, client, errors }
+   */
+  planCreate({ id, name, aliases }) {
+    const client = { ...(id ? { id } : {}), name, aliases: aliases || [] };
+    const clients = [...this.list(), client];
+    const errors = ClientRegistry.validate({ clients });
+    return { clients, client: errors.length === 0 ? toClient(client) : null, errors };
+  }
+
+  /**
+   * The client list with a client's name and/or aliases changed - its id stays
+   * Returns { clients, client, errors }
+   */
+  planUpdate(id, { name, aliases }) {
+    const clients = this.list().map(client => client.id !== id ? client : {
+      ...client,
+      ...(name !== undefined ? { name } : {}),
+      ...(aliases !== undefined ? { aliases } : {})
+    });
+    const errors = ClientRegistry.validate({ clients });
+    const client = clients.find(client => client.id === id);
+    return { clients, client: errors.length === 0 ? toClient(client) : null, errors };
+  }
+
+  /**
+   * The client list without a client
+   * Returns { clients, client, errors }
+   */
+  planDelete(id) {
+    return {
+      clients: this.list().filter(client => client.id !== id),
+      client: this.get(id),
+      errors: []
+    };
+  }
+}
+
+ClientRegistry.slugify = slugify;
+
+module.exports = ClientRegistry;
@@ -0,0 +1,71 @@
+const ClientRegistry = require('./client-registry');
+
+const CONFIG = {
+  clients: [
+    { id: 'nike', name: 'Nike', aliases: ['Nike France', 'NIKE FR'] },
+    { name: 'SNCF Connect', aliases: ['SNCF'] },
+    { name: "L'Oréal" },
+    { name: 'Orange Bank' },
+    { name: 'Orange Business' }
+  ]
+};
+
+describe('ClientRegistry', () => {
+  const registry = new ClientRegistry(CONFIG);
+
+  test('matches a name or alias, ignoring case, accents and punctuation', () => {
+    expect(registry.resolveAccount('nike fr')).toEqual({ account: 'Nike', clientId: 'nike' });
+    expect(registry.resolveAccount('NIKE-FRANCE')).toEqual({ account: 'Nike', clientId: 'nike' });
+    expect(registry.resolveAccount('loreal')).toEqual({ account: "L'Oréal", clientId: 'l-oreal' });
+    expect(registry.resolveAccount(' sncf ')).toEqual({ account: 'SNCF Connect', clientId: 'sncf-connect' });
+  });
+
+  test('matches a misspelled name when a single client is close', () => {
+    expect(registry.resolveAccount('Nikee')).toEqual({ account: 'Nike', clientId: 'nike' });
+    expect(registry.resolveAccount('Orange Bnk')).toEqual({ account: 'Orange Bank', clientId: 'orange-bank' });
+  });
+
+  test('offers suggestions instead of picking between close clients', () => {
+    const { account, suggestions } = registry.resolveAccount('Orange');
+
+    expect(account).toBeUndefined();
+    expect(suggestions.slice(0, 2).map(suggestion => suggestion.id)).toEqual(['orange-bank', 'orange-business']);
+    expect(suggestions[0]).toEqual({ id: 'orange-bank', name: 'Orange Bank', score: expect.any(Number), aliases: [] });
+  });
+
+  test('keeps an unknown account as given, unless unknown accounts are refused', () => {
+    expect(registry.resolveAccount('Acme Corp ')).toEqual({ account: 'Acme Corp', clientId: null });
+
+    const strict = new ClientRegistry({ ...CONFIG, allowUnknown: false });
+    expect(strict.resolveAccount('Acme Corp').suggestions).toBeDefined();
+    expect(strict.resolveAccount('Nike').clientId).toBe('nike');
+  });
+
+  test('refuses clients sharing an id, a name or an alias', () => {
+    expect(ClientRegistry.validate({
+      clients: [
+        { name: 'Nike', aliases: ['NIKE FR'] },
+        { id: 'nike', name: 'Nike France' },
+        { name: 'Nike Fr' },
+        { name: '' }
+      ]
+    })).toEqual([
+      'client id "nike" is used twice',
+      'client "Nike Fr" shares a name or alias with "Nike"',
+      'clients[3]: name is required'
+    ]);
+    expect(() => new ClientRegistry({})).toThrow(/^Invalid clients config: clients must be a list/);
+  });
+
+  test('plans edits without applying them', () => {
+    const created = registry.planCreate({ name: 'Puma' });
+    expect(created.errors).toEqual([]);
+    expect(created.client).toEqual({ id: 'puma', name: 'Puma', aliases: [] });
+    expect(registry.get('puma')).toBeNull();
+
+    expect(registry.planUpdate('nike', { aliases: ['SNCF'] }).errors)
+      .toEqual(['client "SNCF Connect" shares a name or alias with "Nike"']);
+    expect(registry.replace(created.clients)).toEqual([]);
+    expect(registry.matchClient('puma').id).toBe('puma');
+  });
+});
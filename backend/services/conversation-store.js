@@ -0,0 +1,165 @@
+/**
+ * Conversation Store
+ * The chat agent's conversations, kept in the storage driver so they survive
+ * restarts and are shared between instances. Conversations expire after a
+ * period of inactivity (CONVERSATION_TTL_HOURS, default 24) and keep only
+ * their most recent turns (CONVERSATION_MAX_TURNS, default 50 messages).
+ *
+ * A conversation record:
+ *   { id, userId, turns: [{ role, content, timestamp }], extractedData,
+ *     drafts, draftState, ticketIds, droppedTurns, createdAt, updatedAt,
+ *     expiresAt }
+ * `drafts` holds one entry per ticket the user is asking for - more than
+ * one when a message requested a batch. `draftState` is where they stand in
+ * the confirm-and-create flow and `ticketIds` the tickets created from them
+ * (see chat-draft.js).
+ *
+ * Updates read the stored conversation and write it back, so the updates of
+ * one conversation run one at a time (see serial-queue.js) - two overlapping
+ * messages would otherwise lose a turn or a draft change.
+ */
+
+const SerialQueue = require('./serial-queue');
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MAX_TURNS = 50;
+
+/**
+ * Read the expiry policy from CONVERSATION_TTL_HOURS / CONVERSATION_MAX_TURNS
+ */
+function conversationPolicyFromEnv(env = process.env) {
+  const ttlHours = parseFloat(env.CONVERSATION_TTL_HOURS);
+  const maxTurns = parseInt(env.CONVERSATION_MAX_TURNS, 10);
+  return {
+    ttlMs: (ttlHours > 0 ? ttlHours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000,
+    maxTurns: maxTurns > 0 ? maxTurns : DEFAULT_MAX_TURNS
+  };
+}
+
+class ConversationStore {
+  constructor(storage, policy = {}) {
+    this.storage = storage;
+    this.ttlMs = policy.ttlMs || DEFAULT_TTL_HOURS * 60 * 60 * 1000;
+    this.maxTurns = policy.maxTurns || DEFAULT_MAX_TURNS;
+    this.updates = new SerialQueue();
+  }
+
+  /**
+   * A live conversation, or null if it doesn't exist or has expired
+   * (expired conversations are deleted on the way)
+   */
+  async get(conversationId, now = new Date()) {
+    const conversation = await this.storage.getConversation(conversationId);
+    if (!conversation) return null;
+
+    if (conversation.expiresAt <= now.toISOString()) {
+      await this.storage.deleteConversation(conversationId);
+      return null;
+    }
+    return conversation;
+  }
+
+  /**
+   * Add turns to a conversation (creating it if needed), trim it to the
+   * newest maxTurns and push its expiry back
+   */
+  async append(conversationId, { userId, turns, extractedData, drafts, draftState, ticketIds }, now = new Date()) {
+    return this.updates.run(conversationId, async () => {
+      const existing = await this.get(conversationId, now);
+      const timestamp = now.toISOString();
+
+      const allTurns = [...(existing?.turns || []), ...turns.map(turn => ({ timestamp, ...turn }))];
+      let kept = allTurns.slice(-this.maxTurns);
+      // Never start the kept history on an assistant reply without its question
+      while (kept.length > 0 && kept[0].role !== 'user') {
+        kept = kept.slice(1);
+      }
+
+      return this.storage.saveConversation({
+        id: conversationId,
+        userId: existing?.userId || userId || null,
+        turns: kept,
+        extractedData: extractedData || existing?.extractedData || null,
+        drafts: drafts || existing?.drafts || null,
+        draftState: draftState || existing?.draftState || null,
+        ticketIds: ticketIds || existing?.ticketIds || [],
+        droppedTurns: (existing?.droppedTurns || 0) + allTurns.length - kept.length,
+        createdAt: existing?.createdAt || timestamp,
+        updatedAt: timestamp,
+        expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+      });
+    });
+  }
+
+  /**
+   * Resume a conversation: push its expiry back without adding turns
+   * Returns the conversation, or null if it doesn't exist or has expired
+   */
+  async touch(conversationId, now = new Date()) {
+    return this.updates.run(conversationId, async () => {
+      const conversation = await this.get(conversationId, now);
+      if (!conversation) return null;
+
+      return this.storage.saveConversation({
+        ...conversation,
+        updatedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+      });
+    });
+  }
+
+  /**
+   * Update a conversation's draft state (and created ticket ids)
+   * Returns the conversation, or null if it doesn't exist or has expired
+   */
+  async setDraft(conversationId, { draftState, ticketIds = [] }, now = new Date()) {
+    return this.updates.run(conversationId, async () => {
+      const conversation = await this.get(conversationId, now);
+      if (!conversation) return null;
+
+      return this.storage.saveConversation({
+        ...conversation,
+        draftState,
+        ticketIds,
+        updatedAt: now.toISOString()
+      });
+    });
+  }
+
+  /**
+   * Move a conversation's draft on from `from` to `to` - only if it is still
+   * in `from`. Returns the conversation when it moved it, otherwise null: of
+   * two messages confirming the same draft, only one gets to create it.
+   */
+  async moveDraft(conversationId, from, to, now = new Date()) {
+    return this.updates.run(conversationId, async () => {
+      const conversation = await this.get(conversationId, now);
+      if (conversation?.draftState !== from) return null;
+
+      return this.storage.saveConversation({
+        ...conversation,
+        draftState: to,
+        updatedAt: now.toISOString()
+      });
+    });
+  }
+
+  /**
+   * Returns whether there was a conversation to delete
+   */
+  async delete(conversationId) {
+    return this.storage.deleteConversation(conversationId);
+  }
+
+  /**
+   * Delete every expired conversation - returns how many were deleted
+   */
+  async purgeExpired(now = new Date()) {
+    return this.storage.deleteExpiredConversations(now);
+  }
+}
+
+module.exports = {
+  ConversationStore,
+  conversationPolicyFromEnv
+};
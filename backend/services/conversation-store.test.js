@@ -0,0 +1,90 @@
+const { ConversationStore, conversationPolicyFromEnv } = require('./conversation-store');
+const InMemoryStorage = require('./inmemory-storage');
+
+/**
+ * Storage whose reads take a turn of the event loop, so overlapping updates
+ * interleave the way they do against a file or database
+ */
+class SlowStorage extends InMemoryStorage {
+  async getConversation(conversationId) {
+    const conversation = await super.getConversation(conversationId);
+    await new Promise(resolve => setImmediate(resolve));
+    return conversation;
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const turn = (role, content) => ({ role, content });
+
+describe('ConversationStore', () => {
+  test('reads its policy from the environment, with defaults', () => {
+    expect(conversationPolicyFromEnv({ CONVERSATION_TTL_HOURS: '2', CONVERSATION_MAX_TURNS: '10' }))
+      .toEqual({ ttlMs: 2 * HOUR, maxTurns: 10 });
+    expect(conversationPolicyFromEnv({ CONVERSATION_TTL_HOURS: '-1' })).toEqual({ ttlMs: 24 * HOUR, maxTurns: 50 });
+  });
+
+  test('keeps the newest maxTurns, starting on a user turn, and counts the dropped ones', async () => {
+    const store = new ConversationStore(new InMemoryStorage(), { maxTurns: 3 });
+
+    await store.append('conv_1', { userId: 'alice', turns: [turn('user', 'one'), turn('assistant', 'two')] });
+    const conversation = await store.append('conv_1', { turns: [turn('user', 'three'), turn('assistant', 'four')] });
+
+    expect(conversation.turns.map(({ content }) => content)).toEqual(['three', 'four']);
+    expect(conversation.droppedTurns).toBe(2);
+    expect(conversation.userId).toBe('alice');
+  });
+
+  test('expires a conversation after its TTL of inactivity', async () => {
+    const store = new ConversationStore(new InMemoryStorage(), { ttlMs: HOUR });
+    const start = new Date('2024-01-01T00:00:00Z');
+    const later = minutes => new Date(start.getTime() + minutes * 60 * 1000);
+
+    await store.append('conv_1', { turns: [turn('user', 'hi')] }, start);
+
+    // Resuming pushes the expiry back...
+    expect(await store.touch('conv_1', later(50))).not.toBeNull();
+    expect(await store.get('conv_1', later(100))).not.toBeNull();
+
+    // ...until it has been idle for longer than the TTL
+    expect(await store.get('conv_1', later(111))).toBeNull();
+    expect(await store.touch('conv_1', later(111))).toBeNull();
+  });
+
+  test('purges expired conversations', async () => {
+    const store = new ConversationStore(new InMemoryStorage(), { ttlMs: HOUR });
+    await store.append('old', { turns: [turn('user', 'hi')] }, new Date('2024-01-01T00:00:00Z'));
+    await store.append('new', { turns: [turn('user', 'hi')] }, new Date('2024-01-01T02:00:00Z'));
+
+    expect(await store.purgeExpired(new Date('2024-01-01T02:30:00Z'))).toBe(1);
+    expect(await store.get('new', new Date('2024-01-01T02:30:00Z'))).not.toBeNull();
+  });
+
+  test('does not lose a turn or a draft update when updates overlap', async () => {
+    const store = new ConversationStore(new SlowStorage());
+    await store.append('conv_1', { turns: [turn('user', 'one'), turn('assistant', 'two')], draftState: 'awaiting_confirmation' });
+
+    await Promise.all([
+      store.append('conv_1', { turns: [turn('user', 'three'), turn('assistant', 'four')] }),
+      store.setDraft('conv_1', { draftState: 'created', ticketIds: ['ticket_1'] }),
+      store.append('conv_1', { turns: [turn('user', 'five'), turn('assistant', 'six')] })
+    ]);
+
+    const conversation = await store.get('conv_1');
+    expect(conversation.turns.map(({ content }) => content)).toEqual(['one', 'two', 'three', 'four', 'five', 'six']);
+    expect(conversation).toMatchObject({ draftState: 'created', ticketIds: ['ticket_1'] });
+  });
+
+  test('moves a draft on from a state only once', async () => {
+    const store = new ConversationStore(new SlowStorage());
+    await store.append('conv_1', { turns: [turn('user', 'yes')], draftState: 'confirmed' });
+
+    const moves = await Promise.all([
+      store.moveDraft('conv_1', 'confirmed', 'creating'),
+      store.moveDraft('conv_1', 'confirmed', 'creating')
+    ]);
+
+    expect(moves.filter(Boolean)).toHaveLength(1);
+    expect((await store.get('conv_1')).draftState).toBe('creating');
+    expect(await store.moveDraft('missing', 'confirmed', 'creating')).toBeNull();
+  });
+});
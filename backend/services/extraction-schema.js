@@ -0,0 +1,303 @@
+/**
+ * Extraction Schema
+ * The structured reply the AI agent asks the model for: the user-facing
+ * message plus the tag request fields, a confidence per field and the
+ * fields still missing. EXTRACTION_SCHEMA constrains Gemini's JSON output;
+ * validateExtraction checks (and normalizes) whatever actually came back.
+ *
+ * When the user asks for several tickets at once ("trackers for DV360 and
+ * TTD"), the reply also lists them under `tickets`; the top-level fields then
+ * hold what the tickets have in common.
+ *
+ * Some platforms need more details on a ticket (see platform-specs.js); the
+ * model fills DETAIL_FIELDS only when the user has given them.
+ */
+
+const { SchemaType } = require('@google/generative-ai');
+
+const FIELDS = ['account', 'platform', 'tagType', 'priority'];
+const DETAIL_FIELDS = ['targetElement', 'vwPercent', 'vwSeconds'];
+const NUMERIC_DETAILS = ['vwPercent', 'vwSeconds'];
+const TAG_TYPES = ['Tracker', 'Video Wrapper'];
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Most tickets one message (and one bulk request) can produce
+const MAX_BATCH_SIZE = 20;
+
+const DETAIL_SCHEMA = {
+  targetElement: {
+    type: SchemaType.STRING,
+    description: 'Page element (CSS selector or URL) the tag fires on - only when the platform needs it',
+    nullable: true
+  },
+  vwPercent: {
+    type: SchemaType.NUMBER,
+    description: 'Percentage of the video in view - only when the platform needs it',
+    nullable: true
+  },
+  vwSeconds: {
+    type: SchemaType.NUMBER,
+    description: 'Seconds the video is in view - only when the platform needs it',
+    nullable: true
+  }
+};
+
+const TICKET_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    account: { type: SchemaType.STRING, nullable: true },
+    platform: { type: SchemaType.STRING, nullable: true },
+    tagType: { type: SchemaType.STRING, format: 'enum', enum: TAG_TYPES, nullable: true },
+    priority: { type: SchemaType.STRING, format: 'enum', enum: PRIORITIES, nullable: true },
+    ...DETAIL_SCHEMA
+  },
+  required: FIELDS
+};
+
+const EXTRACTION_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    message: {
+      type: SchemaType.STRING,
+      description: 'The reply shown to the user'
+    },
+    account: {
+      type: SchemaType.STRING,
+      description: 'Client/brand name, or null if not known yet',
+      nullable: true
+    },
+    platform: {
+      type: SchemaType.STRING,
+      description: 'Advertising platform, or null if not known yet',
+      nullable: true
+    },
+    tagType: {
+      type: SchemaType.STRING,
+      format: 'enum',
+      enum: TAG_TYPES,
+      nullable: true
+    },
+    priority: {
+      type: SchemaType.STRING,
+      format: 'enum',
+      enum: PRIORITIES,
+      nullable: true
+    },
+    ...DETAIL_SCHEMA,
+    confidence: {
+      type: SchemaType.OBJECT,
+      description: 'How sure you are of each field, from 0 to 1 (0 when the field is null)',
+      properties: Object.fromEntries(FIELDS.map(field => [field, { type: SchemaType.NUMBER }])),
+      required: FIELDS
+    },
+    missingFields: {
+      type: SchemaType.ARRAY,
+      description: 'Fields the user still has to provide',
+      items: { type: SchemaType.STRING, format: 'enum', enum: [...FIELDS, ...DETAIL_FIELDS] }
+    },
+    confirmed: {
+      type: SchemaType.BOOLEAN,
+      description: "True only when the user's latest message confirms the complete summary without changing anything"
+    },
+    tickets: {
+      type: SchemaType.ARRAY,
+      description: 'One entry per ticket when the user asks for more than one; omit for a single ticket',
+      items: TICKET_SCHEMA
+    }
+  },
+  required: ['message', ...FIELDS, 'confidence', 'missingFields']
+};
+
+/**
+ * Parse a model reply as JSON - tolerates a ```json fence around it
+ * Returns the parsed value, or undefined if the text is not JSON
+ */
+function parseJSONReply(text) {
+  const unfenced = String(text || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Validate a parsed reply against the schema
+ * Returns { extraction, errors } - errors is empty when the reply is usable.
+ * Enum values are matched case-insensitively and returned in canonical case.
+ */
+function validateExtraction(reply) {
+  const errors = [];
+
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    return { extraction: null, errors: ['reply must be a JSON object'] };
+  }
+
+  if (typeof reply.message !== 'string' || !reply.message.trim()) {
+    errors.push('message must be a non-empty string');
+  }
+
+  const data = validateFields(reply, '', errors);
+
+  const confidence = {};
+  if (!reply.confidence || typeof reply.confidence !== 'object') {
+    errors.push('confidence must be an object with a score per field');
+  } else {
+    for (const field of FIELDS) {
+      const score = reply.confidence[field];
+      if (typeof score !== 'number' || score < 0 || score > 1) {
+        errors.push(`confidence.${field} must be a number from 0 to 1`);
+      } else {
+        confidence[field] = data[field] ? score : 0;
+      }
+    }
+  }
+
+  if (!Array.isArray(reply.missingFields) || reply.missingFields.some(field => !FIELDS.includes(field) && !DETAIL_FIELDS.includes(field))) {
+    errors.push(`missingFields must be a list of: ${[...FIELDS, ...DETAIL_FIELDS].join(', ')}`);
+  }
+
+  if (reply.confirmed !== undefined && reply.confirmed !== null && typeof reply.confirmed !== 'boolean') {
+    errors.push('confirmed must be true or false');
+  }
+
+  let drafts = [data];
+  if (reply.tickets !== undefined && reply.tickets !== null) {
+    if (!Array.isArray(reply.tickets)) {
+      errors.push('tickets must be a list (omit it for a single ticket)');
+    } else if (reply.tickets.length > MAX_BATCH_SIZE) {
+      errors.push(`tickets can list at most ${MAX_BATCH_SIZE} tickets`);
+    } else if (reply.tickets.length > 0) {
+      drafts = reply.tickets.map((ticket, index) => {
+        if (!ticket || typeof ticket !== 'object' || Array.isArray(ticket)) {
+          errors.push(`tickets[${index}] must be an object`);
+          return null;
+        }
+        // Fields a ticket leaves out are the shared top-level ones
+        const fields = validateFields(ticket, `tickets[${index}].`, errors, true);
+        return {
+          ...Object.fromEntries(FIELDS.map(field => [field, fields[field] ?? data[field] ?? null])),
+          ...detailsOf({ ...data, ...fields })
+        };
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { extraction: null, errors };
+  }
+
+  // In a batch the top-level fields are only those all tickets share
+  if (drafts.length === 1) {
+    Object.assign(data, drafts[0]);
+  } else {
+    for (const field of FIELDS) {
+      if (drafts.some(draft => draft[field] !== drafts[0][field])) {
+        data[field] = null;
+        confidence[field] = 0;
+      } else {
+        data[field] = drafts[0][field];
+      }
+    }
+    for (const field of DETAIL_FIELDS) {
+      delete data[field];
+      if (drafts.every(draft => draft[field] !== undefined && draft[field] === drafts[0][field])) {
+        data[field] = drafts[0][field];
+      }
+    }
+  }
+
+  return {
+    extraction: {
+      message: reply.message.trim(),
+      data,
+      confidence,
+      drafts: drafts.map(draft => ({ ...draft })),
+      confirmed: reply.confirmed === true,
+      // Derived from the fields themselves, so it can't contradict them
+      missingFields: missingFieldsOf(drafts)
+    },
+    errors
+  };
+}
+
+/**
+ * Validate and normalize the four ticket fields of `source` (and whichever
+ * details it has), reporting problems under `prefix` (e.g. "tickets[1].") -
+ * `optional` lets the four fields be left out
+ */
+function validateFields(source, prefix, errors, optional = false) {
+  const data = {};
+  for (const field of FIELDS) {
+    const value = source[field];
+    if (value === undefined) {
+      if (!optional) {
+        errors.push(`${prefix}${field} is required (use null when unknown)`);
+      }
+    } else if (value === null || value === '') {
+      data[field] = null;
+    } else if (typeof value !== 'string') {
+      errors.push(`${prefix}${field} must be a string or null`);
+    } else {
+      data[field] = value.trim();
+    }
+  }
+
+  for (const [field, allowed] of [['tagType', TAG_TYPES], ['priority', PRIORITIES]]) {
+    if (!data[field]) continue;
+    const canonical = allowed.find(option => option.toLowerCase() === data[field].toLowerCase());
+    if (canonical) {
+      data[field] = canonical;
+    } else {
+      errors.push(`${prefix}${field} must be one of ${allowed.join(', ')} or null`);
+    }
+  }
+
+  for (const field of DETAIL_FIELDS) {
+    const value = source[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (NUMERIC_DETAILS.includes(field)) {
+      const number = typeof value === 'string' ? Number(value.trim().replace(/%$/, '')) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+        errors.push(`${prefix}${field} must be a number or null`);
+      } else {
+        data[field] = number;
+      }
+    } else if (typeof value !== 'string') {
+      errors.push(`${prefix}${field} must be a string or null`);
+    } else {
+      data[field] = value.trim();
+    }
+  }
+
+  return data;
+}
+
+/**
+ * The details a ticket has - left out when not given
+ */
+function detailsOf(ticket) {
+  return Object.fromEntries(DETAIL_FIELDS
+    .filter(field => ticket[field] !== undefined && ticket[field] !== null)
+    .map(field => [field, ticket[field]]));
+}
+
+/**
+ * The fields missing from any of the drafts
+ */
+function missingFieldsOf(drafts) {
+  return FIELDS.filter(field => drafts.some(draft => !draft[field]));
+}
+
+module.exports = {
+  EXTRACTION_SCHEMA,
+  FIELDS,
+  DETAIL_FIELDS,
+  TAG_TYPES,
+  PRIORITIES,
+  MAX_BATCH_SIZE,
+  parseJSONReply,
+  validateExtraction,
+  detailsOf,
+  missingFieldsOf
+};
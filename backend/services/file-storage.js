@@ -0,0 +1,380 @@
+/**
+ * File Storage Service - durable JSON storage under backend/data/
+ * Serves reads from the same in-memory indexes as InMemoryStorage, but every
+ * write is appended (and fsync'd) to journal.ndjson before it is applied.
+ * The journal is periodically compacted into tickets.json / history.json
+ * snapshots, written atomically (temp file + rename); only the snapshots of
+ * the kinds written since the last compaction are rewritten.
+ * On startup the snapshots are loaded and the journal replayed on top, so a
+ * crash between a write and the next compaction loses nothing.
+ * Archived history is moved out of memory into monthly append-only segments,
+ * archive/history-YYYY-MM.ndjson, which are only read when queried.
+ * Comment attachments are written to attachments/<id> and read on demand.
+ * Chat conversations are snapshotted to conversations.json, and catalogs
+ * edited through the API (platforms, clients, learned aliases) to catalogs.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const InMemoryStorage = require('./inmemory-storage');
+const { segmentOf, segmentInRange } = require('./history-query');
+
+// Snapshot file, top-level key and in-memory records for each kind of record
+const COLLECTIONS = {
+  ticket: { file: 'tickets.json', key: 'tickets', records: storage => Array.from(storage.tickets.values()) },
+  history: { file: 'history.json', key: 'entries', records: storage => storage.history },
+  comment: { file: 'comments.json', key: 'comments', records: storage => Array.from(storage.comments.values()) },
+  conversation: { file: 'conversations.json', key: 'conversations', records: storage => Array.from(storage.conversations.values()) },
+  catalog: { file: 'catalogs.json', key: 'catalogs', records: storage => Array.from(storage.catalogs.values()) }
+};
+
+// Journal kinds that are folded into another kind's snapshot
+const SNAPSHOT_OF = {
+  archive: 'history',
+  conversation_delete: 'conversation',
+  conversation_purge: 'conversation'
+};
+
+const JOURNAL_FILE = 'journal.ndjson';
+const ARCHIVE_DIR = 'archive';
+const ATTACHMENTS_DIR = 'attachments';
+
+class FileStorage extends InMemoryStorage {
+  constructor(options = {}) {
+    super(options);
+
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.journalPath = path.join(this.dataDir, JOURNAL_FILE);
+    this.archiveDir = path.join(this.dataDir, ARCHIVE_DIR);
+    this.attachmentsDir = path.join(this.dataDir, ATTACHMENTS_DIR);
+    this.compactEvery = options.compactEvery || 500;
+
+    this.seq = 0;             // Sequence number of the last durable write
+    this.journalLength = 0;   // Entries written since the last compaction
+    this.lastCompactedAt = null;
+    this.pendingArchive = [];  // Archived entries not yet written to a segment
+    this.segmentCounts = new Map(); // Archive segment -> number of entries in its file
+    this.dirty = new Set();    // Snapshot kinds changed since the last compaction
+    this.writeQueue = Promise.resolve();
+    this.loading = null;
+  }
+
+  initialize() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  async load() {
+    await fs.mkdir(this.archiveDir, { recursive: true });
+    await fs.mkdir(this.attachmentsDir, { recursive: true });
+
+    // Load snapshots
+    const snapshotSeqs = {};
+    for (const [kind, { file, key }] of Object.entries(COLLECTIONS)) {
+      const snapshot = await this.readJSON(path.join(this.dataDir, file));
+      if (!snapshot) this.dirty.add(kind);
+      snapshotSeqs[kind] = snapshot?.seq || 0;
+      for (const record of snapshot?.[key] || []) {
+        this.applyRecord(kind, record);
+      }
+    }
+    this.seq = Math.max(...Object.values(snapshotSeqs));
+
+    // Replay journal entries newer than their snapshot
+    const { entries, corrupted } = await this.readJournal();
+    let replayed = 0;
+    for (const entry of entries) {
+      const snapshotKind = SNAPSHOT_OF[entry.kind] || entry.kind;
+      if (COLLECTIONS[snapshotKind] && entry.seq > snapshotSeqs[snapshotKind]) {
+        this.applyRecord(entry.kind, entry.record);
+        this.dirty.add(snapshotKind);
+        replayed++;
+      }
+      this.seq = Math.max(this.seq, entry.seq);
+    }
+
+    // Count each archive segment's lines once; writeArchiveSegments keeps the counts
+    for (const segment of await this.segmentNames()) {
+      const data = await fs.readFile(this.segmentPath(segment), 'utf8');
+      this.segmentCounts.set(segment, data.split('\n').filter(line => line.trim()).length);
+    }
+
+    // Fold anything recovered from the journal into fresh snapshots
+    if (entries.length > 0 || corrupted > 0 || this.dirty.size > 0) {
+      await this.compact();
+    }
+
+    console.log(`✓ File storage loaded from ${this.dataDir}: ${this.tickets.size} tickets, ${this.history.length} history entries` +
+      (replayed > 0 ? ` (${replayed} recovered from journal)` : ''));
+  }
+
+  async commit(kind, record, apply) {
+    await this.initialize();
+
+    return this.enqueue(async () => {
+      const entry = { seq: this.seq + 1, kind, record };
+      await this.appendToJournal(entry);
+      this.seq = entry.seq;
+      apply();
+      this.dirty.add(SNAPSHOT_OF[kind] || kind);
+
+      this.journalLength++;
+      // Archived entries leave the history snapshot only once written to a segment
+      if (this.journalLength >= this.compactEvery || this.pendingArchive.length > 0) {
+        await this.compact();
+      }
+    });
+  }
+
+  /**
+   * Rewrite the snapshots changed since the last compaction from memory and
+   * truncate the journal. Unchanged snapshots keep their older seq, which
+   * every later journal entry is newer than.
+   * Must run inside the write queue so no write lands in between.
+   */
+  async compact() {
+    const updatedAt = new Date().toISOString();
+
+    // Segments first: a crash before the snapshots are rewritten replays the
+    // archive entry, and writeArchiveSegments drops the duplicates
+    await this.writeArchiveSegments();
+
+    for (const kind of this.dirty) {
+      const { file, key, records } = COLLECTIONS[kind];
+      await this.writeFileAtomic(
+        path.join(this.dataDir, file),
+        JSON.stringify({ seq: this.seq, updatedAt, [key]: records(this) }, null, 2)
+      );
+    }
+
+    // Snapshots now cover every journal entry
+    await fs.writeFile(this.journalPath, '');
+    this.dirty.clear();
+    this.journalLength = 0;
+    this.lastCompactedAt = updatedAt;
+  }
+
+  applyRecord(kind, record) {
+    if (kind === 'ticket') {
+      this.tickets.set(record.id, record);
+    } else if (kind === 'history') {
+      this.appendHistory(record);
+    } else if (kind === 'archive') {
+      this.moveToArchive(record.before);
+    } else if (kind === 'comment') {
+      this.comments.set(record.id, record);
+    } else if (kind === 'conversation') {
+      this.conversations.set(record.id, record);
+    } else if (kind === 'conversation_delete') {
+      this.conversations.delete(record.id);
+    } else if (kind === 'conversation_purge') {
+      this.purgeConversations(record.before);
+    } else if (kind === 'catalog') {
+      this.catalogs.set(record.kind, record);
+    }
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    // Keep the queue alive after a failed write
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async appendToJournal(entry) {
+    const handle = await fs.open(this.journalPath, 'a');
+    try {
+      await handle.appendFile(JSON.stringify(entry) + '\n');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async readJournal() {
+    let data;
+    try {
+      data = await fs.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return { entries: [], corrupted: 0 };
+      throw error;
+    }
+
+    const entries = [];
+    let corrupted = 0;
+    const lines = data.split('\n').filter(line => line.trim());
+
+    lines.forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A torn last line is expected after a crash mid-append
+        corrupted++;
+        const where = index === lines.length - 1 ? 'incomplete final entry' : `corrupt entry on line ${index + 1}`;
+        console.warn(`⚠️ Skipping ${where} in ${JOURNAL_FILE}`);
+      }
+    });
+
+    return { entries, corrupted };
+  }
+
+  async readJSON(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+  }
+
+  async writeFileAtomic(filePath, contents) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // ============================================
+  // ARCHIVE SEGMENTS
+  // ============================================
+
+  moveToArchive(cutoff) {
+    const kept = [];
+    for (const entry of this.history) {
+      if (entry.timestamp < cutoff) {
+        this.pendingArchive.push(entry);
+      } else {
+        kept.push(entry);
+      }
+    }
+    this.history = kept;
+  }
+
+  segmentPath(segment) {
+    return path.join(this.archiveDir, `history-${segment}.ndjson`);
+  }
+
+  /**
+   * Merge pending archived entries into their segment files
+   */
+  async writeArchiveSegments() {
+    if (this.pendingArchive.length === 0) return;
+
+    const bySegment = new Map();
+    for (const entry of this.pendingArchive) {
+      const segment = segmentOf(entry.timestamp);
+      if (!bySegment.has(segment)) bySegment.set(segment, []);
+      bySegment.get(segment).push(entry);
+    }
+
+    for (const [segment, entries] of bySegment) {
+      const existing = await this.readSegment(segment);
+      const ids = new Set(existing.map(entry => entry.id));
+      const merged = existing.concat(entries.filter(entry => !ids.has(entry.id)));
+      merged.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+      await this.writeFileAtomic(
+        this.segmentPath(segment),
+        merged.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+      );
+      this.segmentCounts.set(segment, merged.length);
+    }
+
+    this.pendingArchive = [];
+  }
+
+  async readSegment(segment) {
+    let data;
+    try {
+      data = await fs.readFile(this.segmentPath(segment), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  async segmentNames() {
+    const files = await fs.readdir(this.archiveDir).catch(() => []);
+    return files
+      .map(file => file.match(/^history-(\d{4}-\d{2})\.ndjson$/))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+  }
+
+  async readArchive(query) {
+    await this.initialize();
+
+    const entries = [...this.pendingArchive];
+    for (const segment of [...this.segmentCounts.keys()].sort()) {
+      if (segmentInRange(segment, query)) {
+        entries.push(...await this.readSegment(segment));
+      }
+    }
+    return entries;
+  }
+
+  async listArchiveSegments() {
+    await this.initialize();
+
+    return Array.from(this.segmentCounts.entries())
+      .map(([segment, count]) => ({ segment, count }))
+      .sort((a, b) => a.segment.localeCompare(b.segment));
+  }
+
+  // ============================================
+  // ATTACHMENTS
+  // ============================================
+
+  attachmentPath(attachmentId) {
+    // Ids are generated server-side, but never let one escape the directory
+    return path.join(this.attachmentsDir, path.basename(attachmentId));
+  }
+
+  async putAttachment(attachmentId, content) {
+    await this.initialize();
+    await this.writeFileAtomic(this.attachmentPath(attachmentId), content);
+  }
+
+  async getAttachment(attachmentId) {
+    await this.initialize();
+    try {
+      return await fs.readFile(this.attachmentPath(attachmentId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async deleteAttachment(attachmentId) {
+    await this.initialize();
+    await fs.rm(this.attachmentPath(attachmentId), { force: true });
+  }
+
+  // ============================================
+  // STATS
+  // ============================================
+
+  async getStorageStats() {
+    return {
+      ...(await super.getStorageStats()),
+      dataDir: this.dataDir,
+      journalEntries: this.journalLength,
+      lastCompactedAt: this.lastCompactedAt
+    };
+  }
+}
+
+module.exports = FileStorage;
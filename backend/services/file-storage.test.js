@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('./file-storage');
+
+describe('FileStorage', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const readJournal = () => fs.readFileSync(path.join(dataDir, 'journal.ndjson'), 'utf8')
+    .split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const readSnapshot = file => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+
+  test('replays journal entries written after the last compaction', async () => {
+    const storage = new FileStorage({ dataDir });
+    const ticket = await storage.createTicket({ account: 'Acme', platform: 'DV360', priority: 'high' });
+    await storage.updateTicket(ticket.id, { status: 'in_progress' }, 'alice');
+
+    // Created and updated, each with its history entry
+    expect(readJournal().map(entry => entry.kind)).toEqual(['ticket', 'history', 'ticket', 'history']);
+    expect(readSnapshot('tickets.json').tickets).toEqual([]);
+
+    const reopened = new FileStorage({ dataDir });
+    await reopened.initialize();
+
+    expect((await reopened.getTicket(ticket.id)).status).toBe('in_progress');
+    expect((await reopened.getHistory({ ticketId: ticket.id })).total).toBe(2);
+    expect(reopened.seq).toBe(storage.seq);
+    // The recovered entries are folded into the snapshots
+    expect(readJournal()).toEqual([]);
+    expect(readSnapshot('tickets.json').tickets).toHaveLength(1);
+  });
+
+  test('skips a torn final journal line', async () => {
+    const storage = new FileStorage({ dataDir });
+    const ticket = await storage.createTicket({ account: 'Acme' });
+    fs.appendFileSync(path.join(dataDir, 'journal.ndjson'), '{"seq": 3, "kind": "tic');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const reopened = new FileStorage({ dataDir });
+    await reopened.initialize();
+
+    expect(await reopened.getTicket(ticket.id)).not.toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('incomplete final entry'));
+  });
+
+  test('compacts every compactEvery writes, rewriting only the changed snapshots', async () => {
+    const storage = new FileStorage({ dataDir, compactEvery: 2 });
+    await storage.initialize();
+    const writeFileAtomic = jest.spyOn(storage, 'writeFileAtomic');
+
+    await storage.createTicket({ account: 'Acme' });
+
+    expect(readJournal()).toEqual([]);
+    expect(writeFileAtomic.mock.calls.map(([file]) => path.basename(file)).sort())
+      .toEqual(['history.json', 'tickets.json']);
+    expect(readSnapshot('tickets.json').seq).toBe(storage.seq);
+    expect(readSnapshot('comments.json').seq).toBe(0);
+
+    writeFileAtomic.mockClear();
+    await storage.saveCatalog('platforms', [{ id: 'dv360' }]);
+    await storage.saveCatalog('clients', [{ id: 'acme' }]);
+
+    expect(writeFileAtomic.mock.calls.map(([file]) => path.basename(file))).toEqual(['catalogs.json']);
+
+    // Snapshots of different ages still load to the same state
+    const reopened = new FileStorage({ dataDir });
+    await reopened.initialize();
+    expect(reopened.tickets.size).toBe(1);
+    expect(await reopened.getCatalog('clients')).toEqual([{ id: 'acme' }]);
+    expect(reopened.seq).toBe(storage.seq);
+  });
+
+  test('moves archived history into segments and keeps their counts', async () => {
+    const storage = new FileStorage({ dataDir });
+    await storage.createTicket({ account: 'Acme' });
+    const readSegment = jest.spyOn(storage, 'readSegment');
+
+    expect(await storage.archiveHistory(new Date(Date.now() + 1000))).toBe(1);
+
+    const [segment] = await storage.listArchiveSegments();
+    expect(segment.count).toBe(1);
+    expect(fs.existsSync(path.join(dataDir, 'archive', `history-${segment.segment}.ndjson`))).toBe(true);
+    expect(readSnapshot('history.json').entries).toEqual([]);
+
+    // Counting does not read the segments back
+    readSegment.mockClear();
+    await storage.getStorageStats();
+    expect(readSegment).not.toHaveBeenCalled();
+
+    const reopened = new FileStorage({ dataDir });
+    await reopened.initialize();
+    expect(await reopened.listArchiveSegments()).toEqual([segment]);
+    expect((await reopened.getHistory({ includeArchived: 'true' })).total).toBe(1);
+  });
+});
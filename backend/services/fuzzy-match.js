@@ -0,0 +1,244 @@
+/**
+ * Fuzzy Match
+ * The name normalization and similarity scoring shared by PlatformMatcher,
+ * ClientRegistry and the catalog lint, so "DV-360" and "dv360", or "L'Oréal"
+ * and "loreal", compare equal.
+ *
+ * Two names are scored on both spellings and words:
+ *   - Jaro-Winkler on the normalized names - forgiving of typos, and of
+ *     extra characters at the end ("xandr" / "xandrinvest")
+ *   - token set ratio on the words - "trade desk" is all of "The Trade Desk"
+ * A short input is no longer a near-match for every name containing it:
+ * "am" scores well below "Amazon".
+ *
+ * TrigramIndex finds the names worth scoring without comparing an input
+ * against every name in the catalog.
+ */
+
+// Weight of Jaro-Winkler in the combined score (the rest is the token set ratio)
+const JARO_WINKLER_WEIGHT = 0.6;
+
+/**
+ * Lowercase, without accents
+ */
+function fold(str) {
+  return String(str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase();
+}
+
+/**
+ * Lowercase, without accents, spaces or punctuation
+ */
+function normalizeString(str) {
+  return fold(str)
+    .trim()
+    .replace(/[^a-z0-9]/g, ''); // Remove special characters
+}
+
+/**
+ * The words of a name - "Display & Video 360" -> ['display', 'video', '360']
+ */
+function tokenize(str) {
+  return fold(str).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function levenshteinDistance(str1, str2) {
+  const matrix = [];
+
+  for (let i = 0; i <= str2.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (let j = 0; j <= str1.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= str2.length; i++) {
+    for (let j = 1; j <= str1.length; j++) {
+      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1, // substitution
+          matrix[i][j - 1] + 1,     // insertion
+          matrix[i - 1][j] + 1      // deletion
+        );
+      }
+    }
+  }
+
+  return matrix[str2.length][str1.length];
+}
+
+/**
+ * Edit-distance similarity of two strings, 0-1
+ */
+function levenshteinRatio(str1, str2) {
+  const length = Math.max(str1.length, str2.length);
+  return length === 0 ? 1 : (length - levenshteinDistance(str1, str2)) / length;
+}
+
+/**
+ * Jaro-Winkler similarity, 0-1 - common prefixes (up to 4 characters) count extra
+ */
+function jaroWinkler(str1, str2) {
+  if (str1 === str2) return 1;
+  if (!str1.length || !str2.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(str1.length, str2.length) / 2) - 1);
+  const matched1 = new Array(str1.length).fill(false);
+  const matched2 = new Array(str2.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < str1.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, str2.length);
+    for (let j = start; j < end; j++) {
+      if (!matched2[j] && str1[i] === str2[j]) {
+        matched1[i] = matched2[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < str1.length; i++) {
+    if (!matched1[i]) continue;
+    while (!matched2[k]) k++;
+    if (str1[i] !== str2[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / str1.length + matches / str2.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < Math.min(str1.length, str2.length) && str1[prefix] === str2[prefix]) {
+    prefix++;
+  }
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Token set ratio, 0-1: the words both names share, compared with each
+ * name's full set of words - 1 when one name's words are all in the other
+ */
+function tokenSetRatio(str1, str2) {
+  const tokens1 = new Set(tokenize(str1));
+  const tokens2 = new Set(tokenize(str2));
+  if (tokens1.size === 0 || tokens2.size === 0) return 0;
+
+  const shared = [...tokens1].filter(token => tokens2.has(token)).sort();
+  const rest1 = [...tokens1].filter(token => !tokens2.has(token)).sort();
+  const rest2 = [...tokens2].filter(token => !tokens1.has(token)).sort();
+
+  const base = shared.join(' ');
+  const full1 = [base, ...rest1].filter(Boolean).join(' ');
+  const full2 = [base, ...rest2].filter(Boolean).join(' ');
+
+  return Math.max(
+    shared.length > 0 ? levenshteinRatio(base, full1) : 0,
+    shared.length > 0 ? levenshteinRatio(base, full2) : 0,
+    levenshteinRatio(full1, full2)
+  );
+}
+
+/**
+ * Compare an input with a name
+ * Returns { score, exact, jaroWinkler, tokenSet } - scores 0-1
+ */
+function compareNames(input, name) {
+  const normalizedInput = normalizeString(input);
+  const normalizedName = normalizeString(name);
+
+  if (!normalizedInput || !normalizedName) {
+    return { score: 0, exact: false, jaroWinkler: 0, tokenSet: 0 };
+  }
+  if (normalizedInput === normalizedName) {
+    return { score: 1, exact: true, jaroWinkler: 1, tokenSet: 1 };
+  }
+
+  const jw = jaroWinkler(normalizedInput, normalizedName);
+  const tokenSet = tokenSetRatio(input, name);
+  return {
+    score: JARO_WINKLER_WEIGHT * jw + (1 - JARO_WINKLER_WEIGHT) * tokenSet,
+    exact: false,
+    jaroWinkler: jw,
+    tokenSet
+  };
+}
+
+/**
+ * Similarity of two names, 0-1 (see compareNames)
+ */
+function calculateSimilarity(str1, str2) {
+  return compareNames(str1, str2).score;
+}
+
+/**
+ * The trigrams of a normalized name, padded so short names have some
+ * ("am" -> "$$a", "$am", "am$")
+ */
+function trigrams(str) {
+  const padded = `$$${normalizeString(str)}$`;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Trigram index of names, built once at load time: candidates() returns
+ * only the entries sharing a trigram with the input - the only ones that
+ * can score above zero on spelling
+ */
+class TrigramIndex {
+  constructor() {
+    this.entries = [];
+    this.postings = new Map(); // Trigram -> entry indexes
+  }
+
+  add(name, value) {
+    const index = this.entries.push({ name, value }) - 1;
+    for (const gram of trigrams(name)) {
+      if (!this.postings.has(gram)) this.postings.set(gram, []);
+      this.postings.get(gram).push(index);
+    }
+  }
+
+  /**
+   * Entries sharing at least `minShared` trigrams with the input - { name, value, shared }
+   */
+  candidates(input, minShared = 1) {
+    const counts = new Map();
+    for (const gram of trigrams(input)) {
+      for (const index of this.postings.get(gram) || []) {
+        counts.set(index, (counts.get(index) || 0) + 1);
+      }
+    }
+    return [...counts]
+      .filter(([, shared]) => shared >= minShared)
+      .map(([index, shared]) => ({ ...this.entries[index], shared }));
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+}
+
+module.exports = {
+  normalizeString,
+  tokenize,
+  levenshteinDistance,
+  levenshteinRatio,
+  jaroWinkler,
+  tokenSetRatio,
+  compareNames,
+  calculateSimilarity,
+  TrigramIndex
+};
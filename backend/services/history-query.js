@@ -0,0 +1,193 @@
+/**
+ * History Query
+ * Parses audit log query parameters into a normalized query shared by every
+ * storage driver, plus the in-memory implementation of it and the
+ * retention/archival helpers.
+ *
+ * Filters (comma-separated values match any): ticketId, userId, action, requestId
+ * Time range (ISO dates): from, to
+ * includeArchived=true also searches archived segments
+ * order=desc|asc (by timestamp, default desc), limit + offset (or page)
+ */
+
+const LIST_FILTERS = ['ticketId', 'userId', 'action', 'requestId'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Parse request query parameters
+ * Returns { query, errors } - errors is empty when the query is valid
+ */
+function parseHistoryQuery(params = {}) {
+  const errors = [];
+  const query = {
+    filters: {},
+    from: null,
+    to: null,
+    includeArchived: String(params.includeArchived) === 'true',
+    order: 'desc',
+    limit: DEFAULT_LIMIT,
+    offset: 0
+  };
+
+  for (const field of LIST_FILTERS) {
+    const value = params[field];
+    if (value === undefined || value === null || value === '') continue;
+    const values = (Array.isArray(value) ? value : String(value).split(','))
+      .map(v => String(v).trim())
+      .filter(Boolean);
+    if (values.length > 0) {
+      query.filters[field] = values;
+    }
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (!params[bound]) continue;
+    const date = new Date(params[bound]);
+    if (isNaN(date)) {
+      errors.push(`${bound} must be a valid date`);
+    } else {
+      query[bound] = date.toISOString();
+    }
+  }
+
+  if (params.order) {
+    if (!['asc', 'desc'].includes(String(params.order).toLowerCase())) {
+      errors.push('order must be asc or desc');
+    } else {
+      query.order = String(params.order).toLowerCase();
+    }
+  }
+
+  if (params.limit !== undefined) {
+    const limit = parseInt(params.limit);
+    if (!(limit > 0)) {
+      errors.push('limit must be a positive number');
+    } else {
+      query.limit = Math.min(limit, MAX_LIMIT);
+    }
+  }
+
+  if (params.offset !== undefined) {
+    query.offset = Math.max(parseInt(params.offset) || 0, 0);
+  } else if (params.page !== undefined) {
+    query.offset = ((parseInt(params.page) || 1) - 1) * query.limit;
+  }
+
+  return { query, errors };
+}
+
+function matchesHistoryQuery(entry, query) {
+  for (const [field, values] of Object.entries(query.filters)) {
+    if (!values.includes(entry[field])) return false;
+  }
+  if (query.from && entry.timestamp < query.from) return false;
+  if (query.to && entry.timestamp > query.to) return false;
+  return true;
+}
+
+/**
+ * Filter, order and paginate an array of history entries
+ */
+function applyHistoryQuery(entries, query) {
+  const matching = entries
+    .filter(entry => matchesHistoryQuery(entry, query))
+    .sort((a, b) => query.order === 'asc'
+      ? a.timestamp.localeCompare(b.timestamp)
+      : b.timestamp.localeCompare(a.timestamp));
+
+  return formatHistoryResult(
+    matching.slice(query.offset, query.offset + query.limit),
+    matching.length,
+    query
+  );
+}
+
+function formatHistoryResult(entries, total, query) {
+  return {
+    entries,
+    total,
+    page: Math.floor(query.offset / query.limit) + 1,
+    limit: query.limit,
+    offset: query.offset
+  };
+}
+
+/**
+ * A ticket's history as a change timeline: who did what, when, which
+ * fields changed (updates record [{ field, from, to }] in their metadata)
+ * and why, for status changes that gave a reason
+ */
+function toChangeTimeline(entries) {
+  return entries.map(entry => ({
+    timestamp: entry.timestamp,
+    userId: entry.userId,
+    action: entry.action,
+    changes: entry.metadata?.changes || [],
+    reason: entry.metadata?.reason || null
+  }));
+}
+
+// ============================================
+// RETENTION & ARCHIVAL
+// ============================================
+
+/**
+ * Read the retention policy from environment variables
+ * HISTORY_RETENTION_DAYS - archive entries older than this many days
+ * HISTORY_MAX_ENTRIES    - keep at most this many entries in the active log
+ */
+function retentionFromEnv(env) {
+  return {
+    maxAgeDays: parseInt(env.HISTORY_RETENTION_DAYS) || null,
+    maxEntries: parseInt(env.HISTORY_MAX_ENTRIES) || null
+  };
+}
+
+function hasRetention(policy) {
+  return !!(policy && (policy.maxAgeDays || policy.maxEntries));
+}
+
+/**
+ * Timestamp before which entries fall outside the policy, or null
+ * `nthNewest` is the timestamp of the maxEntries-th newest entry (if any)
+ */
+function retentionCutoff(policy, nthNewest, now = new Date()) {
+  const cutoffs = [];
+  if (policy.maxAgeDays) {
+    cutoffs.push(new Date(now.getTime() - policy.maxAgeDays * 24 * 60 * 60 * 1000).toISOString());
+  }
+  if (policy.maxEntries && nthNewest) {
+    cutoffs.push(nthNewest);
+  }
+  // The later cutoff archives more, satisfying both rules
+  return cutoffs.length > 0 ? cutoffs.sort().pop() : null;
+}
+
+// Archive segments are calendar months, e.g. "2026-10"
+function segmentOf(timestamp) {
+  return String(timestamp).slice(0, 7);
+}
+
+/**
+ * Whether a segment can contain entries in the query's time range
+ */
+function segmentInRange(segment, query) {
+  if (query.from && segment < segmentOf(query.from)) return false;
+  if (query.to && segment > segmentOf(query.to)) return false;
+  return true;
+}
+
+module.exports = {
+  parseHistoryQuery,
+  matchesHistoryQuery,
+  applyHistoryQuery,
+  formatHistoryResult,
+  toChangeTimeline,
+  retentionFromEnv,
+  hasRetention,
+  retentionCutoff,
+  segmentOf,
+  segmentInRange
+};
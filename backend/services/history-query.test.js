@@ -0,0 +1,117 @@
+const {
+  parseHistoryQuery,
+  applyHistoryQuery,
+  retentionFromEnv,
+  retentionCutoff,
+  segmentInRange
+} = require('./history-query');
+const InMemoryStorage = require('./inmemory-storage');
+
+const entry = (timestamp, fields = {}) => ({ timestamp, ticketId: 'ticket_1', userId: 'alice', action: 'ticket_updated', ...fields });
+
+describe('parseHistoryQuery', () => {
+  test('splits comma-separated filters and normalizes the range', () => {
+    const { query, errors } = parseHistoryQuery({
+      userId: 'alice, bob',
+      action: ['ticket_created'],
+      from: '2026-10-01',
+      order: 'ASC',
+      limit: '5000',
+      page: '3'
+    });
+
+    expect(errors).toEqual([]);
+    expect(query).toEqual({
+      filters: { userId: ['alice', 'bob'], action: ['ticket_created'] },
+      from: '2026-10-01T00:00:00.000Z',
+      to: null,
+      includeArchived: false,
+      order: 'asc',
+      limit: 1000,
+      offset: 2000
+    });
+  });
+
+  test('reports every invalid parameter', () => {
+    expect(parseHistoryQuery({ from: 'yesterday', order: 'newest', limit: '0' }).errors).toEqual([
+      'from must be a valid date',
+      'order must be asc or desc',
+      'limit must be a positive number'
+    ]);
+  });
+});
+
+describe('applyHistoryQuery', () => {
+  const entries = [
+    entry('2026-10-01T10:00:00.000Z'),
+    entry('2026-10-02T10:00:00.000Z', { userId: 'bob' }),
+    entry('2026-10-03T10:00:00.000Z', { ticketId: 'ticket_2' }),
+    entry('2026-10-04T10:00:00.000Z')
+  ];
+  const run = params => applyHistoryQuery(entries, parseHistoryQuery(params).query);
+
+  test('filters on any of the values and on the time range', () => {
+    expect(run({ userId: 'alice', ticketId: 'ticket_1' }).entries.map(e => e.timestamp.slice(0, 10)))
+      .toEqual(['2026-10-04', '2026-10-01']);
+    expect(run({ from: '2026-10-02', to: '2026-10-03T23:59:59Z', order: 'asc' }).entries.map(e => e.timestamp.slice(0, 10)))
+      .toEqual(['2026-10-02', '2026-10-03']);
+  });
+
+  test('paginates after filtering, reporting the total', () => {
+    expect(run({ limit: 3, page: 2 })).toEqual({
+      entries: [entries[0]],
+      total: 4,
+      page: 2,
+      limit: 3,
+      offset: 3
+    });
+  });
+});
+
+describe('retention', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  test('reads the policy from the environment', () => {
+    expect(retentionFromEnv({ HISTORY_RETENTION_DAYS: '90' })).toEqual({ maxAgeDays: 90, maxEntries: null });
+    expect(retentionFromEnv({})).toEqual({ maxAgeDays: null, maxEntries: null });
+  });
+
+  test('takes the later of the age and count cutoffs', () => {
+    const now = new Date('2026-10-19T00:00:00.000Z');
+
+    expect(retentionCutoff({ maxAgeDays: 30 }, null, now)).toBe('2026-09-19T00:00:00.000Z');
+    expect(retentionCutoff({ maxAgeDays: 30, maxEntries: 10 }, '2026-10-01T00:00:00.000Z', now)).toBe('2026-10-01T00:00:00.000Z');
+    expect(retentionCutoff({ maxAgeDays: 30, maxEntries: 10 }, '2026-09-01T00:00:00.000Z', now)).toBe('2026-09-19T00:00:00.000Z');
+    expect(retentionCutoff({}, null, now)).toBeNull();
+  });
+
+  test('archives by month, still searchable with includeArchived', async () => {
+    jest.useFakeTimers({ now: new Date('2026-08-20T12:00:00.000Z') });
+    try {
+      const storage = new InMemoryStorage({ retention: { maxAgeDays: 30, maxEntries: 2 } });
+      for (const offset of [0, 20, 40, 50, 55]) {
+        jest.setSystemTime(new Date('2026-08-20T12:00:00.000Z').getTime() + offset * DAY);
+        await storage.logAction({ requestId: `req_${offset}`, ticketId: 'ticket_1', userId: 'alice', action: 'ticket_updated' });
+      }
+
+      const { archived } = await storage.applyRetention();
+
+      expect(archived).toBe(3);
+      expect(await storage.listArchiveSegments()).toEqual([
+        { segment: '2026-08', count: 1 },
+        { segment: '2026-09', count: 2 }
+      ]);
+      expect((await storage.getHistory({ ticketId: 'ticket_1' })).total).toBe(2);
+      expect((await storage.getHistory({ ticketId: 'ticket_1', includeArchived: 'true' })).total).toBe(5);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('skips archive segments outside the queried range', () => {
+    const { query } = parseHistoryQuery({ from: '2026-09-15', to: '2026-10-02' });
+
+    expect(['2026-08', '2026-09', '2026-10', '2026-11'].filter(segment => segmentInRange(segment, query)))
+      .toEqual(['2026-09', '2026-10']);
+  });
+});
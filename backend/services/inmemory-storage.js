@@ -4,14 +4,40 @@
  * Data resets when function restarts (typically daily on Vercel)
  */
 
+const { buildTicket, buildHistoryEntry, diffTicket, summarizeWorkload } = require('./storage-helpers');
+const { parseTicketQuery, applyTicketQuery } = require('./ticket-query');
+const { parseHistoryQuery, applyHistoryQuery, retentionCutoff, hasRetention, segmentOf, segmentInRange } = require('./history-query');
+
 class InMemoryStorage {
-  constructor() {
+  constructor(options = {}) {
     // In-memory stores
     this.tickets = new Map();
     this.history = [];
     this.requestLog = new Map(); // For tracking request times
-    
-    console.log('💾 Using in-memory storage (data resets on restart)');
+    this.archive = new Map();    // Archived history segments: 'YYYY-MM' -> entries
+    this.comments = new Map();
+    this.attachments = new Map(); // Attachment id -> content (Buffer)
+    this.conversations = new Map(); // Chat agent conversations (see conversation-store.js)
+    this.catalogs = new Map();      // Catalogs edited through the API: kind -> { kind, entries, updatedAt }
+
+    // Audit log retention ({ maxAgeDays, maxEntries }) - keeps everything by default
+    this.retention = options.retention || {};
+
+    // Only caches of a remote store (Notion) cap the history they hold
+    this.maxHistoryEntries = options.maxHistoryEntries || Infinity;
+  }
+
+  /**
+   * Nothing to load - subclasses backed by durable storage override this
+   */
+  async initialize() {}
+
+  /**
+   * Apply a write. Durable subclasses override this to persist the record
+   * before `apply` mutates the in-memory indexes.
+   */
+  async commit(kind, record, apply) {
+    apply();
   }
 
   // ============================================
@@ -19,28 +45,9 @@ class InMemoryStorage {
   // ============================================
 
   async createTicket(ticketData) {
-    const ticket = {
-      id: ticketData.id || `ticket_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      requestId: ticketData.requestId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      account: ticketData.account || null,
-      platform: ticketData.platform || null,
-      platformId: ticketData.platformId || null,
-      tagType: ticketData.tagType || null,
-      priority: ticketData.priority || 'medium',
-      status: ticketData.status || 'pending',
-      requestor: ticketData.requestor || ticketData.userId || 'anonymous',
-      targetElement: ticketData.targetElement || null,
-      vwPercent: ticketData.vwPercent || null,
-      vwSeconds: ticketData.vwSeconds || null,
-      requestTime: ticketData.requestTime || new Date().toISOString(),
-      responseTime: ticketData.responseTime || null,
-      slaDeadline: ticketData.slaDeadline || this.calculateSLADeadline(ticketData.priority),
-      conversationHistory: ticketData.conversationHistory || [],
-      createdAt: ticketData.createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const ticket = buildTicket(ticketData);
 
-    this.tickets.set(ticket.id, ticket);
+    await this.commit('ticket', ticket, () => this.tickets.set(ticket.id, ticket));
     
     // Log to history
     await this.logAction(ticket.requestId, ticket.id, ticket.requestor, 'created', {
@@ -57,42 +64,19 @@ class InMemoryStorage {
   }
 
   async listTickets(filters = {}) {
-    let tickets = Array.from(this.tickets.values());
-
-    // Apply filters
-    if (filters.status) {
-      tickets = tickets.filter(t => t.status === filters.status);
-    }
-    if (filters.priority) {
-      tickets = tickets.filter(t => t.priority === filters.priority);
+    const { query, errors } = parseTicketQuery(filters);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ticket query: ${errors.join('; ')}`);
     }
-    if (filters.platform) {
-      tickets = tickets.filter(t => t.platform === filters.platform);
-    }
-    if (filters.account) {
-      tickets = tickets.filter(t => t.account === filters.account);
-    }
-
-    // Sort by created date (newest first)
-    tickets.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-    // Pagination
-    const page = parseInt(filters.page) || 1;
-    const limit = parseInt(filters.limit) || 50;
-    const offset = (page - 1) * limit;
-
-    const paginatedTickets = tickets.slice(offset, offset + limit);
-
-    return {
-      tickets: paginatedTickets,
-      total: tickets.length,
-      page,
-      limit,
-      pages: Math.ceil(tickets.length / limit)
-    };
+    return applyTicketQuery(Array.from(this.tickets.values()), query);
   }
 
-  async updateTicket(ticketId, updates) {
+  /**
+   * Apply updates on behalf of `userId` and record the field-level diff
+   * `details` adds to the history entry, e.g. the reason for a status change
+   */
+  async updateTicket(ticketId, updates, userId = 'system', details = {}) {
     const ticket = this.tickets.get(ticketId);
     if (!ticket) {
       throw new Error(`Ticket ${ticketId} not found`);
@@ -104,14 +88,145 @@ class InMemoryStorage {
       updatedAt: new Date().toISOString()
     };
 
-    this.tickets.set(ticketId, updatedTicket);
+    const changes = diffTicket(ticket, updatedTicket);
+    if (changes.length === 0) return ticket;
+
+    await this.commit('ticket', updatedTicket, () => this.tickets.set(ticketId, updatedTicket));
 
     // Log to history
-    await this.logAction(ticket.requestId, ticketId, 'system', 'updated', updates);
+    await this.logAction(ticket.requestId, ticketId, userId, 'updated', {
+      account: updatedTicket.account,
+      platform: updatedTicket.platform,
+      priority: updatedTicket.priority,
+      ...details,
+      changes
+    });
 
     return updatedTicket;
   }
 
+  // ============================================
+  // COMMENT METHODS
+  // ============================================
+
+  async createComment(comment) {
+    await this.commit('comment', comment, () => this.comments.set(comment.id, comment));
+    return comment;
+  }
+
+  async getComment(commentId) {
+    return this.comments.get(commentId) || null;
+  }
+
+  /**
+   * Comments on a ticket (ticketId) and/or mentioning a user (mention),
+   * oldest first
+   */
+  async listComments(filters = {}) {
+    return Array.from(this.comments.values())
+      .filter(comment => !filters.ticketId || comment.ticketId === filters.ticketId)
+      .filter(comment => !filters.mention || comment.mentions.includes(filters.mention))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async updateComment(commentId, updates) {
+    const comment = this.comments.get(commentId);
+    if (!comment) {
+      throw new Error(`Comment ${commentId} not found`);
+    }
+
+    const updatedComment = {
+      ...comment,
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.commit('comment', updatedComment, () => this.comments.set(commentId, updatedComment));
+    return updatedComment;
+  }
+
+  async putAttachment(attachmentId, content) {
+    this.attachments.set(attachmentId, content);
+  }
+
+  async getAttachment(attachmentId) {
+    return this.attachments.get(attachmentId) || null;
+  }
+
+  async deleteAttachment(attachmentId) {
+    this.attachments.delete(attachmentId);
+  }
+
+  // ============================================
+  // CONVERSATION METHODS
+  // ============================================
+
+  async getConversation(conversationId) {
+    return this.conversations.get(conversationId) || null;
+  }
+
+  async saveConversation(conversation) {
+    await this.commit('conversation', conversation, () => this.conversations.set(conversation.id, conversation));
+    return conversation;
+  }
+
+  /**
+   * Returns whether there was a conversation to delete
+   */
+  async deleteConversation(conversationId) {
+    if (!this.conversations.has(conversationId)) return false;
+
+    await this.commit('conversation_delete', { id: conversationId }, () => this.conversations.delete(conversationId));
+    return true;
+  }
+
+  /**
+   * Delete conversations that expired before `now` - returns how many
+   */
+  async deleteExpiredConversations(now = new Date()) {
+    const cutoff = now.toISOString();
+    const count = Array.from(this.conversations.values()).filter(c => c.expiresAt <= cutoff).length;
+    if (count === 0) return 0;
+
+    await this.commit('conversation_purge', { before: cutoff }, () => this.purgeConversations(cutoff));
+    return count;
+  }
+
+  purgeConversations(cutoff) {
+    for (const [id, conversation] of this.conversations) {
+      if (conversation.expiresAt <= cutoff) {
+        this.conversations.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Whether this driver keeps `data` ('catalogs', 'comments') the way it
+   * keeps tickets. A driver that could only hold it in memory says no, and
+   * the API refuses edits that would be lost on the next restart.
+   */
+  stores(data) {
+    return true;
+  }
+
+  // ============================================
+  // CATALOG METHODS
+  // ============================================
+
+  /**
+   * A catalog's saved entries ('platforms', 'clients', 'learned_aliases'), or
+   * null if it has never been saved - the config file applies until then
+   */
+  async getCatalog(kind) {
+    return this.catalogs.get(kind)?.entries || null;
+  }
+
+  async saveCatalog(kind, entries) {
+    const catalog = { kind, entries, updatedAt: new Date().toISOString() };
+    await this.commit('catalog', catalog, () => this.catalogs.set(kind, catalog));
+    return entries;
+  }
+
   // ============================================
   // HISTORY METHODS
   // ============================================
@@ -122,78 +237,87 @@ class InMemoryStorage {
   }
 
   async logAction(requestIdOrObject, ticketId, userId, action, metadata = {}) {
-    // Support both old object format and new parameter format
-    let requestId, finalTicketId, finalUserId, finalAction, finalMetadata;
-    
-    if (typeof requestIdOrObject === 'object' && requestIdOrObject !== null) {
-      // Old object format: logAction({ requestId, userId, action, data })
-      requestId = requestIdOrObject.requestId;
-      finalTicketId = requestIdOrObject.ticketId || null;
-      finalUserId = requestIdOrObject.userId;
-      finalAction = requestIdOrObject.action;
-      finalMetadata = requestIdOrObject.data || requestIdOrObject.metadata || {};
-    } else {
-      // New parameter format: logAction(requestId, ticketId, userId, action, metadata)
-      requestId = requestIdOrObject;
-      finalTicketId = ticketId;
-      finalUserId = userId;
-      finalAction = action;
-      finalMetadata = metadata || {};
-    }
-    
-    const entry = {
-      id: `history_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      requestId,
-      ticketId: finalTicketId,
-      userId: finalUserId,
-      action: finalAction,
-      account: finalMetadata.account || null,
-      platform: finalMetadata.platform || null,
-      priority: finalMetadata.priority || null,
-      responseTime: finalMetadata.responseTime || null,
-      timestamp: new Date().toISOString()
-    };
+    const entry = buildHistoryEntry(requestIdOrObject, ticketId, userId, action, metadata);
 
-    this.history.push(entry);
-
-    // Keep only last 1000 entries in memory
-    if (this.history.length > 1000) {
-      this.history = this.history.slice(-1000);
-    }
+    await this.commit('history', entry, () => this.appendHistory(entry));
 
     return entry;
   }
 
   async getHistory(filters = {}) {
-    let entries = [...this.history];
-
-    // Apply filters
-    if (filters.userId) {
-      entries = entries.filter(e => e.userId === filters.userId);
-    }
-    if (filters.action) {
-      entries = entries.filter(e => e.action === filters.action);
-    }
-    if (filters.ticketId) {
-      entries = entries.filter(e => e.ticketId === filters.ticketId);
+    const { query, errors } = parseHistoryQuery(filters);
+    if (errors.length > 0) {
+      throw new Error(`Invalid history query: ${errors.join('; ')}`);
     }
 
-    // Sort by timestamp (newest first)
-    entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const archived = query.includeArchived ? await this.readArchive(query) : [];
+    return applyHistoryQuery([...archived, ...this.history], query);
+  }
 
-    // Pagination
-    const page = parseInt(filters.page) || 1;
-    const limit = parseInt(filters.limit) || 100;
-    const offset = (page - 1) * limit;
+  // ============================================
+  // RETENTION & ARCHIVAL
+  // ============================================
+
+  /**
+   * Move history entries older than `before` into monthly archive segments
+   * Returns the number of entries archived
+   */
+  async archiveHistory(before) {
+    const cutoff = new Date(before).toISOString();
+    const count = this.history.filter(entry => entry.timestamp < cutoff).length;
+    if (count === 0) return 0;
+
+    await this.commit('archive', { before: cutoff }, () => this.moveToArchive(cutoff));
+    return count;
+  }
+
+  /**
+   * Archive whatever falls outside the retention policy
+   */
+  async applyRetention(now = new Date()) {
+    if (!hasRetention(this.retention)) {
+      return { archived: 0, cutoff: null };
+    }
+
+    const newestFirst = this.history.map(entry => entry.timestamp).sort().reverse();
+    const nthNewest = this.retention.maxEntries ? newestFirst[this.retention.maxEntries - 1] : null;
+    const cutoff = retentionCutoff(this.retention, nthNewest, now);
 
     return {
-      entries: entries.slice(offset, offset + limit),
-      total: entries.length,
-      page,
-      limit
+      archived: cutoff ? await this.archiveHistory(cutoff) : 0,
+      cutoff
     };
   }
 
+  async listArchiveSegments() {
+    return Array.from(this.archive.entries())
+      .map(([segment, entries]) => ({ segment, count: entries.length }))
+      .sort((a, b) => a.segment.localeCompare(b.segment));
+  }
+
+  moveToArchive(cutoff) {
+    const kept = [];
+    for (const entry of this.history) {
+      if (entry.timestamp < cutoff) {
+        const segment = segmentOf(entry.timestamp);
+        if (!this.archive.has(segment)) this.archive.set(segment, []);
+        this.archive.get(segment).push(entry);
+      } else {
+        kept.push(entry);
+      }
+    }
+    this.history = kept;
+  }
+
+  /**
+   * Archived entries from the segments that overlap the query's time range
+   */
+  async readArchive(query) {
+    return Array.from(this.archive.entries())
+      .filter(([segment]) => segmentInRange(segment, query))
+      .flatMap(([, entries]) => entries);
+  }
+
   // ============================================
   // ANALYTICS METHODS
   // ============================================
@@ -312,15 +436,19 @@ class InMemoryStorage {
   }
 
   async getStorageStats() {
+    // Whatever statuses tickets are in - the workflow decides which exist
+    const byStatus = {};
+    for (const ticket of this.tickets.values()) {
+      byStatus[ticket.status] = (byStatus[ticket.status] || 0) + 1;
+    }
+
     return {
       ticketCount: this.tickets.size,
       historyCount: this.history.length,
-      byStatus: {
-        pending: Array.from(this.tickets.values()).filter(t => t.status === 'pending').length,
-        in_progress: Array.from(this.tickets.values()).filter(t => t.status === 'in_progress').length,
-        completed: Array.from(this.tickets.values()).filter(t => t.status === 'completed').length,
-        failed: Array.from(this.tickets.values()).filter(t => t.status === 'failed').length
-      }
+      archivedCount: (await this.listArchiveSegments()).reduce((sum, { count }) => sum + count, 0),
+      conversationCount: this.conversations.size,
+      byStatus,
+      ...summarizeWorkload(Array.from(this.tickets.values(), ({ assignee, status }) => ({ assignee, status, count: 1 })))
     };
   }
 
@@ -328,26 +456,13 @@ class InMemoryStorage {
   // HELPER METHODS
   // ============================================
 
-  calculateSLADeadline(priority) {
-    const now = new Date();
-    let hoursToAdd;
-
-    switch (priority) {
-      case 'high':
-        hoursToAdd = 4;
-        break;
-      case 'medium':
-        hoursToAdd = 24;
-        break;
-      case 'low':
-        hoursToAdd = 48;
-        break;
-      default:
-        hoursToAdd = 24;
-    }
+  appendHistory(entry) {
+    this.history.push(entry);
 
-    now.setHours(now.getHours() + hoursToAdd);
-    return now.toISOString();
+    // Caches of a remote store keep only the most recent entries
+    if (this.history.length > this.maxHistoryEntries) {
+      this.history = this.history.slice(-this.maxHistoryEntries);
+    }
   }
 
   // Export data (for downloading)
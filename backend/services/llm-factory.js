@@ -0,0 +1,117 @@
+/**
+ * LLM Factory
+ * Picks the LLM provider for the AI agent from environment variables.
+ *
+ * Provider selection:
+ * 1. LLM_PROVIDER, if set (gemini, anthropic, mock)
+ * 2. GEMINI_API_KEY -> gemini
+ * 3. ANTHROPIC_API_KEY -> anthropic
+ * 4. Otherwise none - AI features are disabled
+ *
+ * LLM_MODEL overrides the provider's default model.
+ *
+ * LLM_FALLBACKS lists the providers to fail over to, in order, as
+ * provider[:model] - e.g. "gemini:gemini-2.0-flash,anthropic". Every provider
+ * in the chain is retried and circuit-broken (see llm-failover.js);
+ * LLM_MAX_RETRIES, LLM_BREAKER_THRESHOLD and LLM_BREAKER_COOLDOWN_MS tune that.
+ */
+
+const { GeminiProvider, AnthropicProvider, MockProvider } = require('./llm-providers');
+const { FailoverProvider } = require('./llm-failover');
+
+// name -> { Provider, options(env), requiredEnv }
+const providers = new Map();
+
+function registerProvider(name, Provider, { options = () => ({}), requiredEnv = [] } = {}) {
+  providers.set(name, { Provider, options, requiredEnv });
+}
+
+registerProvider('gemini', GeminiProvider, {
+  options: env => ({ apiKey: env.GEMINI_API_KEY }),
+  requiredEnv: ['GEMINI_API_KEY']
+});
+
+registerProvider('anthropic', AnthropicProvider, {
+  options: env => ({ apiKey: env.ANTHROPIC_API_KEY, baseURL: env.ANTHROPIC_BASE_URL }),
+  requiredEnv: ['ANTHROPIC_API_KEY']
+});
+
+registerProvider('mock', MockProvider);
+
+function resolveProviderName(env) {
+  if (env.LLM_PROVIDER) {
+    return env.LLM_PROVIDER.trim().toLowerCase();
+  }
+  if (env.GEMINI_API_KEY) return 'gemini';
+  if (env.ANTHROPIC_API_KEY) return 'anthropic';
+  return null;
+}
+
+/**
+ * Parse LLM_FALLBACKS ("gemini:gemini-2.0-flash,anthropic") into
+ * [{ name, model }] - model is undefined for the provider's default
+ */
+function parseFallbacks(value = '') {
+  return value.split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const [name, ...model] = item.split(':');
+      return { name: name.trim().toLowerCase(), model: model.join(':').trim() || undefined };
+    });
+}
+
+function createProvider(name, model, env) {
+  const entry = providers.get(name);
+  if (!entry) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${[...providers.keys()].join(', ')})`);
+  }
+
+  const missingEnv = entry.requiredEnv.filter(key => !env[key]);
+  if (missingEnv.length > 0) {
+    throw new Error(`LLM provider "${name}" requires ${missingEnv.join(', ')}`);
+  }
+
+  const options = entry.options(env);
+  if (model) {
+    options.model = model;
+  }
+
+  return new entry.Provider(options);
+}
+
+function parseIntOption(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+/**
+ * Create the LLM provider chain selected by the environment
+ * Returns null when no provider is configured
+ */
+function createLLMProvider(env = process.env) {
+  const name = resolveProviderName(env);
+  if (!name) {
+    return null;
+  }
+
+  const chain = [
+    createProvider(name, env.LLM_MODEL?.trim(), env),
+    ...parseFallbacks(env.LLM_FALLBACKS).map(fallback => createProvider(fallback.name, fallback.model, env))
+  ];
+
+  // Leave out unset values so the failover defaults apply
+  const options = Object.fromEntries(Object.entries({
+    maxRetries: parseIntOption(env.LLM_MAX_RETRIES),
+    failureThreshold: parseIntOption(env.LLM_BREAKER_THRESHOLD) || undefined,
+    cooldownMs: parseIntOption(env.LLM_BREAKER_COOLDOWN_MS)
+  }).filter(([, value]) => value !== undefined));
+
+  return new FailoverProvider(chain, options);
+}
+
+module.exports = {
+  createLLMProvider,
+  registerProvider,
+  parseFallbacks
+};
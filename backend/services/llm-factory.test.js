@@ -0,0 +1,61 @@
+const { createLLMProvider, parseFallbacks } = require('./llm-factory');
+const { FailoverProvider } = require('./llm-failover');
+
+const chainOf = provider => provider.describe().map(({ provider: name, model }) => `${name}:${model}`);
+
+describe('createLLMProvider', () => {
+  test('is null without a provider or API key', () => {
+    expect(createLLMProvider({})).toBeNull();
+  });
+
+  test('picks the provider from LLM_PROVIDER, then the API keys', () => {
+    expect(createLLMProvider({ LLM_PROVIDER: ' Mock ' }).name).toBe('mock');
+    expect(createLLMProvider({ ANTHROPIC_API_KEY: 'key' }).name).toBe('anthropic');
+    expect(createLLMProvider({ GEMINI_API_KEY: 'key', ANTHROPIC_API_KEY: 'key' }).name).toBe('gemini');
+    expect(createLLMProvider({ LLM_PROVIDER: 'mock', GEMINI_API_KEY: 'key' }).name).toBe('mock');
+  });
+
+  test('wraps the chain in a FailoverProvider, with LLM_MODEL and LLM_FALLBACKS', () => {
+    const provider = createLLMProvider({
+      GEMINI_API_KEY: 'key',
+      ANTHROPIC_API_KEY: 'key',
+      LLM_MODEL: 'gemini-2.5-pro',
+      LLM_FALLBACKS: 'gemini:gemini-2.0-flash, anthropic, mock'
+    });
+
+    expect(provider).toBeInstanceOf(FailoverProvider);
+    expect(chainOf(provider)).toEqual([
+      'gemini:gemini-2.5-pro',
+      'gemini:gemini-2.0-flash',
+      'anthropic:claude-3-5-haiku-latest',
+      'mock:rules'
+    ]);
+  });
+
+  test('passes the retry and breaker settings on, keeping defaults for unset ones', () => {
+    const provider = createLLMProvider({
+      LLM_PROVIDER: 'mock',
+      LLM_MAX_RETRIES: '0',
+      LLM_BREAKER_COOLDOWN_MS: '1000',
+      LLM_BREAKER_THRESHOLD: 'lots'
+    });
+
+    expect(provider.options).toMatchObject({ maxRetries: 0, cooldownMs: 1000, failureThreshold: 3 });
+  });
+
+  test('refuses an unknown provider or one without its API key', () => {
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'gpt' })).toThrow(/Unknown LLM provider "gpt"/);
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'anthropic' })).toThrow(/requires ANTHROPIC_API_KEY/);
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'mock', LLM_FALLBACKS: 'gemini' })).toThrow(/requires GEMINI_API_KEY/);
+  });
+});
+
+describe('parseFallbacks', () => {
+  test('splits provider[:model] entries, keeping colons in the model', () => {
+    expect(parseFallbacks(' Gemini:gemini-2.0-flash,,anthropic:claude:latest ')).toEqual([
+      { name: 'gemini', model: 'gemini-2.0-flash' },
+      { name: 'anthropic', model: 'claude:latest' }
+    ]);
+    expect(parseFallbacks()).toEqual([]);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * LLM Failover
+ * Wraps the configured providers (primary first, then LLM_FALLBACKS) behind
+ * the same generate() interface:
+ * - transient errors (rate limits, 5xx, timeouts, dropped connections) are
+ *   retried with jittered exponential backoff
+ * - each provider has a circuit breaker: after `failureThreshold` failed
+ *   calls in a row it is skipped for `cooldownMs`, then one trial call decides
+ *   whether it is back
+ * - a provider that fails (or whose breaker is open) hands over to the next
+ * Replies come back tagged with the provider and model that produced them.
+ *
+ * When every provider fails the call throws an error with code
+ * 'LLM_UNAVAILABLE', and the agent answers with its rule-based extractor.
+ */
+
+const UNAVAILABLE = 'LLM_UNAVAILABLE';
+
+// HTTP statuses worth retrying against the same provider
+const TRANSIENT_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_CONNECT_TIMEOUT']);
+
+const DEFAULTS = {
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  failureThreshold: 3,
+  cooldownMs: 60000
+};
+
+/**
+ * Whether an error is likely to go away if the same call is retried
+ */
+function isTransientError(error) {
+  const status = error?.status ?? error?.statusCode;
+  if (status !== undefined) {
+    return TRANSIENT_STATUSES.has(Number(status));
+  }
+  const code = error?.code || error?.cause?.code;
+  if (TRANSIENT_CODES.has(code)) {
+    return true;
+  }
+  // No status at all: the request never got an HTTP answer (fetch failed, timeout)
+  return /fetch failed|network|timed? ?out|socket hang up/i.test(error?.message || '');
+}
+
+/**
+ * Full-jitter exponential backoff: a random delay up to base * 2^attempt
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+class CircuitBreaker {
+  constructor({ failureThreshold, cooldownMs }, now = Date.now) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * closed: calls go through; open: skipped until the cooldown ends;
+   * half_open: cooldown over, the next call is the trial
+   */
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return this.now() - this.openedAt >= this.cooldownMs ? 'half_open' : 'open';
+  }
+
+  allowsCall() {
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    // A failed trial re-opens straight away
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+    }
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openUntil: this.openedAt === null ? null : new Date(this.openedAt + this.cooldownMs).toISOString(),
+      lastError: this.lastError
+    };
+  }
+}
+
+class FailoverProvider {
+  constructor(providers, options = {}) {
+    if (providers.length === 0) {
+      throw new Error('FailoverProvider needs at least one provider');
+    }
+
+    this.options = { ...DEFAULTS, ...options };
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.chain = providers.map(provider => ({
+      provider,
+      breaker: new CircuitBreaker(this.options, options.now)
+    }));
+  }
+
+  /**
+   * The provider the next call goes to - the first whose breaker lets it through
+   */
+  get active() {
+    return (this.chain.find(({ breaker }) => breaker.allowsCall()) || this.chain[0]).provider;
+  }
+
+  get name() {
+    return this.active.name;
+  }
+
+  get model() {
+    return this.active.model;
+  }
+
+  async generate(request) {
+    const failures = [];
+
+    for (const { provider, breaker } of this.chain) {
+      const label = `${provider.name} (${provider.model})`;
+      if (!breaker.allowsCall()) {
+        failures.push(`${label}: circuit open`);
+        continue;
+      }
+
+      try {
+        const reply = await this.callWithRetry(provider, request);
+        breaker.recordSuccess();
+        return { ...reply, provider: provider.name, model: provider.model };
+      } catch (error) {
+        breaker.recordFailure(error);
+        failures.push(`${label}: ${error.message}`);
+        console.warn(`⚠️ LLM provider ${label} failed: ${error.message}`);
+      }
+    }
+
+    const error = new Error(`All LLM providers failed - ${failures.join('; ')}`);
+    error.code = UNAVAILABLE;
+    error.failures = failures;
+    throw error;
+  }
+
+  async callWithRetry(provider, request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await provider.generate(request);
+      } catch (error) {
+        if (attempt >= this.options.maxRetries || !isTransientError(error)) {
+          throw error;
+        }
+        const delay = backoffDelay(attempt, this.options);
+        console.warn(`⚠️ ${provider.name} error (${error.status || error.code || error.message}), retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * The failover chain with each provider's breaker state, for /api/health
+   */
+  describe() {
+    return this.chain.map(({ provider, breaker }) => ({
+      provider: provider.name,
+      model: provider.model,
+      ...breaker.describe()
+    }));
+  }
+}
+
+FailoverProvider.UNAVAILABLE = UNAVAILABLE;
+
+module.exports = {
+  FailoverProvider,
+  CircuitBreaker,
+  isTransientError,
+  backoffDelay
+};
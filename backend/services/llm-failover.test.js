@@ -0,0 +1,147 @@
+const { FailoverProvider, CircuitBreaker, isTransientError, backoffDelay } = require('./llm-failover');
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+/**
+ * A provider whose calls fail with the given errors in turn, then succeed
+ */
+function flaky(name, ...errors) {
+  return {
+    name,
+    model: `${name}-model`,
+    generate: jest.fn(async () => {
+      const error = errors.shift();
+      if (error) throw error;
+      return { text: `{"from": "${name}"}`, usage: null };
+    })
+  };
+}
+
+describe('isTransientError', () => {
+  test('retries rate limits, server errors and dropped connections only', () => {
+    for (const status of [429, 500, 503, 529]) {
+      expect(isTransientError(httpError(status))).toBe(true);
+    }
+    for (const status of [400, 401, 404]) {
+      expect(isTransientError(httpError(status))).toBe(false);
+    }
+    expect(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isTransientError(new TypeError('fetch failed'))).toBe(true);
+    expect(isTransientError(new Error('Invalid API key'))).toBe(false);
+  });
+});
+
+describe('backoffDelay', () => {
+  test('grows exponentially up to the cap, jittered', () => {
+    const options = { baseDelayMs: 500, maxDelayMs: 8000 };
+    expect(backoffDelay(0, options, () => 1)).toBe(500);
+    expect(backoffDelay(3, options, () => 1)).toBe(4000);
+    expect(backoffDelay(10, options, () => 1)).toBe(8000);
+    expect(backoffDelay(3, options, () => 0.5)).toBe(2000);
+    expect(backoffDelay(3, options, () => 0)).toBe(0);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('opens after the threshold, lets one trial through after the cooldown', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 }, () => now);
+
+    breaker.recordFailure(new Error('one'));
+    expect(breaker.state).toBe('closed');
+    breaker.recordFailure(new Error('two'));
+    expect(breaker.describe()).toEqual({ state: 'open', failures: 2, openUntil: new Date(1000).toISOString(), lastError: 'two' });
+    expect(breaker.allowsCall()).toBe(false);
+
+    now = 1000;
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.allowsCall()).toBe(true);
+
+    // A failed trial re-opens it straight away
+    breaker.recordFailure(new Error('three'));
+    expect(breaker.state).toBe('open');
+
+    now = 2000;
+    breaker.recordSuccess();
+    expect(breaker.describe()).toEqual({ state: 'closed', failures: 0, openUntil: null, lastError: null });
+  });
+});
+
+describe('FailoverProvider', () => {
+  let now;
+  let sleep;
+
+  const failover = (providers, options = {}) => new FailoverProvider(providers, {
+    failureThreshold: 2,
+    cooldownMs: 1000,
+    sleep,
+    now: () => now,
+    ...options
+  });
+
+  beforeEach(() => {
+    now = 0;
+    sleep = jest.fn(async () => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries transient errors with backoff, then answers', async () => {
+    const primary = flaky('primary', httpError(429), httpError(503));
+    const provider = failover([primary], { maxRetries: 2 });
+
+    const reply = await provider.generate({ messages: [] });
+
+    expect(reply).toEqual({ text: '{"from": "primary"}', usage: null, provider: 'primary', model: 'primary-model' });
+    expect(primary.generate).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(sleep.mock.calls[1][0]).toBeLessThanOrEqual(1000);
+  });
+
+  test('does not retry other errors, and fails over to the next provider', async () => {
+    const primary = flaky('primary', httpError(401));
+    const secondary = flaky('secondary');
+    const provider = failover([primary, secondary]);
+
+    const reply = await provider.generate({ messages: [] });
+
+    expect(reply.provider).toBe('secondary');
+    expect(primary.generate).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('skips a provider while its breaker is open, and tries it again after the cooldown', async () => {
+    const primary = flaky('primary', httpError(400), httpError(400));
+    const secondary = flaky('secondary');
+    const provider = failover([primary, secondary]);
+
+    await provider.generate({ messages: [] });
+    await provider.generate({ messages: [] });
+    expect(provider.describe()[0].state).toBe('open');
+    expect(provider.name).toBe('secondary');
+
+    await provider.generate({ messages: [] });
+    expect(primary.generate).toHaveBeenCalledTimes(2);
+
+    now = 1000;
+    expect(provider.name).toBe('primary');
+    expect((await provider.generate({ messages: [] })).provider).toBe('primary');
+    expect(provider.describe()[0].state).toBe('closed');
+  });
+
+  test('throws LLM_UNAVAILABLE when every provider fails', async () => {
+    const provider = failover([flaky('primary', httpError(400)), flaky('secondary', httpError(500))], { maxRetries: 0 });
+
+    const error = await provider.generate({ messages: [] }).catch(error => error);
+
+    expect(error.code).toBe(FailoverProvider.UNAVAILABLE);
+    expect(error.failures).toEqual(['primary (primary-model): HTTP 400', 'secondary (secondary-model): HTTP 500']);
+  });
+
+  test('needs at least one provider', () => {
+    expect(() => new FailoverProvider([])).toThrow(/at least one provider/);
+  });
+});
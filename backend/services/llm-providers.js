@@ -0,0 +1,121 @@
+/**
+ * LLM Providers
+ * The model backends the AI agent can talk to. Every provider implements
+ *
+ *   generate({ system, messages, schema }) -> { text, usage }
+ *
+ * where `messages` are { role: 'user' | 'assistant', content } turns, oldest
+ * first and ending with a user turn, and `schema` is the JSON schema the reply
+ * should follow (extraction-schema.js). Providers that can't enforce a schema
+ * are asked for JSON in the system prompt; the agent validates every reply.
+ * `usage` is the { inputTokens, outputTokens } the provider reports, or null.
+ * Requests may also carry `state`, the extracted-state snapshot the system
+ * prompt summarizes, and `catalog`, the { platforms, clients } the system
+ * prompt lists; only the mock provider reads them.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { extractFromConversation, describeExtraction } = require('./rule-extractor');
+
+const ANTHROPIC_MAX_TOKENS = 1024;
+
+class GeminiProvider {
+  constructor({ apiKey, model = 'gemini-2.5-flash' }) {
+    this.name = 'gemini';
+    this.model = model;
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  async generate({ system, messages, schema }) {
+    const result = await this.client.generateContent({
+      systemInstruction: system,
+      contents: messages.map(turn => ({
+        role: turn.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: turn.content }]
+      })),
+      generationConfig: schema
+        ? { responseMimeType: 'application/json', responseSchema: schema }
+        : undefined
+    });
+    const usage = result.response.usageMetadata;
+    return {
+      text: result.response.text(),
+      usage: usage ? { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount } : null
+    };
+  }
+}
+
+class AnthropicProvider {
+  constructor({ apiKey, model = 'claude-3-5-haiku-latest', baseURL }) {
+    this.name = 'anthropic';
+    this.model = model;
+    // Retries are handled by the failover layer (llm-failover.js)
+    this.client = new Anthropic({ apiKey, baseURL, maxRetries: 0 });
+  }
+
+  async generate({ system, messages, schema }) {
+    // Prefilling the reply with "{" keeps Claude to a bare JSON object
+    const prefill = schema ? '{' : '';
+    const turns = messages.map(({ role, content }) => ({ role, content }));
+    if (prefill) {
+      turns.push({ role: 'assistant', content: prefill });
+    }
+
+    // The installed SDK predates client.messages - call the endpoint directly
+    const response = await this.client.post('/v1/messages', {
+      body: {
+        model: this.model,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        system,
+        messages: turns
+      }
+    });
+
+    const text = (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return {
+      text: prefill + text,
+      usage: response.usage
+        ? { inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens }
+        : null
+    };
+  }
+}
+
+/**
+ * Offline stand-in: answers from keyword rules over the user's turns (on top
+ * of the request's extracted-state snapshot, if any, and using its platform
+ * and client catalog), so the same
+ * conversation always gets the same reply. For tests and local demos.
+ */
+class MockProvider {
+  constructor({ model = 'rules' } = {}) {
+    this.name = 'mock';
+    this.model = model;
+  }
+
+  async generate({ messages, state, catalog }) {
+    const extraction = extractFromConversation(messages, state, catalog);
+    return {
+      text: JSON.stringify({
+        message: describeExtraction(extraction),
+        ...extraction.data,
+        confidence: extraction.confidence,
+        missingFields: extraction.missingFields,
+        confirmed: extraction.confirmed,
+        ...(extraction.drafts.length > 1 ? { tickets: extraction.drafts } : {})
+      }),
+      // Nothing is billed
+      usage: null
+    };
+  }
+}
+
+module.exports = {
+  GeminiProvider,
+  AnthropicProvider,
+  MockProvider
+};
@@ -0,0 +1,50 @@
+const { MockProvider } = require('./llm-providers');
+const { parseJSONReply, validateExtraction } = require('./extraction-schema');
+
+const CATALOG = {
+  platforms: [{ id: 'dv360', name: 'Google DV360', aliases: ['DV360'] }],
+  clients: ['Nike', 'SAP']
+};
+
+describe('MockProvider', () => {
+  const provider = new MockProvider();
+
+  test('answers with a valid structured reply', async () => {
+    const reply = await provider.generate({
+      messages: [{ role: 'user', content: 'I need a tracker for Nike on DV360, high priority' }],
+      catalog: CATALOG
+    });
+
+    const { extraction, errors } = validateExtraction(parseJSONReply(reply.text));
+    expect(errors).toEqual([]);
+    expect(extraction.data).toEqual({ account: 'Nike', platform: 'Google DV360', tagType: 'Tracker', priority: 'High' });
+    expect(extraction.confirmed).toBe(false);
+    expect(reply.usage).toBeNull();
+  });
+
+  test('gives the same conversation the same reply', async () => {
+    const request = {
+      messages: [
+        { role: 'user', content: 'Tracker for SAP' },
+        { role: 'assistant', content: 'Which platform?' },
+        { role: 'user', content: 'DV360, low priority' }
+      ],
+      catalog: CATALOG
+    };
+
+    const first = await provider.generate(request);
+    const second = await new MockProvider().generate(request);
+    expect(second.text).toBe(first.text);
+    expect(JSON.parse(first.text)).toMatchObject({ account: 'SAP', platform: 'Google DV360', priority: 'Low' });
+  });
+
+  test('builds on the extracted-state snapshot', async () => {
+    const reply = await provider.generate({
+      messages: [{ role: 'user', content: 'make it high priority' }],
+      state: { account: 'Nike', platform: 'Google DV360', tagType: 'Tracker', priority: 'Low' },
+      catalog: CATALOG
+    });
+
+    expect(JSON.parse(reply.text)).toMatchObject({ account: 'Nike', tagType: 'Tracker', priority: 'High' });
+  });
+});
@@ -0,0 +1,475 @@
+/**
+ * Notion Storage Service
+ * Tickets and history live in two Notion databases. Reads are served from
+ * the in-memory indexes of InMemoryStorage, which are loaded from Notion at
+ * startup and re-synced periodically (other instances may write too).
+ * Every write goes to Notion first and only then updates the cache.
+ *
+ * Expected database properties:
+ *   Tickets: Name (title), Ticket ID, Request ID, Account, Platform ID,
+ *            Requestor, Assignee, Conversation, Details (text); Platform,
+ *            Tag Type, Priority, Status, Team (select); SLA Deadline,
+ *            Request Time, Response Time (date)
+ *   History: Action (title), History ID, Request ID, Ticket ID, User,
+ *            Account, Platform, Priority, Metadata (text);
+ *            Response Time (number); Timestamp (date)
+ *
+ * A text property holds at most 200,000 characters. The chat transcript
+ * (Conversation) drops its oldest turns to fit; a ticket whose other fields
+ * (Details) do not fit is refused rather than cut off.
+ *
+ * The history database is the complete audit log: queries go straight to
+ * Notion, and archiving only drops old entries from the local cache.
+ *
+ * Chat conversations are kept in memory only - they are short-lived anyway.
+ * Ticket comments (and their attachments) and catalog edits (platforms,
+ * clients, learned aliases) have nowhere to go in Notion, so this driver
+ * does not store them: the API refuses them with a 501 rather than keep
+ * them until the next restart, and the catalogs come from the config files.
+ *
+ * Set NOTION_BASE_URL to point the client at a local mock of the Notion API.
+ */
+
+const { Client } = require('@notionhq/client');
+const InMemoryStorage = require('./inmemory-storage');
+const { parseHistoryQuery, formatHistoryResult } = require('./history-query');
+
+// Ticket field -> [Notion property, property type]
+const TICKET_PROPERTIES = {
+  id: ['Ticket ID', 'text'],
+  requestId: ['Request ID', 'text'],
+  account: ['Account', 'text'],
+  platform: ['Platform', 'select'],
+  platformId: ['Platform ID', 'text'],
+  tagType: ['Tag Type', 'select'],
+  priority: ['Priority', 'select'],
+  status: ['Status', 'select'],
+  requestor: ['Requestor', 'text'],
+  assignee: ['Assignee', 'text'],
+  team: ['Team', 'select'],
+  slaDeadline: ['SLA Deadline', 'date'],
+  requestTime: ['Request Time', 'date'],
+  responseTime: ['Response Time', 'date']
+};
+
+// History field -> [Notion property, property type]
+const HISTORY_PROPERTIES = {
+  action: ['Action', 'title'],
+  id: ['History ID', 'text'],
+  requestId: ['Request ID', 'text'],
+  ticketId: ['Ticket ID', 'text'],
+  userId: ['User', 'text'],
+  account: ['Account', 'text'],
+  platform: ['Platform', 'text'],
+  priority: ['Priority', 'text'],
+  responseTime: ['Response Time', 'number'],
+  timestamp: ['Timestamp', 'date'],
+  metadata: ['Metadata', 'json']
+};
+
+const TITLE_PROPERTY = 'Name';
+const CONVERSATION_PROPERTY = 'Conversation';
+const DETAILS_PROPERTY = 'Details';
+
+// Fields that describe the Notion page itself rather than the ticket
+const PAGE_FIELDS = new Set(['notionPageId', 'url', 'title']);
+
+// Notion caps each rich text item at 2000 characters and 100 items per property
+const TEXT_CHUNK = 2000;
+const MAX_CHUNKS = 100;
+const MAX_TEXT = TEXT_CHUNK * MAX_CHUNKS;
+
+// Data this driver does not store (see InMemoryStorage.stores)
+const NOT_STORED = new Set(['catalogs', 'comments']);
+
+// Notion returns at most 100 pages per query
+const PAGE_SIZE = 100;
+
+class NotionStorage extends InMemoryStorage {
+  constructor(options = {}) {
+    // The cache holds recent history only - the rest stays in Notion
+    super({ ...options, maxHistoryEntries: options.maxHistoryEntries || 1000 });
+
+    this.client = options.client || new Client({
+      auth: options.token,
+      baseUrl: options.baseUrl
+    });
+    this.ticketsDbId = options.ticketsDbId;
+    this.historyDbId = options.historyDbId || null;
+    this.syncInterval = options.syncInterval || 60 * 1000;
+    this.lastSyncedAt = 0;
+    this.loading = null;
+
+    if (!this.historyDbId) {
+      console.warn('⚠️ NOTION_HISTORY_DB_ID not set - history will not be saved to Notion');
+    }
+    console.warn('⚠️ Notion storage keeps chat conversations in memory only, and does not store comments or catalog edits');
+  }
+
+  stores(data) {
+    return !NOT_STORED.has(data);
+  }
+
+  initialize() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  // ============================================
+  // SYNC
+  // ============================================
+
+  async load() {
+    await this.syncTickets();
+
+    if (this.historyDbId) {
+      // Most recent entries only - older history stays in Notion
+      const pages = await this.queryAll(this.historyDbId, {
+        sorts: [{ property: HISTORY_PROPERTIES.timestamp[0], direction: 'descending' }]
+      }, this.maxHistoryEntries);
+      this.history = pages.map(page => this.pageToHistoryEntry(page)).reverse();
+    }
+
+    console.log(`✓ Notion storage synced: ${this.tickets.size} tickets, ${this.history.length} history entries`);
+  }
+
+  async syncTickets() {
+    const pages = await this.queryAll(this.ticketsDbId);
+    this.tickets = new Map(
+      pages.map(page => this.pageToTicket(page)).map(ticket => [ticket.id, ticket])
+    );
+    this.lastSyncedAt = Date.now();
+  }
+
+  /**
+   * Re-read tickets from Notion when the cache is older than syncInterval
+   */
+  async refreshIfStale() {
+    await this.initialize();
+    if (Date.now() - this.lastSyncedAt > this.syncInterval) {
+      await this.syncTickets();
+    }
+  }
+
+  async queryAll(databaseId, query = {}, max = Infinity) {
+    return (await this.queryPages(databaseId, query, max)).pages;
+  }
+
+  /**
+   * Up to `max` pages of a database query, asking for no more than that
+   * Returns { pages, hasMore } - hasMore when the database holds more
+   */
+  async queryPages(databaseId, query = {}, max = Infinity) {
+    const pages = [];
+    let cursor;
+    let hasMore = false;
+
+    do {
+      const response = await this.client.databases.query({
+        database_id: databaseId,
+        ...query,
+        start_cursor: cursor,
+        page_size: Math.min(PAGE_SIZE, max - pages.length)
+      });
+      pages.push(...response.results);
+      hasMore = response.has_more;
+      cursor = hasMore ? response.next_cursor : undefined;
+    } while (cursor && pages.length < max);
+
+    return { pages: pages.slice(0, max), hasMore };
+  }
+
+  async commit(kind, record, apply) {
+    await this.initialize();
+
+    if (kind === 'ticket') {
+      const properties = this.ticketToProperties(record);
+      const page = record.notionPageId
+        ? await this.client.pages.update({ page_id: record.notionPageId, properties })
+        : await this.client.pages.create({ parent: { database_id: this.ticketsDbId }, properties });
+
+      record.notionPageId = page.id;
+      record.url = page.url;
+      record.title = this.ticketTitle(record);
+    } else if (kind === 'history' && this.historyDbId) {
+      await this.client.pages.create({
+        parent: { database_id: this.historyDbId },
+        properties: this.historyToProperties(record)
+      });
+    }
+
+    apply();
+  }
+
+  // ============================================
+  // READS (sync from Notion before answering)
+  // ============================================
+
+  async getTicket(ticketId) {
+    const cached = await super.getTicket(ticketId);
+    if (cached) return cached;
+
+    // Possibly created by another instance since the last sync
+    const { results } = await this.client.databases.query({
+      database_id: this.ticketsDbId,
+      filter: { property: TICKET_PROPERTIES.id[0], rich_text: { equals: ticketId } },
+      page_size: 1
+    });
+    if (results.length === 0) return null;
+
+    const ticket = this.pageToTicket(results[0]);
+    this.tickets.set(ticket.id, ticket);
+    return ticket;
+  }
+
+  async listTickets(filters = {}) {
+    await this.refreshIfStale();
+    return super.listTickets(filters);
+  }
+
+  async getAnalytics(filters = {}) {
+    await this.refreshIfStale();
+    return super.getAnalytics(filters);
+  }
+
+  async getTurnaroundStats() {
+    await this.refreshIfStale();
+    return super.getTurnaroundStats();
+  }
+
+  /**
+   * Query the history database itself, so entries beyond the cache are found.
+   * Notion filters and sorts, and only the pages up to the requested one are
+   * fetched - it cannot count, so `total` is null while more entries follow.
+   */
+  async getHistory(filters = {}) {
+    if (!this.historyDbId) {
+      return super.getHistory(filters);
+    }
+
+    const { query, errors } = parseHistoryQuery(filters);
+    if (errors.length > 0) {
+      throw new Error(`Invalid history query: ${errors.join('; ')}`);
+    }
+
+    await this.initialize();
+    const filter = this.historyFilter(query);
+    const { pages, hasMore } = await this.queryPages(this.historyDbId, {
+      ...(filter ? { filter } : {}),
+      sorts: [{ property: HISTORY_PROPERTIES.timestamp[0], direction: query.order === 'asc' ? 'ascending' : 'descending' }]
+    }, query.offset + query.limit);
+
+    const entries = pages.slice(query.offset).map(page => this.pageToHistoryEntry(page));
+    return {
+      ...formatHistoryResult(entries, hasMore ? null : pages.length, query),
+      hasMore
+    };
+  }
+
+  historyFilter(query) {
+    const and = [];
+
+    for (const [field, values] of Object.entries(query.filters)) {
+      const [property, type] = HISTORY_PROPERTIES[field];
+      const key = type === 'title' ? 'title' : 'rich_text';
+      and.push({ or: values.map(value => ({ property, [key]: { equals: value } })) });
+    }
+    if (query.from) {
+      and.push({ property: HISTORY_PROPERTIES.timestamp[0], date: { on_or_after: query.from } });
+    }
+    if (query.to) {
+      and.push({ property: HISTORY_PROPERTIES.timestamp[0], date: { on_or_before: query.to } });
+    }
+
+    if (and.length === 0) return null;
+    return and.length === 1 ? and[0] : { and };
+  }
+
+  /**
+   * Entries stay in Notion - archiving only trims them from the cache
+   */
+  async archiveHistory(before) {
+    await this.initialize();
+    const cutoff = new Date(before).toISOString();
+    const kept = this.history.filter(entry => entry.timestamp >= cutoff);
+    const archived = this.history.length - kept.length;
+    this.history = kept;
+    return archived;
+  }
+
+  async listArchiveSegments() {
+    return [];
+  }
+
+  async getStorageStats() {
+    await this.refreshIfStale();
+    return {
+      ...(await super.getStorageStats()),
+      lastSyncedAt: new Date(this.lastSyncedAt).toISOString()
+    };
+  }
+
+  // ============================================
+  // PROPERTY MAPPING
+  // ============================================
+
+  ticketTitle(ticket) {
+    return [ticket.account, ticket.platform, ticket.tagType].filter(Boolean).join(' - ') || ticket.id;
+  }
+
+  ticketToProperties(ticket) {
+    const properties = {
+      [TITLE_PROPERTY]: this.toProperty('title', this.ticketTitle(ticket))
+    };
+
+    const details = {};
+    for (const [field, value] of Object.entries(ticket)) {
+      if (TICKET_PROPERTIES[field]) {
+        const [name, type] = TICKET_PROPERTIES[field];
+        properties[name] = this.toProperty(type, value);
+      } else if (field === 'conversationHistory') {
+        properties[CONVERSATION_PROPERTY] = this.toProperty('json', this.fitConversation(ticket.id, value));
+      } else if (!PAGE_FIELDS.has(field)) {
+        details[field] = value;
+      }
+    }
+
+    // Everything without a dedicated property round-trips as JSON
+    const json = JSON.stringify(details);
+    if (json.length > MAX_TEXT) {
+      throw new Error(`Ticket ${ticket.id} is too large for Notion: its ${DETAILS_PROPERTY} exceed ${MAX_TEXT} characters`);
+    }
+    properties[DETAILS_PROPERTY] = this.toProperty('text', json);
+    return properties;
+  }
+
+  /**
+   * The most recent turns of a conversation whose JSON fits in one property
+   */
+  fitConversation(ticketId, turns) {
+    let kept = Array.isArray(turns) ? turns : [];
+    while (kept.length > 0 && JSON.stringify(kept).length > MAX_TEXT) {
+      kept = kept.slice(1);
+    }
+
+    if (Array.isArray(turns) && kept.length < turns.length) {
+      console.warn(`⚠️ Ticket ${ticketId}: kept the last ${kept.length} of ${turns.length} conversation turns in Notion`);
+    }
+    return kept;
+  }
+
+  pageToTicket(page) {
+    const ticket = {};
+    for (const [field, [name, type]] of Object.entries(TICKET_PROPERTIES)) {
+      ticket[field] = this.fromProperty(type, page.properties[name]);
+    }
+
+    // Pages written before the Conversation property keep it in Details
+    const conversation = page.properties[CONVERSATION_PROPERTY];
+
+    return {
+      createdAt: page.created_time,
+      updatedAt: page.last_edited_time,
+      ...ticket,
+      ...this.parseDetails(page),
+      ...(conversation?.rich_text?.length > 0
+        ? { conversationHistory: this.fromProperty('json', conversation) }
+        : {}),
+      notionPageId: page.id,
+      url: page.url,
+      title: this.fromProperty('title', page.properties[TITLE_PROPERTY])
+    };
+  }
+
+  parseDetails(page) {
+    const details = this.fromProperty('text', page.properties[DETAILS_PROPERTY]);
+    if (!details) return {};
+
+    try {
+      return JSON.parse(details);
+    } catch (error) {
+      // Edited by hand in Notion, or cut off at the property size limit
+      console.warn(`⚠️ Ignoring unreadable ${DETAILS_PROPERTY} on Notion page ${page.id}`);
+      return {};
+    }
+  }
+
+  historyToProperties(entry) {
+    const properties = {};
+    for (const [field, [name, type]] of Object.entries(HISTORY_PROPERTIES)) {
+      properties[name] = this.toProperty(type, entry[field]);
+    }
+    return properties;
+  }
+
+  pageToHistoryEntry(page) {
+    const entry = {};
+    for (const [field, [name, type]] of Object.entries(HISTORY_PROPERTIES)) {
+      entry[field] = this.fromProperty(type, page.properties[name]);
+    }
+    return entry;
+  }
+
+  toProperty(type, value) {
+    const empty = value === null || value === undefined || value === '';
+
+    switch (type) {
+      case 'title':
+        return { title: empty ? [] : [{ text: { content: String(value).slice(0, TEXT_CHUNK) } }] };
+      case 'text':
+        return { rich_text: empty ? [] : this.chunkText(String(value)) };
+      case 'json':
+        return { rich_text: empty ? [] : this.chunkText(JSON.stringify(value)) };
+      case 'select':
+        // Select option names cannot contain commas
+        return { select: empty ? null : { name: String(value).replace(/,/g, ' ') } };
+      case 'date':
+        return { date: empty ? null : { start: value } };
+      case 'number':
+        return { number: typeof value === 'number' ? value : null };
+      default:
+        throw new Error(`Unsupported Notion property type: ${type}`);
+    }
+  }
+
+  fromProperty(type, property) {
+    if (!property) return null;
+
+    switch (type) {
+      case 'title':
+      case 'text': {
+        const parts = property[type === 'title' ? 'title' : 'rich_text'] || [];
+        const text = parts.map(part => part.plain_text ?? part.text?.content ?? '').join('');
+        return text || null;
+      }
+      case 'json': {
+        const text = this.fromProperty('text', property);
+        try {
+          return text ? JSON.parse(text) : {};
+        } catch (error) {
+          return {};
+        }
+      }
+      case 'select':
+        return property.select?.name || null;
+      case 'date':
+        return property.date?.start || null;
+      case 'number':
+        return property.number ?? null;
+      default:
+        return null;
+    }
+  }
+
+  chunkText(text) {
+    const chunks = [];
+    for (let i = 0; i < text.length && chunks.length < MAX_CHUNKS; i += TEXT_CHUNK) {
+      chunks.push({ text: { content: text.slice(i, i + TEXT_CHUNK) } });
+    }
+    return chunks;
+  }
+}
+
+module.exports = NotionStorage;
@@ -0,0 +1,239 @@
+const NotionStorage = require('./notion-storage');
+
+/**
+ * A local mock of the Notion API - the subset NotionStorage calls, with
+ * rich_text/title equality and date range filters, date sorts and cursors
+ */
+function mockNotion() {
+  const databases = new Map();
+  let nextId = 1;
+  const calls = [];
+
+  const textOf = property => (property?.title || property?.rich_text || [])
+    .map(part => part.text.content).join('');
+
+  const matches = (page, filter) => {
+    if (!filter) return true;
+    if (filter.and) return filter.and.every(part => matches(page, part));
+    if (filter.or) return filter.or.some(part => matches(page, part));
+
+    const property = page.properties[filter.property];
+    if (filter.rich_text || filter.title) {
+      return textOf(property) === (filter.rich_text || filter.title).equals;
+    }
+    if (filter.date) {
+      const start = property?.date?.start;
+      if (filter.date.on_or_after && !(start >= filter.date.on_or_after)) return false;
+      if (filter.date.on_or_before && !(start <= filter.date.on_or_before)) return false;
+      return true;
+    }
+    throw new Error(`Unsupported filter ${JSON.stringify(filter)}`);
+  };
+
+  const client = {
+    calls,
+    databases: {
+      async query({ database_id, filter, sorts = [], start_cursor, page_size = 100 }) {
+        calls.push({ method: 'databases.query', database_id, page_size });
+        let pages = (databases.get(database_id) || []).filter(page => matches(page, filter));
+        for (const { property, direction } of [...sorts].reverse()) {
+          pages = [...pages].sort((a, b) => {
+            const order = String(a.properties[property]?.date?.start)
+              .localeCompare(String(b.properties[property]?.date?.start));
+            return direction === 'descending' ? -order : order;
+          });
+        }
+
+        const start = start_cursor ? Number(start_cursor) : 0;
+        const end = start + Math.min(page_size, 100);
+        return {
+          results: pages.slice(start, end),
+          has_more: end < pages.length,
+          next_cursor: end < pages.length ? String(end) : null
+        };
+      }
+    },
+    pages: {
+      async create({ parent, properties }) {
+        calls.push({ method: 'pages.create', database_id: parent.database_id });
+        const id = `page-${nextId++}`;
+        const now = new Date().toISOString();
+        const page = { id, url: `https://notion.so/${id}`, created_time: now, last_edited_time: now, properties };
+        if (!databases.has(parent.database_id)) databases.set(parent.database_id, []);
+        databases.get(parent.database_id).push(page);
+        return page;
+      },
+      async update({ page_id, properties }) {
+        calls.push({ method: 'pages.update', page_id });
+        for (const pages of databases.values()) {
+          const page = pages.find(candidate => candidate.id === page_id);
+          if (page) {
+            Object.assign(page.properties, properties);
+            page.last_edited_time = new Date().toISOString();
+            return page;
+          }
+        }
+        throw new Error(`Could not find page with ID: ${page_id}`);
+      }
+    }
+  };
+
+  return { client, databases, textOf };
+}
+
+describe('NotionStorage', () => {
+  let notion;
+
+  const open = (options = {}) => new NotionStorage({
+    client: notion.client,
+    ticketsDbId: 'tickets',
+    historyDbId: 'history',
+    ...options
+  });
+
+  beforeEach(() => {
+    notion = mockNotion();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates a page per ticket and a row per history entry', async () => {
+    const storage = open();
+    const ticket = await storage.createTicket({
+      account: 'Acme', platform: 'DV360', tagType: 'Tracker', priority: 'high',
+      seat: 'acme-emea', conversationHistory: [{ role: 'user', content: 'Tracker for Acme on DV360' }]
+    });
+
+    expect(ticket).toMatchObject({ notionPageId: 'page-1', url: 'https://notion.so/page-1', title: 'Acme - DV360 - Tracker' });
+
+    const [page] = notion.databases.get('tickets');
+    expect(notion.textOf(page.properties['Ticket ID'])).toBe(ticket.id);
+    expect(page.properties.Priority.select.name).toBe('high');
+    // Fields without a dedicated property go to Details, the transcript to Conversation
+    const details = JSON.parse(notion.textOf(page.properties.Details));
+    expect(details).toMatchObject({ seat: 'acme-emea', createdAt: ticket.createdAt });
+    expect(details).not.toHaveProperty('conversationHistory');
+    expect(JSON.parse(notion.textOf(page.properties.Conversation))).toEqual(ticket.conversationHistory);
+
+    const [entry] = notion.databases.get('history');
+    expect(notion.textOf(entry.properties.Action)).toBe('created');
+    expect(notion.textOf(entry.properties['Ticket ID'])).toBe(ticket.id);
+  });
+
+  test('updates the existing page', async () => {
+    const storage = open();
+    const ticket = await storage.createTicket({ account: 'Acme', priority: 'low' });
+    const updated = await storage.updateTicket(ticket.id, { status: 'in_progress', assignee: 'bob' }, 'alice');
+
+    expect(updated.notionPageId).toBe(ticket.notionPageId);
+    expect(notion.client.calls.filter(call => call.method === 'pages.update')).toEqual([
+      { method: 'pages.update', page_id: ticket.notionPageId }
+    ]);
+    const [page] = notion.databases.get('tickets');
+    expect(page.properties.Status.select.name).toBe('in_progress');
+    expect(notion.textOf(page.properties.Assignee)).toBe('bob');
+
+    const history = notion.databases.get('history');
+    expect(history.map(entry => notion.textOf(entry.properties.Action))).toEqual(['created', 'updated']);
+    expect(notion.textOf(history[1].properties.User)).toBe('alice');
+  });
+
+  test('queries history in Notion, fetching only up to the requested page', async () => {
+    const storage = open();
+    for (let i = 0; i < 5; i++) {
+      await storage.logAction(`req_${i}`, 'ticket_1', i % 2 ? 'alice' : 'bob', 'updated');
+    }
+    await storage.logAction('req_x', 'ticket_2', 'alice', 'created');
+
+    notion.client.calls.length = 0;
+    const page = await storage.getHistory({ ticketId: 'ticket_1', limit: 2, offset: 1, order: 'asc' });
+
+    expect(page.entries.map(entry => entry.requestId)).toEqual(['req_1', 'req_2']);
+    expect(page).toMatchObject({ total: null, hasMore: true, offset: 1, limit: 2 });
+    expect(notion.client.calls).toEqual([{ method: 'databases.query', database_id: 'history', page_size: 3 }]);
+
+    const last = await storage.getHistory({ ticketId: 'ticket_1', userId: 'alice' });
+    expect(last).toMatchObject({ total: 2, hasMore: false });
+    expect(last.entries.map(entry => entry.requestId).sort()).toEqual(['req_1', 'req_3']);
+  });
+
+  test('syncs tickets written by another instance', async () => {
+    const storage = open({ syncInterval: 1 });
+    const other = open();
+    await storage.initialize();
+
+    const ticket = await other.createTicket({
+      account: 'Globex', platform: 'The Trade Desk', tagType: 'Video Wrapper',
+      vwPercent: 50, vwSeconds: 2, seat: 'globex-us',
+      conversationHistory: [{ role: 'user', content: 'Video wrapper for Globex' }]
+    });
+
+    // Found by id before the next sync...
+    expect((await storage.getTicket(ticket.id)).account).toBe('Globex');
+
+    // ...and listed after it, with every field read back from the page
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const { tickets } = await storage.listTickets();
+    expect(tickets).toHaveLength(1);
+    expect(tickets[0]).toMatchObject({
+      id: ticket.id,
+      seat: 'globex-us',
+      vwPercent: 50,
+      vwSeconds: 2,
+      createdAt: ticket.createdAt,
+      conversationHistory: ticket.conversationHistory,
+      notionPageId: ticket.notionPageId
+    });
+
+    const reopened = open();
+    await reopened.initialize();
+    expect(reopened.tickets.size).toBe(1);
+    expect(reopened.history.map(entry => entry.action)).toEqual(['created']);
+  });
+
+  test('reads the transcript from Details on pages written before Conversation', async () => {
+    const turns = [{ role: 'user', content: 'Tracker for Acme' }];
+    await notion.client.pages.create({
+      parent: { database_id: 'tickets' },
+      properties: {
+        'Ticket ID': { rich_text: [{ text: { content: 'ticket_old' } }] },
+        Details: { rich_text: [{ text: { content: JSON.stringify({ conversationHistory: turns }) } }] }
+      }
+    });
+
+    const storage = open();
+    expect((await storage.getTicket('ticket_old')).conversationHistory).toEqual(turns);
+  });
+
+  test('keeps the most recent turns of a transcript too long for one property', async () => {
+    const storage = open();
+    const turns = Array.from({ length: 30 }, (_, i) => ({ role: 'user', content: `${i} `.padEnd(10000, 'x') }));
+    const ticket = await storage.createTicket({ account: 'Acme', conversationHistory: turns });
+
+    const reopened = open();
+    const stored = (await reopened.getTicket(ticket.id)).conversationHistory;
+    expect(stored.length).toBeLessThan(turns.length);
+    expect(stored).toEqual(turns.slice(turns.length - stored.length));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('conversation turns'));
+  });
+
+  test('refuses a ticket whose Details would be cut off', async () => {
+    const storage = open();
+    const ticket = await storage.createTicket({ account: 'Acme' });
+
+    await expect(storage.updateTicket(ticket.id, { targetElement: 'x'.repeat(200001) }))
+      .rejects.toThrow(/too large for Notion/);
+    expect(notion.client.calls.filter(call => call.method === 'pages.update')).toEqual([]);
+    expect((await storage.getTicket(ticket.id)).targetElement).toBeNull();
+  });
+
+  test('says it does not store comments or catalog edits', () => {
+    const storage = open();
+    expect(storage.stores('catalogs')).toBe(false);
+    expect(storage.stores('comments')).toBe(false);
+  });
+});
@@ -1,59 +1,114 @@
 // backend/services/platform-matcher.js
 // Platform matching with aliases and fuzzy search
+//
+// A platform can have client seats - the integration set up for one client
+// (the client's id in config/clients.json):
+//   "seats": [{ "id": "dv360_cofidis", "client": "cofidis", "aliases": [] }]
+// A seat's id and aliases match its platform; resolvePlatform() also picks
+// the seat for the ticket's client.
+//
+// The catalog can be edited at runtime (see the plan* methods and the
+// /api/platforms routes in server.js): edits are checked, saved with the
+// storage driver, and applied with setCatalog(), which rebuilds the alias map.
+// A catalog that fails the lint (see catalog-lint.js) is not loaded.
+//
+// Fuzzy matching scores names with Jaro-Winkler and a token set ratio (see
+// fuzzy-match.js), only against the names sharing a trigram with the input
+// (the index is rebuilt with the alias map). rankPlatforms() returns the
+// ranked candidates and why each matched; equal scores go to the platform
+// with the higher priority.
+//
+// A platform can also list the tag types it supports, the ticket details it
+// requires, its macros, ad servers and docs (see platform-specs.js).
 
 const fs = require('fs').promises;
 const path = require('path');
+const { normalizeString, calculateSimilarity, compareNames, TrigramIndex } = require('./fuzzy-match');
+const { lintCatalog, platformLabels } = require('./catalog-lint');
+const { SPEC_FIELDS, validateSpecs, specsOf } = require('./platform-specs');
+
+// Fuzzy score a name needs to count as a match
+const MATCH_THRESHOLD = 0.8;
+
+// ...and to be suggested
+const SUGGESTION_THRESHOLD = 0.5;
 
 class PlatformMatcher {
   constructor() {
-    this.platforms = [];
+    this.catalog = [];   // Every platform, including inactive ones
+    this.platforms = []; // The active ones - the only ones matched
     this.aliasMap = new Map();
+    this.seatMap = new Map(); // Seat id or alias -> { platform, seat }
+    this.index = new TrigramIndex(); // Every name, alias and seat -> { platform, kind }
   }
 
-  async initialize() {
+  /**
+   * Load config/platforms.json - `clients` are the client ids its seats are
+   * linted against (see services/catalog-lint.js)
+   */
+  async initialize({ clients = null } = {}) {
+    let config;
     try {
       // Load platforms from config file
       const configPath = path.join(__dirname, '../config/platforms.json');
       const data = await fs.readFile(configPath, 'utf8');
-      const config = JSON.parse(data);
-      
-      this.platforms = config.platforms.filter(p => p.active !== false);
-      
-      // Build alias map for fast lookup
-      this.buildAliasMap();
-      
-      console.log(`✓ Loaded ${this.platforms.length} platforms with ${this.aliasMap.size} aliases`);
-      
+      config = JSON.parse(data);
     } catch (error) {
       console.error('Failed to load platforms:', error);
       // Use default platforms as fallback
       this.loadDefaultPlatforms();
+      return;
+    }
+
+    // Refuse a catalog where platforms would silently take over each other's aliases
+    const lint = lintCatalog(config.platforms, { clients });
+    if (!lint.valid) {
+      throw new Error(`Invalid platforms config: ${lint.errors.map(error => error.message).join('; ')}`);
+    }
+    if (lint.warnings.length > 0) {
+      console.warn(`⚠️ platforms.json has ${lint.warnings.length} lint warnings (run npm run lint:catalog)`);
     }
+
+    // Build alias map for fast lookup
+    this.setCatalog(config.platforms);
+
+    console.log(`✓ Loaded ${this.platforms.length} platforms with ${this.aliasMap.size} aliases`);
   }
 
   buildAliasMap() {
     this.aliasMap.clear();
+    this.seatMap.clear();
+    this.index = new TrigramIndex();
     
     this.platforms.forEach(platform => {
       // Map main name
       const mainKey = this.normalizeString(platform.name);
       this.aliasMap.set(mainKey, platform);
+      this.index.add(platform.name, { platform, kind: 'name' });
       
       // Map all aliases
       if (platform.aliases && Array.isArray(platform.aliases)) {
         platform.aliases.forEach(alias => {
           const aliasKey = this.normalizeString(alias);
           this.aliasMap.set(aliasKey, platform);
+          this.index.add(alias, { platform, kind: 'alias' });
         });
       }
+
+      // Map client seats to their platform
+      (platform.seats || []).forEach(seat => {
+        [seat.id, ...(seat.aliases || [])].forEach(label => {
+          const seatKey = this.normalizeString(label);
+          this.aliasMap.set(seatKey, platform);
+          this.seatMap.set(seatKey, { platform, seat });
+          this.index.add(label, { platform, kind: 'seat' });
+        });
+      });
     });
   }
 
   normalizeString(str) {
-    return str
-      .toLowerCase()
-      .trim()
-      .replace(/[^a-z0-9]/g, ''); // Remove special characters
+    return normalizeString(str);
   }
 
   matchPlatform(input) {
@@ -68,145 +123,123 @@ class PlatformMatcher {
     
     // Try fuzzy match
     const fuzzyMatch = this.fuzzyMatch(input);
-    if (fuzzyMatch && fuzzyMatch.score > 0.8) {
+    if (fuzzyMatch && fuzzyMatch.score > MATCH_THRESHOLD) {
       return fuzzyMatch.platform;
     }
     
     return null;
   }
 
-  fuzzyMatch(input) {
-    const normalized = this.normalizeString(input);
-    let bestMatch = null;
-    let bestScore = 0;
-    
-    this.platforms.forEach(platform => {
-      // Check main name
-      const mainScore = this.calculateSimilarity(
-        normalized,
-        this.normalizeString(platform.name)
-      );
-      
-      if (mainScore > bestScore) {
-        bestScore = mainScore;
-        bestMatch = platform;
-      }
-      
-      // Check aliases
-      if (platform.aliases) {
-        platform.aliases.forEach(alias => {
-          const aliasScore = this.calculateSimilarity(
-            normalized,
-            this.normalizeString(alias)
-          );
-          
-          if (aliasScore > bestScore) {
-            bestScore = aliasScore;
-            bestMatch = platform;
-          }
-        });
-      }
-    });
-    
-    return bestMatch ? { platform: bestMatch, score: bestScore } : null;
+  /**
+   * Match a platform and the client seat to use: the seat named in `input`,
+   * or else the platform's seat for `clientId` (null if it has none)
+   * Returns { platform, seat } or null
+   */
+  resolvePlatform(input, clientId = null) {
+    if (!input) return null;
+
+    const named = this.seatMap.get(this.normalizeString(input));
+    if (named) return named;
+
+    const platform = this.matchPlatform(input);
+    if (!platform) return null;
+
+    const seat = clientId
+      ? (platform.seats || []).find(seat => seat.client === clientId) || null
+      : null;
+    return { platform, seat };
   }
 
-  calculateSimilarity(str1, str2) {
-    // Levenshtein distance-based similarity
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-    
-    if (longer.length === 0) return 1.0;
-    
-    // Check if shorter is contained in longer
-    if (longer.includes(shorter)) {
-      return 0.9; // High score for substring matches
+  /**
+   * The platforms an input could be, best first: [{ platform, score, matched,
+   * kind, reasons }] - `matched` is the name, alias or seat that scored best
+   * (`kind`), `reasons` explain the score. Equal scores rank by priority.
+   */
+  rankPlatforms(input, limit = 5, minScore = 0) {
+    if (!input || !this.normalizeString(input)) return [];
+
+    // Best scoring label per platform, among those sharing a trigram with the input
+    const best = new Map();
+    for (const { name: label, value: { platform, kind } } of this.index.candidates(input)) {
+      const comparison = compareNames(input, label);
+      const current = best.get(platform);
+      if (!current || comparison.score > current.score) {
+        best.set(platform, { platform, score: comparison.score, matched: label, kind, comparison });
+      }
     }
-    
-    const editDistance = this.levenshteinDistance(str1, str2);
-    return (longer.length - editDistance) / longer.length;
+
+    const ranked = [...best.values()]
+      .filter(candidate => candidate.score >= minScore)
+      .sort((a, b) => {
+        // Sort by score first, then by priority
+        if (b.score !== a.score) return b.score - a.score;
+        return (a.platform.priority || 999) - (b.platform.priority || 999);
+      })
+      .slice(0, limit);
+
+    return ranked.map((candidate, position) => {
+      const tied = ranked.some((other, index) => index !== position && other.score === candidate.score);
+      return {
+        platform: candidate.platform,
+        score: candidate.score,
+        matched: candidate.matched,
+        kind: candidate.kind,
+        reasons: this.explain(candidate, tied)
+      };
+    });
   }
 
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
-    
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
+  // Why a candidate scored what it did
+  explain({ platform, matched, kind, comparison }, tied) {
+    const reasons = [];
+    if (comparison.exact) {
+      reasons.push(`exact match on ${kind} "${matched}"`);
+    } else {
+      reasons.push(`closest to ${kind} "${matched}"`);
+      reasons.push(`spelling (Jaro-Winkler) ${comparison.jaroWinkler.toFixed(2)}`);
+      reasons.push(comparison.tokenSet === 1
+        ? 'every word of one is in the other'
+        : `words (token set) ${comparison.tokenSet.toFixed(2)}`);
     }
-    
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // substitution
-            matrix[i][j - 1] + 1,     // insertion
-            matrix[i - 1][j] + 1      // deletion
-          );
-        }
-      }
+    if (tied) {
+      reasons.push(`tied on score - ranked by priority ${platform.priority ?? 'none'}`);
     }
-    
-    return matrix[str2.length][str1.length];
+    return reasons;
+  }
+
+  fuzzyMatch(input) {
+    const [best] = this.rankPlatforms(input, 1);
+    return best ? { platform: best.platform, score: best.score } : null;
+  }
+
+  calculateSimilarity(str1, str2) {
+    return calculateSimilarity(str1, str2);
   }
 
   suggestPlatforms(input, limit = 5) {
-    const normalized = this.normalizeString(input);
-    
-    // Calculate similarity scores for all platforms
-    const suggestions = this.platforms.map(platform => {
-      const mainScore = this.calculateSimilarity(
-        normalized,
-        this.normalizeString(platform.name)
-      );
-      
-      let bestAliasScore = 0;
-      if (platform.aliases) {
-        platform.aliases.forEach(alias => {
-          const score = this.calculateSimilarity(
-            normalized,
-            this.normalizeString(alias)
-          );
-          bestAliasScore = Math.max(bestAliasScore, score);
-        });
-      }
-      
-      return {
-        platform,
-        score: Math.max(mainScore, bestAliasScore)
-      };
-    })
-    .filter(s => s.score > 0.3) // Only suggest if somewhat similar
-    .sort((a, b) => {
-      // Sort by score first, then by priority
-      if (b.score !== a.score) return b.score - a.score;
-      return (a.platform.priority || 999) - (b.platform.priority || 999);
-    })
-    .slice(0, limit)
-    .map(s => ({
+    // Only suggest if somewhat similar
+    return this.rankPlatforms(input, limit, SUGGESTION_THRESHOLD).map(s => ({
       id: s.platform.id,
       name: s.platform.name,
       score: s.score,
-      aliases: s.platform.aliases
+      aliases: s.platform.aliases,
+      matched: s.matched,
+      reasons: s.reasons
     }));
-    
-    return suggestions;
   }
 
   getAllPlatforms(activeOnly = true) {
-    return this.platforms
+    return this.catalog
       .filter(p => !activeOnly || p.active !== false)
       .sort((a, b) => (a.priority || 999) - (b.priority || 999))
       .map(p => ({
         id: p.id,
         name: p.name,
         aliases: p.aliases,
-        priority: p.priority
+        priority: p.priority,
+        seats: p.seats || [],
+        ...specsOf(p),
+        ...(activeOnly ? {} : { active: p.active !== false })
       }));
   }
 
@@ -218,9 +251,173 @@ class PlatformMatcher {
     return this.platforms.find(p => p.id === id);
   }
 
+  // ============================================
+  // CATALOG EDITING
+  // ============================================
+
+  // Replace the whole catalog (active and inactive platforms) and rebuild the alias map
+  setCatalog(platforms) {
+    this.catalog = platforms;
+    this.platforms = platforms.filter(p => p.active !== false);
+    this.buildAliasMap();
+  }
+
+  // A platform in the catalog, active or not
+  getCatalogPlatform(id) {
+    return this.catalog.find(p => p.id === id) || null;
+  }
+
+  // Every normalized name, alias and seat a platform is matched by
+  labelsOf(platform) {
+    return new Set(platformLabels(platform).map(label => this.normalizeString(label)));
+  }
+
+  /**
+   * Return the problems with one platform of a catalog - empty when it is valid
+   * Its id must be unique, and none of its names, aliases or seats may match
+   * another platform's once normalized ("DV-360" and "dv360" collide)
+   */
+  checkPlatform(platform, platforms) {
+    const errors = [];
+    const label = platform.name || platform.id;
+
+    if (!platform.id || typeof platform.id !== 'string') {
+      errors.push('id is required');
+    } else if (platforms.filter(p => p.id === platform.id).length > 1) {
+      errors.push(`id "${platform.id}" is already used`);
+    }
+    if (!platform.name || typeof platform.name !== 'string' || !platform.name.trim()) {
+      errors.push('name is required');
+    }
+    if (!Array.isArray(platform.aliases) || platform.aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+      errors.push(`${label}: aliases must be a list of names`);
+    }
+    if (platform.priority !== undefined && (!Number.isInteger(platform.priority) || platform.priority < 1)) {
+      errors.push(`${label}: priority must be a positive whole number`);
+    }
+    if (platform.active !== undefined && typeof platform.active !== 'boolean') {
+      errors.push(`${label}: active must be true or false`);
+    }
+    if (platform.seats !== undefined &&
+        (!Array.isArray(platform.seats) || platform.seats.some(seat => !seat?.id || !seat.client))) {
+      errors.push(`${label}: each seat needs an id and a client`);
+    }
+    errors.push(...validateSpecs(platform).map(error => `${label}: ${error}`));
+    if (errors.length > 0) return errors;
+
+    const labels = this.labelsOf(platform);
+    for (const other of platforms) {
+      if (other === platform) continue;
+      for (const key of this.labelsOf(other)) {
+        if (labels.has(key)) {
+          errors.push(`"${key}" already matches ${other.name} (${other.id})`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * The catalog with a new platform added (active, and last unless it has a priority)
+   * Returns { platforms, platform, errors }
+   */
+  planCreate({ id, name, aliases = [], priority, seats, ...specs }) {
+    const platform = {
+      id,
+      name: typeof name === 'string' ? name.trim() : name,
+      aliases,
+      ...(seats ? { seats } : {}),
+      ...Object.fromEntries(SPEC_FIELDS.filter(field => specs[field] != null).map(field => [field, specs[field]])),
+      active: true,
+      priority: priority ?? Math.max(0, ...this.catalog.map(p => p.priority || 0)) + 1
+    };
+    const platforms = [...this.catalog, platform];
+    return { platforms, platform, errors: this.checkPlatform(platform, platforms) };
+  }
+
+  /**
+   * The catalog with a platform changed: rename (the old name is kept as an
+   * alias), replace its aliases, seats or specs (null clears a spec),
+   * (de)activate or reprioritize it
+   * Returns { platforms, platform, errors }
+   */
+  planUpdate(id, { name, aliases, seats, active, priority, ...specs }) {
+    const current = this.getCatalogPlatform(id);
+    const platform = { ...current };
+    for (const field of SPEC_FIELDS) {
+      if (specs[field] === null) delete platform[field];
+      else if (specs[field] !== undefined) platform[field] = specs[field];
+    }
+    if (aliases !== undefined) platform.aliases = aliases;
+    if (seats !== undefined) platform.seats = seats;
+    if (active !== undefined) platform.active = active;
+    if (priority !== undefined) platform.priority = priority;
+    if (name !== undefined && name !== current.name) {
+      platform.name = typeof name === 'string' ? name.trim() : name;
+      if (Array.isArray(platform.aliases) && !this.labelsOf({ ...platform, seats: [] }).has(this.normalizeString(current.name))) {
+        platform.aliases = [...platform.aliases, current.name];
+      }
+    }
+
+    const platforms = this.catalog.map(p => p.id === id ? platform : p);
+    return { platforms, platform, errors: this.checkPlatform(platform, platforms) };
+  }
+
+  /**
+   * The catalog with an alias added to or removed from a platform
+   * Returns { platforms, platform, errors }
+   */
+  planAddAlias(id, alias) {
+    const current = this.getCatalogPlatform(id);
+    return this.planUpdate(id, { aliases: [...(current.aliases || []), alias] });
+  }
+
+  planRemoveAlias(id, alias) {
+    const current = this.getCatalogPlatform(id);
+    const key = this.normalizeString(alias);
+    const aliases = (current.aliases || []).filter(a => this.normalizeString(a) !== key);
+    const plan = this.planUpdate(id, { aliases });
+    if (aliases.length === (current.aliases || []).length) {
+      plan.errors.push(`${current.name} has no alias "${alias}"`);
+    }
+    return plan;
+  }
+
+  /**
+   * The catalog with platform `id` merged into `targetId`: the target takes
+   * over its name (as an alias), aliases and seats, and it is removed
+   * Returns { platforms, platform, merged, errors }
+   */
+  planMerge(id, targetId) {
+    const source = this.getCatalogPlatform(id);
+    const target = this.getCatalogPlatform(targetId);
+    if (!target) {
+      return { platforms: this.catalog, platform: null, merged: source, errors: [`unknown platform "${targetId}"`] };
+    }
+    if (id === targetId) {
+      return { platforms: this.catalog, platform: target, merged: source, errors: ['cannot merge a platform into itself'] };
+    }
+
+    const aliases = [...(target.aliases || [])];
+    const seen = this.labelsOf(target);
+    for (const alias of [source.name, ...(source.aliases || [])]) {
+      const key = this.normalizeString(alias);
+      if (!seen.has(key)) {
+        seen.add(key);
+        aliases.push(alias);
+      }
+    }
+
+    const platform = { ...target, aliases, seats: [...(target.seats || []), ...(source.seats || [])] };
+    const platforms = this.catalog
+      .filter(p => p.id !== id)
+      .map(p => p.id === targetId ? platform : p);
+    return { platforms, platform, merged: source, errors: this.checkPlatform(platform, platforms) };
+  }
+
   loadDefaultPlatforms() {
     // Fallback platforms if config file doesn't exist
-    this.platforms = [
+    this.setCatalog([
       {
         id: 'meta',
         name: 'Meta',
@@ -291,26 +488,10 @@ class PlatformMatcher {
         active: true,
         priority: 10
       }
-    ];
+    ]);
     
-    this.buildAliasMap();
     console.log('✓ Loaded default platforms');
   }
-
-  // Method to update platforms at runtime (optional)
-  async updatePlatforms(newPlatforms) {
-    this.platforms = newPlatforms.filter(p => p.active !== false);
-    this.buildAliasMap();
-    
-    // Optionally save to file
-    const configPath = path.join(__dirname, '../config/platforms.json');
-    await fs.writeFile(
-      configPath,
-      JSON.stringify({ platforms: newPlatforms }, null, 2)
-    );
-    
-    console.log(`✓ Updated platforms: ${this.platforms.length} loaded`);
-  }
 }
 
 module.exports = PlatformMatcher;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const PlatformMatcher = require('./platform-matcher');
+const { compareNames, normalizeString } = require('./fuzzy-match');
+
+describe('compareNames', () => {
+  test('normalizes case, accents and punctuation before scoring', () => {
+    expect(normalizeString("L'Oréal")).toBe('loreal');
+    expect(compareNames('dfp-gpt', 'DFP GPT')).toMatchObject({ score: 1, exact: true });
+  });
+
+  test('does not let a short prefix pass the match threshold', () => {
+    expect(compareNames('am', 'Amazon Advertising').score).toBeLessThan(0.8);
+  });
+});
+
+describe('PlatformMatcher', () => {
+  let matcher;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    matcher = new PlatformMatcher();
+    await matcher.initialize();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('matches names and aliases, but not a two-letter guess', () => {
+    expect(matcher.matchPlatform('Amazon DSP').id).toBe('amazon');
+    expect(matcher.matchPlatform('amazon').id).toBe('amazon');
+    expect(matcher.matchPlatform('am')).toBeNull();
+  });
+
+  test('refuses an invalid catalog at load', async () => {
+    const catalog = { platforms: [{ id: 'dfp_gpt', name: 'DFP GPT', priority: 1 }, { id: 'dfpgpt', name: 'DFPGPT', priority: 2 }] };
+    jest.spyOn(fs.promises, 'readFile').mockResolvedValueOnce(JSON.stringify(catalog));
+
+    const refused = new PlatformMatcher();
+    await expect(refused.initialize()).rejects.toThrow(/^Invalid platforms config: "DFPGPT" of DFPGPT/);
+    expect(refused.platforms).toEqual([]);
+  });
+
+  test('breaks a tie on priority and says why', () => {
+    const tied = new PlatformMatcher();
+    tied.setCatalog([
+      { id: 'mediax', name: 'Mediax', priority: 5, aliases: [] },
+      { id: 'mediay', name: 'Mediay', priority: 1, aliases: [] }
+    ]);
+
+    const [first, second] = tied.rankPlatforms('media');
+
+    expect(first.score).toBe(second.score);
+    expect([first.platform.id, second.platform.id]).toEqual(['mediay', 'mediax']);
+    expect(first.reasons).toContain('tied on score - ranked by priority 1');
+  });
+
+  test('gives every candidate what it matched and why', () => {
+    const [candidate] = matcher.rankPlatforms('Amazon DSP');
+
+    expect(candidate).toMatchObject({ score: 1, matched: 'Amazon DSP', kind: 'alias' });
+    expect(candidate.platform.id).toBe('amazon');
+    expect(candidate.reasons.length).toBeGreaterThan(0);
+  });
+
+  test('picks the client seat of a platform', () => {
+    expect(matcher.resolvePlatform('dv360', 'cofidis')).toMatchObject({
+      platform: { id: 'dv360' },
+      seat: { id: 'dv360_cofidis', client: 'cofidis' }
+    });
+    expect(matcher.resolvePlatform('dv360', 'nike')).toMatchObject({ platform: { id: 'dv360' }, seat: null });
+    expect(matcher.resolvePlatform('dv360_cofidis').seat.client).toBe('cofidis');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Platform Specs
+ * What a platform accepts and needs, from the optional fields of its catalog
+ * entry (config/platforms.json):
+ *
+ *   "tagTypes": ["Tracker"]                    tag types it supports (default: all)
+ *   "requiredFields": ["targetElement"]        ticket details it needs (see DETAILS)
+ *   "macros": { "click": ["${CLICK_URL}"], "impression": ["${CACHEBUSTER}"] }
+ *   "adServers": ["Campaign Manager 360"]      ad servers whose tags it runs
+ *   "docs": ["https://..."]                    integration documentation
+ *
+ * Ticket creation rejects a tag type the platform does not support, or a
+ * ticket without the details it requires; the chat agent asks for them.
+ */
+
+const { TAG_TYPES, DETAIL_FIELDS } = require('./extraction-schema');
+
+// The ticket details a platform can require - each only applies to its tag types
+const DETAILS = {
+  targetElement: {
+    label: 'Target Element',
+    question: 'Which page element should the tag fire on? (CSS selector or page URL)',
+    tagTypes: TAG_TYPES
+  },
+  vwPercent: {
+    label: 'Viewability %',
+    question: 'What percentage of the video must be in view?',
+    tagTypes: ['Video Wrapper']
+  },
+  vwSeconds: {
+    label: 'Viewability Seconds',
+    question: 'For how many seconds must the video be in view?',
+    tagTypes: ['Video Wrapper']
+  }
+};
+
+// The catalog fields holding a platform's specs
+const SPEC_FIELDS = ['tagTypes', 'requiredFields', 'macros', 'adServers', 'docs'];
+
+const MACRO_KINDS = ['click', 'impression'];
+
+const isList = (value, check) => Array.isArray(value) && value.every(check);
+const isName = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Return the problems with a platform's spec fields - empty when they are valid
+ */
+function validateSpecs(platform) {
+  const errors = [];
+
+  if (platform.tagTypes !== undefined) {
+    if (!isList(platform.tagTypes, tagType => TAG_TYPES.includes(tagType)) || platform.tagTypes.length === 0) {
+      errors.push(`tagTypes must list some of ${TAG_TYPES.join(', ')}`);
+    }
+  }
+  if (platform.requiredFields !== undefined && !isList(platform.requiredFields, field => DETAIL_FIELDS.includes(field))) {
+    errors.push(`requiredFields must list some of ${DETAIL_FIELDS.join(', ')}`);
+  }
+  if (platform.macros !== undefined) {
+    const macros = platform.macros;
+    if (!macros || typeof macros !== 'object' || Array.isArray(macros) ||
+        Object.entries(macros).some(([kind, list]) => !MACRO_KINDS.includes(kind) || !isList(list, isName))) {
+      errors.push(`macros must map ${MACRO_KINDS.join(' and ')} to lists of macros`);
+    }
+  }
+  if (platform.adServers !== undefined && !isList(platform.adServers, isName)) {
+    errors.push('adServers must be a list of names');
+  }
+  if (platform.docs !== undefined && !isList(platform.docs, doc => typeof doc === 'string' && /^https?:\/\/\S+$/.test(doc))) {
+    errors.push('docs must be a list of http(s) links');
+  }
+
+  return errors;
+}
+
+/**
+ * A platform's specs, with the defaults filled in
+ */
+function specsOf(platform) {
+  return {
+    tagTypes: platform.tagTypes || [...TAG_TYPES],
+    requiredFields: platform.requiredFields || [],
+    macros: {
+      click: platform.macros?.click || [],
+      impression: platform.macros?.impression || []
+    },
+    adServers: platform.adServers || [],
+    docs: platform.docs || []
+  };
+}
+
+function supportsTagType(platform, tagType) {
+  return !platform.tagTypes || platform.tagTypes.includes(tagType);
+}
+
+/**
+ * The details a ticket on the platform needs - those of its required fields
+ * that apply to the tag type (all of them while the tag type is unknown)
+ */
+function requiredFieldsFor(platform, tagType = null) {
+  return (platform.requiredFields || [])
+    .filter(field => !tagType || DETAILS[field].tagTypes.includes(tagType));
+}
+
+/**
+ * Check a ticket's tag type and details against its platform
+ * Returns { supported, missing } - whether the tag type is supported (true
+ * while it is unknown), and the required details the ticket lacks
+ */
+function checkTicket(platform, ticket) {
+  return {
+    supported: !ticket.tagType || supportsTagType(platform, ticket.tagType),
+    missing: ticket.tagType
+      ? requiredFieldsFor(platform, ticket.tagType).filter(field => !hasValue(ticket[field]))
+      : []
+  };
+}
+
+/**
+ * The fields a ticket still lacks for its platform: the details the platform
+ * requires, and `tagType` when the platform does not support the one given
+ */
+function ticketGaps(platform, ticket) {
+  const { supported, missing } = checkTicket(platform, ticket);
+  return [...(supported ? [] : ['tagType']), ...missing];
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * A short description of a platform's limits for the chat prompt -
+ * "Tracker only; needs targetElement" - or null when it has none
+ */
+function describeSpecs(platform) {
+  const parts = [];
+  if (platform.tagTypes && platform.tagTypes.length < TAG_TYPES.length) {
+    parts.push(`${platform.tagTypes.join(', ')} only`);
+  }
+  for (const field of platform.requiredFields || []) {
+    const { tagTypes } = DETAILS[field];
+    parts.push(tagTypes.length < TAG_TYPES.length
+      ? `needs ${field} for ${tagTypes.join(', ')}`
+      : `needs ${field}`);
+  }
+  return parts.length > 0 ? parts.join('; ') : null;
+}
+
+module.exports = {
+  DETAILS,
+  SPEC_FIELDS,
+  MACRO_KINDS,
+  validateSpecs,
+  specsOf,
+  supportsTagType,
+  requiredFieldsFor,
+  checkTicket,
+  ticketGaps,
+  describeSpecs
+};
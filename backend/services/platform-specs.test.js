@@ -0,0 +1,51 @@
+const { validateSpecs, specsOf, checkTicket, ticketGaps, describeSpecs } = require('./platform-specs');
+
+// An onsite tracker, as listed in config/platforms.json
+const ONSITE = { id: 'numberly', name: 'Numberly', tagTypes: ['Tracker'], requiredFields: ['targetElement'] };
+const VIDEO = { id: 'video', name: 'Video', requiredFields: ['vwPercent'] };
+
+describe('platform specs', () => {
+  test('rejects a tag type the platform does not support', () => {
+    expect(checkTicket(ONSITE, { tagType: 'Video Wrapper', targetElement: '#cta' }))
+      .toEqual({ supported: false, missing: [] });
+    expect(specsOf(ONSITE).tagTypes).toEqual(['Tracker']);
+    // Every tag type when the catalog does not say
+    expect(checkTicket(VIDEO, { tagType: 'Video Wrapper', vwPercent: 50 }).supported).toBe(true);
+  });
+
+  test('lists the required details a ticket lacks, for its tag type only', () => {
+    expect(checkTicket(ONSITE, { tagType: 'Tracker' }).missing).toEqual(['targetElement']);
+    expect(checkTicket(ONSITE, { tagType: 'Tracker', targetElement: '  ' }).missing).toEqual(['targetElement']);
+    expect(checkTicket(ONSITE, { tagType: 'Tracker', targetElement: '#cta' }).missing).toEqual([]);
+
+    expect(checkTicket(VIDEO, { tagType: 'Tracker' }).missing).toEqual([]);
+    expect(checkTicket(VIDEO, { tagType: 'Video Wrapper' }).missing).toEqual(['vwPercent']);
+    // Not asked for before the tag type is known
+    expect(checkTicket(ONSITE, {})).toEqual({ supported: true, missing: [] });
+  });
+
+  test('gives the gaps the chat agent asks about', () => {
+    expect(ticketGaps(ONSITE, { tagType: 'Video Wrapper' })).toEqual(['tagType', 'targetElement']);
+    expect(ticketGaps(ONSITE, { tagType: 'Tracker' })).toEqual(['targetElement']);
+    expect(describeSpecs(ONSITE)).toBe('Tracker only; needs targetElement');
+    expect(describeSpecs(VIDEO)).toBe('needs vwPercent for Video Wrapper');
+    expect(describeSpecs({ id: 'gam', name: 'GAM' })).toBeNull();
+  });
+
+  test('validates the spec fields of a catalog entry', () => {
+    expect(validateSpecs(ONSITE)).toEqual([]);
+    expect(validateSpecs({
+      tagTypes: ['Pixel'],
+      requiredFields: ['color'],
+      macros: { hover: ['${X}'] },
+      adServers: [''],
+      docs: ['ftp://example.com']
+    })).toEqual([
+      expect.stringMatching(/^tagTypes must list some of Tracker/),
+      expect.stringMatching(/^requiredFields must list some of /),
+      'macros must map click and impression to lists of macros',
+      'adServers must be a list of names',
+      'docs must be a list of http(s) links'
+    ]);
+  });
+});
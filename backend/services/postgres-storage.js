@@ -0,0 +1,72 @@
+/**
+ * Postgres Storage Service
+ * SqlStorage backed by a Postgres database (node-postgres connection pool)
+ */
+
+const SqlStorage = require('./sql-storage');
+
+// Rewrite `?` placeholders as Postgres `$1, $2, ...`
+function toPositional(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+class PostgresStorage extends SqlStorage {
+  constructor(options = {}) {
+    super(options);
+    this.connectionString = options.connectionString;
+    this.pool = null;
+  }
+
+  async connect() {
+    // Required lazily so pg only loads when this driver is used
+    const { Pool } = require('pg');
+
+    this.pool = new Pool({ connectionString: this.connectionString });
+    await this.pool.query('SELECT 1');
+  }
+
+  async query(sql, params = []) {
+    const { rows } = await this.pool.query(toPositional(sql), params);
+    return rows;
+  }
+
+  async execute(sql, params = []) {
+    await this.pool.query(toPositional(sql), params);
+  }
+
+  async exec(sql) {
+    await this.pool.query(sql);
+  }
+
+  /**
+   * Run fn on a dedicated connection so its statements share one transaction
+   */
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    const tx = {
+      query: async (sql, params = []) => (await client.query(toPositional(sql), params)).rows,
+      execute: async (sql, params = []) => { await client.query(toPositional(sql), params); },
+      exec: async sql => { await client.query(sql); }
+    };
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(tx);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Milliseconds between request and response
+  turnaroundExpression() {
+    return 'EXTRACT(EPOCH FROM (response_time::timestamptz - request_time::timestamptz)) * 1000';
+  }
+}
+
+module.exports = PostgresStorage;
@@ -0,0 +1,120 @@
+/**
+ * Prompt Budget
+ * Assembles the model request for a chat message within a token budget.
+ * The latest turns are sent verbatim; anything older is replaced by a short
+ * summary built from the conversation's extracted-state snapshot, so a long
+ * correction loop costs about the same as a short one. If the prompt is still
+ * over budget, the oldest verbatim turns are folded into the summary too.
+ *
+ * Tokens are estimated at ~4 characters each - close enough for budgeting;
+ * the providers report the exact counts they bill.
+ *
+ * LLM_PROMPT_TOKEN_BUDGET (default 6000) and LLM_RECENT_TURNS (default 6
+ * messages) tune it.
+ */
+
+const { FIELDS } = require('./extraction-schema');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_MAX_TOKENS = 6000;
+const DEFAULT_RECENT_TURNS = 6;
+
+const LABELS = { account: 'Client', platform: 'Platform', tagType: 'Tag Type', priority: 'Priority' };
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Read the budget from LLM_PROMPT_TOKEN_BUDGET / LLM_RECENT_TURNS
+ */
+function promptBudgetFromEnv(env = process.env) {
+  const maxTokens = parseInt(env.LLM_PROMPT_TOKEN_BUDGET, 10);
+  const recentTurns = parseInt(env.LLM_RECENT_TURNS, 10);
+  return {
+    maxTokens: maxTokens > 0 ? maxTokens : DEFAULT_MAX_TOKENS,
+    recentTurns: recentTurns >= 0 ? recentTurns : DEFAULT_RECENT_TURNS
+  };
+}
+
+/**
+ * The stand-in for summarized turns: what has been extracted so far
+ * (every ticket, when the user asked for a batch)
+ */
+function summarizeState(extractedData, summarizedTurns) {
+  const data = extractedData || {};
+
+  if (data.drafts?.length > 1) {
+    const tickets = data.drafts.map((draft, index) =>
+      `${index + 1}. ${FIELDS.map(field => `${LABELS[field]}: ${draft[field] || 'missing'}`).join(', ')}`);
+    return `CONVERSATION SO FAR:
+${summarizedTurns} earlier messages are summarized here.
+The user is requesting ${data.drafts.length} tickets:
+${tickets.join('\n')}`;
+  }
+
+  const known = FIELDS.filter(field => data[field]).map(field => `- ${LABELS[field]}: ${data[field]}`);
+  const missing = FIELDS.filter(field => !data[field]).map(field => LABELS[field]);
+
+  return `CONVERSATION SO FAR:
+${summarizedTurns} earlier messages are summarized here.
+${known.length > 0 ? `Extracted so far:\n${known.join('\n')}` : 'Nothing has been extracted yet.'}
+${missing.length > 0 ? `Still missing: ${missing.join(', ')}` : 'All fields have been extracted.'}`;
+}
+
+function turnTokens(turns) {
+  return turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+}
+
+/**
+ * Build { system, messages, usage } for a new user message
+ * `history` is the conversation's { role, content } turns, oldest first,
+ * `extractedData` its latest extracted-state snapshot and `droppedTurns` how
+ * many turns the conversation store has already discarded
+ */
+function assemblePrompt({ system, history = [], message, extractedData, droppedTurns = 0 }, budget = {}) {
+  const maxTokens = budget.maxTokens || DEFAULT_MAX_TOKENS;
+  const recentTurns = budget.recentTurns ?? DEFAULT_RECENT_TURNS;
+
+  let cut = Math.max(0, history.length - recentTurns);
+
+  const build = () => {
+    // Verbatim history starts on a user turn, as the providers expect
+    while (cut < history.length && history[cut].role !== 'user') cut++;
+
+    const summarized = droppedTurns + cut;
+    const summary = summarized > 0 ? summarizeState(extractedData, summarized) : '';
+    const fullSystem = summary ? `${system}\n\n${summary}` : system;
+    const messages = [...history.slice(cut), { role: 'user', content: message }];
+    return {
+      system: fullSystem,
+      messages,
+      tokens: estimateTokens(fullSystem) + turnTokens(messages)
+    };
+  };
+
+  let prompt = build();
+  while (prompt.tokens > maxTokens && cut < history.length) {
+    cut++;
+    prompt = build();
+  }
+
+  return {
+    system: prompt.system,
+    messages: prompt.messages,
+    usage: {
+      budget: maxTokens,
+      estimatedPromptTokens: prompt.tokens,
+      overBudget: prompt.tokens > maxTokens,
+      summarizedTurns: droppedTurns + cut,
+      verbatimTurns: history.length - cut
+    }
+  };
+}
+
+module.exports = {
+  assemblePrompt,
+  estimateTokens,
+  promptBudgetFromEnv,
+  summarizeState
+};
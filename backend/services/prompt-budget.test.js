@@ -0,0 +1,93 @@
+const { assemblePrompt, estimateTokens, promptBudgetFromEnv } = require('./prompt-budget');
+
+const SYSTEM = 'You create ad tag tickets.';
+
+// user/assistant turns, oldest first - `length` characters each
+function turns(count, length = 40) {
+  return Array.from({ length: count }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `${index}`.padEnd(length, '.')
+  }));
+}
+
+describe('assemblePrompt', () => {
+  test('sends a short conversation verbatim, without a summary', () => {
+    const history = turns(4);
+    const { system, messages, usage } = assemblePrompt({ system: SYSTEM, history, message: 'Nike' });
+
+    expect(system).toBe(SYSTEM);
+    expect(messages).toEqual([...history, { role: 'user', content: 'Nike' }]);
+    expect(usage).toMatchObject({ summarizedTurns: 0, verbatimTurns: 4, overBudget: false });
+  });
+
+  test('summarizes the turns before the recent ones from the extracted state', () => {
+    const history = turns(10);
+    const { system, messages, usage } = assemblePrompt({
+      system: SYSTEM,
+      history,
+      message: 'high priority',
+      extractedData: { account: 'Nike', platform: 'DV360' },
+      droppedTurns: 2
+    }, { recentTurns: 4 });
+
+    expect(messages).toEqual([...history.slice(6), { role: 'user', content: 'high priority' }]);
+    expect(system).toBe(`${SYSTEM}
+
+CONVERSATION SO FAR:
+8 earlier messages are summarized here.
+Extracted so far:
+- Client: Nike
+- Platform: DV360
+Still missing: Tag Type, Priority`);
+    expect(usage).toMatchObject({ summarizedTurns: 8, verbatimTurns: 4 });
+  });
+
+  test('starts the verbatim turns on a user turn', () => {
+    const { messages } = assemblePrompt({ system: SYSTEM, history: turns(6), message: 'yes' }, { recentTurns: 3 });
+
+    expect(messages[0]).toEqual(turns(6)[4]);
+    expect(messages).toHaveLength(3);
+  });
+
+  test('folds the oldest verbatim turns into the summary to stay within budget', () => {
+    const history = turns(6, 400);
+    const { messages, usage } = assemblePrompt({ system: SYSTEM, history, message: 'yes' }, { maxTokens: 300, recentTurns: 6 });
+
+    expect(usage.estimatedPromptTokens).toBeLessThanOrEqual(300);
+    expect(usage.overBudget).toBe(false);
+    expect(usage.summarizedTurns + usage.verbatimTurns).toBe(6);
+    expect(messages[0].role).toBe('user');
+    expect(usage.summarizedTurns).toBeGreaterThan(0);
+  });
+
+  test('reports a message too long for the budget on its own', () => {
+    const { messages, usage } = assemblePrompt({ system: SYSTEM, history: turns(4), message: 'x'.repeat(800) }, { maxTokens: 100 });
+
+    expect(messages).toHaveLength(1);
+    expect(usage).toMatchObject({ overBudget: true, summarizedTurns: 4, verbatimTurns: 0 });
+  });
+
+  test('lists every ticket of a batch in the summary', () => {
+    const { system } = assemblePrompt({
+      system: SYSTEM,
+      history: turns(4),
+      message: 'yes',
+      extractedData: { drafts: [{ account: 'Nike', platform: 'DV360' }, { account: 'Nike', platform: 'GAM' }] }
+    }, { recentTurns: 2 });
+
+    expect(system).toContain('The user is requesting 2 tickets:\n1. Client: Nike, Platform: DV360, Tag Type: missing');
+  });
+});
+
+describe('prompt budget settings', () => {
+  test('estimates about four characters a token', () => {
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('abc')).toBe(1);
+    expect(estimateTokens(null)).toBe(0);
+  });
+
+  test('reads LLM_PROMPT_TOKEN_BUDGET and LLM_RECENT_TURNS', () => {
+    expect(promptBudgetFromEnv({ LLM_PROMPT_TOKEN_BUDGET: '2000', LLM_RECENT_TURNS: '0' })).toEqual({ maxTokens: 2000, recentTurns: 0 });
+    expect(promptBudgetFromEnv({ LLM_PROMPT_TOKEN_BUDGET: 'lots' })).toEqual({ maxTokens: 6000, recentTurns: 6 });
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * Rule-Based Extractor
+ * Deterministic keyword extraction of the tag request fields from what the
+ * user has typed, with the same confirmation wording the model is asked to
+ * use. Backs the offline mock LLM provider, so the chat works (and can be
+ * tested) without calling a model.
+ *
+ * A message can ask for several tickets ("trackers for DV360 and TTD, plus a
+ * video wrapper for Xandr"): each platform named becomes its own draft.
+ *
+ * Platforms and clients come from the live catalog ({ platforms, clients },
+ * see AIAgent) when one is passed, so the names found here are the ones
+ * ticket validation accepts; the built-in lists below are only the fallback.
+ * A catalog platform's specs (see platform-specs.js) add the details it
+ * requires to the fields asked for.
+ */
+
+const { FIELDS, MAX_BATCH_SIZE, missingFieldsOf } = require('./extraction-schema');
+const { DETAILS, ticketGaps } = require('./platform-specs');
+
+const KNOWN_BRANDS = ['SNCF Connect', 'SNCF', 'Nike', 'SAP', 'Cofidis', "L'Oréal", 'Loreal', 'Renault', 'Carrefour', 'Adidas', 'Puma'];
+
+const PLATFORM_ALIASES = {
+  'Google DV360': ['google dv360', 'dv360', 'display & video 360', 'display and video 360', 'display & video', 'display and video'],
+  'Google Ad Manager': ['google ad manager', 'gam', 'dfp', 'doubleclick'],
+  'The Trade Desk': ['the trade desk', 'trade desk', 'ttd'],
+  'Xandr': ['xandr', 'appnexus', 'microsoft advertising'],
+  'Amazon': ['amazon dsp', 'amazon ads', 'amazon'],
+  'Criteo': ['criteo'],
+  'Taboola': ['taboola'],
+  'Outbrain': ['outbrain']
+};
+
+const TAG_TYPE_KEYWORDS = {
+  'Video Wrapper': ['video wrappers', 'video wrapper', 'wrappers', 'wrapper', 'video tags', 'video tag', 'vast'],
+  'Tracker': ['trackers', 'tracker', 'tracking', 'pixels', 'pixel']
+};
+
+const PRIORITY_KEYWORDS = {
+  High: ['high priority', 'urgent', 'asap', 'high'],
+  Low: ['low priority', 'when possible', 'no rush', 'low'],
+  Medium: ['medium priority', 'medium', 'normal']
+};
+
+// "yes", "correct", "looks good" - the user confirming the summary
+const CONFIRMATION_PATTERN = /^\s*(yes|yep|yeah|y|ok|okay|correct|confirm(ed)?|looks good|that's right|go ahead|create it)\b/i;
+
+// "..., plus a video wrapper for Xandr" - where the next group of tickets starts
+const GROUP_SEPARATOR = /\s*(?:;|,?\s+plus\s+|,?\s+as well as\s+|,?\s+and also\s+|,\s*also\s+)\s*/i;
+
+// "ticket 2 should be low priority" - a change to one ticket of a batch
+const TICKET_REFERENCE = /\b(?:ticket|#)\s*(\d+)\b/i;
+
+// "for Acme", "client: Acme Corp" - a capitalized name after a client cue
+const ACCOUNT_PATTERN = /\b(?:[Ff]or|[Cc]lient|[Aa]ccount|[Bb]rand)\s*:?\s+([A-Z][\w'&.-]*(?:\s+[A-Z][\w'&.-]*)*)/;
+
+// "target element: #buy-button", "selector .checkout" - or a bare "#buy-button"
+const TARGET_ELEMENT_PATTERN = /\b(?:target element|css selector|selector)\s*(?:is\s+|[:=]\s*)?(\S+)/i;
+const BARE_SELECTOR_PATTERN = /(?:^|\s)([#.][a-z][\w-]*)/i;
+
+// "50%" in view, for "2 seconds"
+const PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s*%/;
+const SECONDS_PATTERN = /(\d+(?:\.\d+)?)\s*(?:s|secs?|seconds?)\b/i;
+
+const LABELS = { account: 'Client', platform: 'Platform', tagType: 'Tag Type', priority: 'Priority' };
+
+const QUESTIONS = {
+  account: 'Which client or brand is this for?',
+  platform: 'Which platform? (e.g., Google DV360, The Trade Desk, Xandr)',
+  tagType: 'What type of tag? (Tracker or Video Wrapper)',
+  priority: 'What priority? (High, Medium, or Low)'
+};
+
+function questionFor(field) {
+  return QUESTIONS[field] || DETAILS[field].question;
+}
+
+function phrasePattern(phrase, flags = 'i') {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}(?=$|[^a-z0-9])`, flags);
+}
+
+function containsPhrase(text, phrase) {
+  return phrasePattern(phrase).test(text);
+}
+
+function findKeyword(text, keywords) {
+  for (const [value, phrases] of Object.entries(keywords)) {
+    if (phrases.some(phrase => containsPhrase(text, phrase))) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * [phrase, platform name] pairs for every name and alias. `platforms` are
+ * catalog entries ({ name, aliases }); without them the built-in aliases are used.
+ * `account` is left out - "SAP" the client is not "SAP" the platform.
+ */
+function platformPhrases(platforms, account = null) {
+  const phrases = platforms
+    ? platforms.flatMap(platform => [platform.name, ...(platform.aliases || [])].map(phrase => [phrase, platform.name]))
+    : Object.entries(PLATFORM_ALIASES).flatMap(([name, aliases]) => aliases.map(phrase => [phrase, name]));
+  return phrases.filter(([phrase]) => phrase && phrase.toLowerCase() !== account?.toLowerCase());
+}
+
+/**
+ * The platform named in `text` - the longest matching name or alias wins, so
+ * "amazon dsp" beats "amazon"
+ */
+function findPlatform(text, platforms = null, account = null) {
+  const match = platformPhrases(platforms, account)
+    .filter(([phrase]) => containsPhrase(text, phrase))
+    .sort((a, b) => b[0].length - a[0].length)[0];
+  return match ? match[1] : null;
+}
+
+/**
+ * Every platform named in `text`, in the order they appear - where names
+ * overlap ("amazon dsp", "amazon") the longest wins
+ */
+function findPlatforms(text, platforms = null, account = null) {
+  const matches = [];
+  for (const [phrase, name] of platformPhrases(platforms, account)) {
+    for (const match of text.matchAll(phrasePattern(phrase, 'gi'))) {
+      const start = match.index + match[1].length;
+      matches.push({ start, end: start + phrase.length, name });
+    }
+  }
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  const names = [];
+  let covered = -1;
+  for (const { start, end, name } of matches) {
+    if (start < covered) continue;
+    covered = end;
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+function findAccount(text, catalog = null) {
+  // Longest first, so "SNCF Connect" wins over "SNCF"
+  const clients = catalog?.clients ? [...catalog.clients].sort((a, b) => b.length - a.length) : KNOWN_BRANDS;
+  const brand = clients.find(name => containsPhrase(text, name));
+  if (brand) return brand;
+
+  const match = text.match(ACCOUNT_PATTERN);
+  if (match && !findPlatform(match[1], catalog?.platforms)) {
+    return match[1];
+  }
+  return null;
+}
+
+/**
+ * Extract the fields from one user message - null where nothing was found
+ */
+function extractFields(text, catalog = null) {
+  const account = findAccount(text, catalog);
+  return {
+    account,
+    platform: findPlatform(text, catalog?.platforms, account),
+    tagType: findKeyword(text, TAG_TYPE_KEYWORDS),
+    priority: findKeyword(text, PRIORITY_KEYWORDS)
+  };
+}
+
+/**
+ * The ticket details (see platform-specs.js) given in one user message -
+ * only those found
+ */
+function extractDetails(text) {
+  const details = {};
+  const target = text.match(TARGET_ELEMENT_PATTERN) || text.match(BARE_SELECTOR_PATTERN);
+  if (target) details.targetElement = target[1].replace(/[,;!?]+$|\.$/, '');
+
+  const percent = text.match(PERCENT_PATTERN);
+  if (percent) details.vwPercent = Number(percent[1]);
+
+  const seconds = text.match(SECONDS_PATTERN);
+  if (seconds) details.vwSeconds = Number(seconds[1]);
+
+  return details;
+}
+
+/**
+ * What a draft lacks for its catalog platform (see platform-specs.js)
+ */
+function platformGaps(draft, catalog) {
+  const platform = draft.platform && catalog?.platforms?.find(p => p.name === draft.platform);
+  return platform ? ticketGaps(platform, draft) : [];
+}
+
+/**
+ * One draft per platform named in one user message - each group of the
+ * message ("..., plus ...") has its own tag type, and fields a group leaves out
+ * come from the rest of the message. Empty when no platform is named.
+ */
+function extractDrafts(text, catalog = null) {
+  const shared = extractFields(text, catalog);
+  const drafts = [];
+  let tagType = null;
+
+  for (const group of text.split(GROUP_SEPARATOR)) {
+    const fields = extractFields(group, catalog);
+    const account = fields.account || shared.account;
+    tagType = fields.tagType || tagType;
+    for (const platform of findPlatforms(group, catalog?.platforms, account)) {
+      drafts.push({
+        account,
+        platform,
+        tagType: tagType || shared.tagType,
+        priority: fields.priority || shared.priority
+      });
+    }
+  }
+  return drafts.slice(0, MAX_BATCH_SIZE);
+}
+
+/**
+ * Extract from a conversation ({ role, content } turns) - a field mentioned
+ * again later (a correction) replaces the earlier value. `snapshot` is what
+ * was extracted from turns no longer in `messages` (see prompt-budget.js),
+ * `catalog` the live { platforms, clients }.
+ * Priority defaults to Medium once anything else is known, as the system
+ * prompt prescribes.
+ * Returns { data, confidence, missingFields, confirmed }
+ */
+function extractFromConversation(messages, snapshot = null, catalog = null) {
+  const userTurns = messages.filter(turn => turn.role === 'user').map(turn => String(turn.content || ''));
+  const data = { account: null, platform: null, tagType: null, priority: null };
+  const confidence = { account: 0, platform: 0, tagType: 0, priority: 0 };
+  let batch = snapshot?.drafts?.length > 1 ? snapshot.drafts.map(draft => ({ ...draft })) : null;
+
+  for (const field of FIELDS) {
+    if (snapshot?.[field]) {
+      data[field] = snapshot[field];
+      confidence[field] = 0.6;
+    }
+  }
+
+  if (!batch && snapshot) {
+    for (const field of Object.keys(DETAILS)) {
+      if (snapshot[field] != null) data[field] = snapshot[field];
+    }
+  }
+
+  for (const text of userTurns) {
+    const details = extractDetails(text);
+    const drafts = extractDrafts(text, catalog);
+    if (drafts.length > 1) {
+      batch = drafts.map(draft => ({ ...draft, ...details }));
+      continue;
+    }
+
+    const fields = extractFields(text, catalog);
+    if (batch) {
+      // A later message changes the whole batch, or the ticket it names
+      const reference = text.match(TICKET_REFERENCE);
+      const targets = reference ? [batch[Number(reference[1]) - 1]].filter(Boolean) : batch;
+      for (const draft of targets) {
+        for (const field of FIELDS) {
+          // Platforms are what tell the tickets apart - only change one by number
+          if (fields[field] && (field !== 'platform' || reference)) {
+            draft[field] = fields[field];
+          }
+        }
+        Object.assign(draft, details);
+      }
+      continue;
+    }
+
+    Object.assign(data, details);
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (value) {
+        data[field] = value;
+        confidence[field] = 0.6;
+      }
+    }
+  }
+
+  const drafts = batch || [data];
+  for (const draft of drafts) {
+    if (!draft.priority && (draft.account || draft.platform || draft.tagType)) {
+      draft.priority = 'Medium';
+      if (!batch) confidence.priority = 0.3;
+    }
+  }
+
+  // In a batch the top-level fields are only those all tickets share
+  if (batch) {
+    for (const field of FIELDS) {
+      const shared = batch.every(draft => draft[field] === batch[0][field]);
+      data[field] = shared ? batch[0][field] : null;
+      confidence[field] = data[field] ? 0.6 : 0;
+    }
+  }
+
+  const lastTurn = userTurns[userTurns.length - 1] || '';
+  const lastFields = { ...extractFields(lastTurn, catalog), ...extractDetails(lastTurn) };
+
+  return {
+    data,
+    confidence,
+    drafts: drafts.map(draft => ({ ...draft })),
+    missingFields: [...new Set([...missingFieldsOf(drafts), ...drafts.flatMap(draft => platformGaps(draft, catalog))])],
+    // A bare "yes" to a complete summary - not a reply that changes a field
+    confirmed: CONFIRMATION_PATTERN.test(lastTurn) && !Object.values(lastFields).some(Boolean)
+  };
+}
+
+/**
+ * Whether a message is a bare "yes"-style confirmation
+ */
+function isConfirmation(text) {
+  return CONFIRMATION_PATTERN.test(String(text || ''));
+}
+
+/**
+ * The assistant's reply for an extraction, in the confirmation format the
+ * frontend parses ("I've extracted the following:" / "Client: Nike ✓")
+ */
+function describeExtraction({ data, drafts = [data], missingFields, confirmed }) {
+  if (drafts.length > 1) {
+    return describeBatch(drafts, missingFields, confirmed);
+  }
+
+  if (missingFields.length === 0 && confirmed) {
+    return 'Perfect! Let me create this ticket for you.';
+  }
+
+  if (missingFields.length === FIELDS.length) {
+    return "I'd be happy to help! To create your tag request, I need a few details:\n" +
+      FIELDS.map(field => `- ${QUESTIONS[field]}`).join('\n');
+  }
+
+  const extracted = [...FIELDS, ...Object.keys(DETAILS)]
+    .filter(field => data[field] !== undefined && data[field] !== null)
+    .map(field => `- ${LABELS[field] || DETAILS[field].label}: ${data[field]} ✓`)
+    .join('\n');
+
+  if (missingFields.length > 0) {
+    return `I've extracted the following:\n${extracted}\n\nI still need:\n` +
+      missingFields.map(field => `- ${questionFor(field)}`).join('\n');
+  }
+
+  return `I've extracted the following:\n${extracted}\n\nIs everything correct? If not, please tell me what needs to be changed.`;
+}
+
+/**
+ * The reply for a batch: one numbered line per ticket
+ */
+function describeBatch(drafts, missingFields, confirmed) {
+  if (missingFields.length === 0 && confirmed) {
+    return `Perfect! Let me create these ${drafts.length} tickets for you.`;
+  }
+
+  const lines = drafts.map((draft, index) =>
+    `${index + 1}. ${FIELDS.map(field => draft[field] || `${LABELS[field]}: ?`).join(' - ')}`);
+
+  if (missingFields.length > 0) {
+    return `I've extracted ${drafts.length} tickets:\n${lines.join('\n')}\n\nI still need:\n` +
+      missingFields.map(field => `- ${questionFor(field)}`).join('\n');
+  }
+
+  return `I've extracted ${drafts.length} tickets:\n${lines.join('\n')}\n\n` +
+    'Is everything correct? If not, please tell me what needs to be changed (e.g., "ticket 2 should be low priority").';
+}
+
+module.exports = {
+  extractFields,
+  extractDetails,
+  extractDrafts,
+  findPlatform,
+  isConfirmation,
+  extractFromConversation,
+  describeExtraction
+};
@@ -0,0 +1,57 @@
+const { extractDrafts, extractFromConversation } = require('./rule-extractor');
+const { MAX_BATCH_SIZE } = require('./extraction-schema');
+
+const user = content => ({ role: 'user', content });
+
+describe('extractDrafts', () => {
+  test('makes a draft per platform, each group keeping its own tag type', () => {
+    expect(extractDrafts('Trackers for Nike on DV360 and TTD, plus a video wrapper for Xandr, urgent')).toEqual([
+      { account: 'Nike', platform: 'Google DV360', tagType: 'Tracker', priority: 'High' },
+      { account: 'Nike', platform: 'The Trade Desk', tagType: 'Tracker', priority: 'High' },
+      { account: 'Nike', platform: 'Xandr', tagType: 'Video Wrapper', priority: 'High' }
+    ]);
+  });
+
+  test('is empty without a platform, and capped at the batch size', () => {
+    expect(extractDrafts('A tracker for Nike please')).toEqual([]);
+
+    const platforms = Array(MAX_BATCH_SIZE + 5).fill('DV360; TTD').join('; ');
+    expect(extractDrafts(`Trackers for Nike on ${platforms}`)).toHaveLength(MAX_BATCH_SIZE);
+  });
+});
+
+describe('extractFromConversation', () => {
+  test('changes only the ticket a later message names by number', () => {
+    const { data, drafts } = extractFromConversation([
+      user('Trackers for Nike on DV360 and TTD, high priority'),
+      { role: 'assistant', content: 'Two tickets - shall I create them?' },
+      user('make ticket 2 low priority')
+    ]);
+
+    expect(drafts.map(draft => draft.priority)).toEqual(['High', 'Low']);
+    // The top-level fields are those every ticket shares
+    expect(data).toEqual({ account: 'Nike', platform: null, tagType: 'Tracker', priority: null });
+  });
+
+  test('changes every ticket of the batch otherwise', () => {
+    const { drafts } = extractFromConversation([
+      user('Trackers for Nike on DV360 and TTD, high priority'),
+      user('actually it is for Adidas')
+    ]);
+
+    expect(drafts.map(draft => draft.account)).toEqual(['Adidas', 'Adidas']);
+  });
+
+  test('keeps the batch of turns already summarized', () => {
+    const snapshot = {
+      drafts: [
+        { account: 'Nike', platform: 'Google DV360', tagType: 'Tracker', priority: 'High' },
+        { account: 'Nike', platform: 'Xandr', tagType: 'Tracker', priority: 'High' }
+      ]
+    };
+
+    const { drafts } = extractFromConversation([user('ticket 1 is a video wrapper')], snapshot);
+
+    expect(drafts.map(draft => draft.tagType)).toEqual(['Video Wrapper', 'Tracker']);
+  });
+});
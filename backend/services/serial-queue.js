@@ -0,0 +1,40 @@
+/**
+ * Serial Queue
+ * Runs tasks one at a time per key - for read-modify-write updates of one
+ * record (a conversation) that would otherwise overwrite each other's changes
+ * when they overlap. Tasks for different keys still run side by side.
+ *
+ * Only orders the tasks of this process: instances sharing a storage driver
+ * do not wait for each other.
+ */
+
+class SerialQueue {
+  constructor() {
+    this.tails = new Map(); // key -> the last task queued for it
+  }
+
+  /**
+   * Run `task` once every task queued before it for `key` has finished
+   * Resolves (or rejects) with the task's own result
+   */
+  run(key, task) {
+    const run = (this.tails.get(key) || Promise.resolve()).then(task);
+    // Keep the queue going after a failed task
+    const tail = run.catch(() => {});
+    this.tails.set(key, tail);
+    // Forget keys with nothing left queued
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * How many keys have tasks queued or running
+   */
+  get size() {
+    return this.tails.size;
+  }
+}
+
+module.exports = SerialQueue;
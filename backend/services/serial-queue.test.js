@@ -0,0 +1,47 @@
+const SerialQueue = require('./serial-queue');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('SerialQueue', () => {
+  test('runs the tasks of one key one at a time, in order', async () => {
+    const queue = new SerialQueue();
+    const log = [];
+    const task = name => async () => {
+      log.push(`${name} start`);
+      await tick();
+      log.push(`${name} end`);
+      return name;
+    };
+
+    const results = await Promise.all([queue.run('a', task('one')), queue.run('a', task('two'))]);
+
+    expect(results).toEqual(['one', 'two']);
+    expect(log).toEqual(['one start', 'one end', 'two start', 'two end']);
+  });
+
+  test('runs different keys side by side', async () => {
+    const queue = new SerialQueue();
+    const log = [];
+    const task = name => async () => {
+      log.push(`${name} start`);
+      await tick();
+      log.push(`${name} end`);
+    };
+
+    await Promise.all([queue.run('a', task('a')), queue.run('b', task('b'))]);
+
+    expect(log).toEqual(['a start', 'b start', 'a end', 'b end']);
+  });
+
+  test('keeps going after a failed task, and forgets idle keys', async () => {
+    const queue = new SerialQueue();
+
+    const failed = queue.run('a', async () => { throw new Error('boom'); });
+    const next = queue.run('a', async () => 'next');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('next');
+    await tick();
+    expect(queue.size).toBe(0);
+  });
+});
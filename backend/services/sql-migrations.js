@@ -0,0 +1,189 @@
+/**
+ * SQL Schema Migrations
+ * Applied in order by version; each version runs exactly once per database
+ * and is recorded in the schema_migrations table.
+ * Never edit a migration that has shipped - add a new version instead.
+ *
+ * Kept to portable SQL so the same migrations run on SQLite and Postgres:
+ * timestamps are ISO-8601 TEXT (which sorts chronologically), JSON
+ * payloads are TEXT and binary content is base64 TEXT.
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE tickets (
+        id TEXT PRIMARY KEY,
+        request_id TEXT,
+        account TEXT,
+        platform TEXT,
+        platform_id TEXT,
+        tag_type TEXT,
+        priority TEXT NOT NULL,
+        status TEXT NOT NULL,
+        requestor TEXT,
+        target_element TEXT,
+        vw_percent REAL,
+        vw_seconds REAL,
+        request_time TEXT NOT NULL,
+        response_time TEXT,
+        sla_deadline TEXT,
+        conversation_history TEXT,
+        extra TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_tickets_created_at ON tickets (created_at);
+      CREATE INDEX idx_tickets_status ON tickets (status);
+      CREATE INDEX idx_tickets_platform ON tickets (platform);
+      CREATE INDEX idx_tickets_account ON tickets (account);
+
+      CREATE TABLE history (
+        id TEXT PRIMARY KEY,
+        request_id TEXT,
+        ticket_id TEXT,
+        user_id TEXT,
+        action TEXT NOT NULL,
+        account TEXT,
+        platform TEXT,
+        priority TEXT,
+        response_time INTEGER,
+        timestamp TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_history_timestamp ON history (timestamp);
+      CREATE INDEX idx_history_ticket_id ON history (ticket_id);
+      CREATE INDEX idx_history_user_id ON history (user_id);
+
+      CREATE TABLE request_log (
+        request_id TEXT PRIMARY KEY,
+        user_id TEXT,
+        method TEXT,
+        path TEXT,
+        ip TEXT,
+        start_time BIGINT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'audit_log',
+    up: `
+      ALTER TABLE history ADD COLUMN metadata TEXT;
+
+      CREATE INDEX idx_history_action ON history (action);
+
+      CREATE TABLE history_archive (
+        id TEXT PRIMARY KEY,
+        request_id TEXT,
+        ticket_id TEXT,
+        user_id TEXT,
+        action TEXT NOT NULL,
+        account TEXT,
+        platform TEXT,
+        priority TEXT,
+        response_time INTEGER,
+        timestamp TEXT NOT NULL,
+        metadata TEXT,
+        segment TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_history_archive_segment ON history_archive (segment);
+      CREATE INDEX idx_history_archive_timestamp ON history_archive (timestamp);
+      CREATE INDEX idx_history_archive_ticket_id ON history_archive (ticket_id);
+      CREATE INDEX idx_history_archive_user_id ON history_archive (user_id);
+    `
+  },
+  {
+    version: 3,
+    name: 'ticket_assignment',
+    up: `
+      ALTER TABLE tickets ADD COLUMN assignee TEXT;
+      ALTER TABLE tickets ADD COLUMN team TEXT;
+
+      CREATE INDEX idx_tickets_assignee ON tickets (assignee);
+      CREATE INDEX idx_tickets_team ON tickets (team);
+    `
+  },
+  {
+    version: 4,
+    name: 'comments',
+    up: `
+      CREATE TABLE comments (
+        id TEXT PRIMARY KEY,
+        ticket_id TEXT NOT NULL,
+        parent_id TEXT,
+        author TEXT NOT NULL,
+        body TEXT,
+        mentions TEXT,
+        attachments TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        edited_at TEXT,
+        deleted_at TEXT
+      );
+
+      CREATE INDEX idx_comments_ticket_id ON comments (ticket_id, created_at);
+
+      CREATE TABLE attachments (
+        id TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'conversations',
+    up: `
+      CREATE TABLE conversations (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        turns TEXT NOT NULL,
+        extracted_data TEXT,
+        dropped_turns INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_conversations_expires_at ON conversations (expires_at);
+    `
+  },
+  {
+    version: 6,
+    name: 'conversation_drafts',
+    up: `
+      ALTER TABLE conversations ADD COLUMN drafts TEXT;
+    `
+  },
+  {
+    version: 7,
+    name: 'conversation_draft_state',
+    up: `
+      ALTER TABLE conversations ADD COLUMN draft_state TEXT;
+      ALTER TABLE conversations ADD COLUMN ticket_ids TEXT;
+    `
+  },
+  {
+    version: 8,
+    name: 'catalogs',
+    up: `
+      CREATE TABLE catalogs (
+        kind TEXT PRIMARY KEY,
+        entries TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 9,
+    name: 'ticket_seats',
+    up: `
+      ALTER TABLE tickets ADD COLUMN seat TEXT;
+    `
+  }
+];
@@ -0,0 +1,883 @@
+/**
+ * SQL Storage Service - shared base for the SQLite and Postgres drivers
+ * Same contract as InMemoryStorage; filtering, pagination and analytics
+ * aggregations run in SQL. The schema is managed by the versioned
+ * migrations in sql-migrations.js.
+ *
+ * Queries are written with `?` placeholders. Subclasses provide the
+ * connection (connect, query, execute, exec, transaction) and the
+ * dialect-specific turnaroundExpression().
+ */
+
+const { buildTicket, buildHistoryEntry, diffTicket, summarizeWorkload } = require('./storage-helpers');
+const migrations = require('./sql-migrations');
+const { parseTicketQuery, sortWithTiebreaker, formatResult, SEARCH_FIELDS, PRIORITY_RANK } = require('./ticket-query');
+const { parseHistoryQuery, formatHistoryResult, retentionCutoff, hasRetention } = require('./history-query');
+
+// Ticket field -> column. Fields not listed here are kept in the `extra` JSON column
+const TICKET_COLUMNS = {
+  id: 'id',
+  requestId: 'request_id',
+  account: 'account',
+  platform: 'platform',
+  platformId: 'platform_id',
+  seat: 'seat',
+  tagType: 'tag_type',
+  priority: 'priority',
+  status: 'status',
+  requestor: 'requestor',
+  assignee: 'assignee',
+  team: 'team',
+  targetElement: 'target_element',
+  vwPercent: 'vw_percent',
+  vwSeconds: 'vw_seconds',
+  requestTime: 'request_time',
+  responseTime: 'response_time',
+  slaDeadline: 'sla_deadline',
+  conversationHistory: 'conversation_history',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+const JSON_FIELDS = new Set(['conversationHistory']);
+
+const HISTORY_COLUMNS = {
+  id: 'id',
+  requestId: 'request_id',
+  ticketId: 'ticket_id',
+  userId: 'user_id',
+  action: 'action',
+  account: 'account',
+  platform: 'platform',
+  priority: 'priority',
+  responseTime: 'response_time',
+  timestamp: 'timestamp',
+  metadata: 'metadata'
+};
+
+const COMMENT_COLUMNS = {
+  id: 'id',
+  ticketId: 'ticket_id',
+  parentId: 'parent_id',
+  author: 'author',
+  body: 'body',
+  mentions: 'mentions',
+  attachments: 'attachments',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  editedAt: 'edited_at',
+  deletedAt: 'deleted_at'
+};
+
+const COMMENT_JSON_FIELDS = new Set(['mentions', 'attachments']);
+
+const CONVERSATION_COLUMNS = {
+  id: 'id',
+  userId: 'user_id',
+  turns: 'turns',
+  extractedData: 'extracted_data',
+  drafts: 'drafts',
+  draftState: 'draft_state',
+  ticketIds: 'ticket_ids',
+  droppedTurns: 'dropped_turns',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  expiresAt: 'expires_at'
+};
+
+const CONVERSATION_JSON_FIELDS = new Set(['turns', 'extractedData', 'drafts', 'ticketIds']);
+
+// History query filter -> column
+const HISTORY_FILTER_COLUMNS = {
+  ticketId: 'ticket_id',
+  userId: 'user_id',
+  action: 'action',
+  requestId: 'request_id'
+};
+
+class SqlStorage {
+  constructor(options = {}) {
+    this.connecting = null;
+    this.retention = options.retention || {};
+  }
+
+  initialize() {
+    if (!this.connecting) {
+      this.connecting = this.connect().then(async () => {
+        const applied = await this.migrate();
+        console.log(`✓ ${this.constructor.name} ready` +
+          (applied.length > 0 ? ` (applied migrations: ${applied.join(', ')})` : ''));
+      });
+    }
+    return this.connecting;
+  }
+
+  async queryOne(sql, params = []) {
+    const rows = await this.query(sql, params);
+    return rows[0] || null;
+  }
+
+  // ============================================
+  // MIGRATIONS
+  // ============================================
+
+  /**
+   * Apply pending migrations in version order, each in its own transaction
+   * Returns the versions that were applied
+   */
+  async migrate() {
+    await this.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const done = new Set(
+      (await this.query('SELECT version FROM schema_migrations')).map(row => Number(row.version))
+    );
+    const pending = [...migrations]
+      .sort((a, b) => a.version - b.version)
+      .filter(migration => !done.has(migration.version));
+
+    for (const migration of pending) {
+      await this.transaction(async tx => {
+        await tx.exec(migration.up);
+        await tx.execute(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+    }
+
+    return pending.map(migration => migration.version);
+  }
+
+  async getSchemaVersion() {
+    const row = await this.queryOne('SELECT MAX(version) AS version FROM schema_migrations');
+    return Number(row.version) || 0;
+  }
+
+  // ============================================
+  // TICKET METHODS
+  // ============================================
+
+  async createTicket(ticketData) {
+    const ticket = buildTicket(ticketData);
+    const row = this.ticketToRow(ticket);
+    const columns = Object.keys(row);
+
+    await this.execute(
+      `INSERT INTO tickets (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+
+    // Log to history
+    await this.logAction(ticket.requestId, ticket.id, ticket.requestor, 'created', {
+      account: ticket.account,
+      platform: ticket.platform,
+      priority: ticket.priority
+    });
+
+    return ticket;
+  }
+
+  async getTicket(ticketId) {
+    const row = await this.queryOne('SELECT * FROM tickets WHERE id = ?', [ticketId]);
+    return row ? this.rowToTicket(row) : null;
+  }
+
+  async listTickets(filters = {}) {
+    const { query, errors } = parseTicketQuery(filters);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ticket query: ${errors.join('; ')}`);
+    }
+
+    const { clauses, params } = this.buildTicketConditions(query);
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const total = await this.count(`SELECT CAST(COUNT(*) AS INTEGER) AS count FROM tickets ${where}`, params);
+
+    // Keyset pagination: continue strictly after the cursor position
+    const sort = sortWithTiebreaker(query.sort);
+    const pageClauses = [...clauses];
+    const pageParams = [...params];
+    if (query.cursor) {
+      const keyset = this.buildKeysetCondition(sort, [...query.cursor.values, query.cursor.id]);
+      pageClauses.push(keyset.clause);
+      pageParams.push(...keyset.params);
+    }
+
+    const orderBy = sort
+      .map(({ field, direction }) => `${this.sortExpression(field)} ${direction.toUpperCase()}`)
+      .join(', ');
+    const offset = query.page ? (query.page - 1) * query.limit : 0;
+
+    // One extra row tells us whether there is another page
+    const rows = await this.query(`
+      SELECT * FROM tickets
+      ${pageClauses.length > 0 ? `WHERE ${pageClauses.join(' AND ')}` : ''}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?
+    `, [...pageParams, query.limit + 1, offset]);
+
+    const tickets = rows.slice(0, query.limit).map(row => this.rowToTicket(row));
+    return formatResult(tickets, total, query, rows.length > query.limit);
+  }
+
+  /**
+   * Apply updates on behalf of `userId` and record the field-level diff
+   * `details` adds to the history entry, e.g. the reason for a status change
+   */
+  async updateTicket(ticketId, updates, userId = 'system', details = {}) {
+    const ticket = await this.getTicket(ticketId);
+    if (!ticket) {
+      throw new Error(`Ticket ${ticketId} not found`);
+    }
+
+    const updatedTicket = {
+      ...ticket,
+      ...updates,
+      id: ticketId,
+      updatedAt: new Date().toISOString()
+    };
+
+    const changes = diffTicket(ticket, updatedTicket);
+    if (changes.length === 0) return ticket;
+
+    const row = this.ticketToRow(updatedTicket);
+    delete row.id;
+    const assignments = Object.keys(row).map(column => `${column} = ?`).join(', ');
+    await this.execute(`UPDATE tickets SET ${assignments} WHERE id = ?`, [...Object.values(row), ticketId]);
+
+    // Log to history
+    await this.logAction(ticket.requestId, ticketId, userId, 'updated', {
+      account: updatedTicket.account,
+      platform: updatedTicket.platform,
+      priority: updatedTicket.priority,
+      ...details,
+      changes
+    });
+
+    return updatedTicket;
+  }
+
+  // ============================================
+  // COMMENT METHODS
+  // ============================================
+
+  async createComment(comment) {
+    const row = this.commentToRow(comment);
+    const columns = Object.keys(row);
+
+    await this.execute(
+      `INSERT INTO comments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+
+    return comment;
+  }
+
+  async getComment(commentId) {
+    const row = await this.queryOne('SELECT * FROM comments WHERE id = ?', [commentId]);
+    return row ? this.rowToComment(row) : null;
+  }
+
+  /**
+   * Comments on a ticket (ticketId) and/or mentioning a user (mention),
+   * oldest first
+   */
+  async listComments(filters = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.ticketId) {
+      clauses.push('ticket_id = ?');
+      params.push(filters.ticketId);
+    }
+    if (filters.mention) {
+      // mentions is a JSON array of strings
+      clauses.push("mentions LIKE ? ESCAPE '\\'");
+      params.push(`%${JSON.stringify(filters.mention).replace(/[\\%_]/g, char => `\\${char}`)}%`);
+    }
+
+    const rows = await this.query(`
+      SELECT * FROM comments
+      ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+      ORDER BY created_at, id
+    `, params);
+
+    return rows.map(row => this.rowToComment(row));
+  }
+
+  async updateComment(commentId, updates) {
+    const comment = await this.getComment(commentId);
+    if (!comment) {
+      throw new Error(`Comment ${commentId} not found`);
+    }
+
+    const updatedComment = {
+      ...comment,
+      ...updates,
+      id: commentId,
+      updatedAt: new Date().toISOString()
+    };
+
+    const row = this.commentToRow(updatedComment);
+    delete row.id;
+    const assignments = Object.keys(row).map(column => `${column} = ?`).join(', ');
+    await this.execute(`UPDATE comments SET ${assignments} WHERE id = ?`, [...Object.values(row), commentId]);
+
+    return updatedComment;
+  }
+
+  async putAttachment(attachmentId, content) {
+    await this.execute(
+      'INSERT INTO attachments (id, content, created_at) VALUES (?, ?, ?)',
+      [attachmentId, content.toString('base64'), new Date().toISOString()]
+    );
+  }
+
+  async getAttachment(attachmentId) {
+    const row = await this.queryOne('SELECT content FROM attachments WHERE id = ?', [attachmentId]);
+    return row ? Buffer.from(row.content, 'base64') : null;
+  }
+
+  async deleteAttachment(attachmentId) {
+    await this.execute('DELETE FROM attachments WHERE id = ?', [attachmentId]);
+  }
+
+  // ============================================
+  // CONVERSATION METHODS
+  // ============================================
+
+  async getConversation(conversationId) {
+    const row = await this.queryOne('SELECT * FROM conversations WHERE id = ?', [conversationId]);
+    return row ? this.rowToConversation(row) : null;
+  }
+
+  async saveConversation(conversation) {
+    const row = this.conversationToRow(conversation);
+    const columns = Object.keys(row);
+    const updates = columns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`);
+
+    await this.execute(`
+      INSERT INTO conversations (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}
+    `, Object.values(row));
+
+    return conversation;
+  }
+
+  /**
+   * Returns whether there was a conversation to delete
+   */
+  async deleteConversation(conversationId) {
+    if (!await this.queryOne('SELECT id FROM conversations WHERE id = ?', [conversationId])) {
+      return false;
+    }
+    await this.execute('DELETE FROM conversations WHERE id = ?', [conversationId]);
+    return true;
+  }
+
+  /**
+   * Delete conversations that expired before `now` - returns how many
+   */
+  async deleteExpiredConversations(now = new Date()) {
+    const cutoff = now.toISOString();
+    const count = await this.count('SELECT CAST(COUNT(*) AS INTEGER) AS count FROM conversations WHERE expires_at <= ?', [cutoff]);
+    if (count > 0) {
+      await this.execute('DELETE FROM conversations WHERE expires_at <= ?', [cutoff]);
+    }
+    return count;
+  }
+
+  // Every kind of data has its table (see InMemoryStorage.stores)
+  stores(data) {
+    return true;
+  }
+
+  // ============================================
+  // CATALOG METHODS
+  // ============================================
+
+  /**
+   * A catalog's saved entries ('platforms', 'clients', 'learned_aliases'), or
+   * null if it has never been saved - the config file applies until then
+   */
+  async getCatalog(kind) {
+    const row = await this.queryOne('SELECT entries FROM catalogs WHERE kind = ?', [kind]);
+    return row ? JSON.parse(row.entries) : null;
+  }
+
+  async saveCatalog(kind, entries) {
+    await this.execute(`
+      INSERT INTO catalogs (kind, entries, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (kind) DO UPDATE SET entries = excluded.entries, updated_at = excluded.updated_at
+    `, [kind, JSON.stringify(entries), new Date().toISOString()]);
+    return entries;
+  }
+
+  // ============================================
+  // HISTORY METHODS
+  // ============================================
+
+  async logRequest(requestId, userId, metadata = {}) {
+    await this.execute(`
+      INSERT INTO request_log (request_id, user_id, method, path, ip, start_time)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (request_id) DO NOTHING
+    `, [requestId, userId, metadata.method || null, metadata.path || null, metadata.ip || null, Date.now()]);
+  }
+
+  async logAction(requestIdOrObject, ticketId, userId, action, metadata = {}) {
+    const entry = buildHistoryEntry(requestIdOrObject, ticketId, userId, action, metadata);
+    const columns = Object.values(HISTORY_COLUMNS);
+
+    await this.execute(
+      `INSERT INTO history (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      this.historyEntryToRow(entry)
+    );
+
+    return entry;
+  }
+
+  async getHistory(filters = {}) {
+    const { query, errors } = parseHistoryQuery(filters);
+    if (errors.length > 0) {
+      throw new Error(`Invalid history query: ${errors.join('; ')}`);
+    }
+
+    const { where, params } = this.buildHistoryConditions(query);
+    const columns = Object.values(HISTORY_COLUMNS).join(', ');
+
+    // Archived entries live in their own table with the same columns
+    let source = `SELECT ${columns} FROM history ${where}`;
+    let sourceParams = params;
+    if (query.includeArchived) {
+      source += ` UNION ALL SELECT ${columns} FROM history_archive ${where}`;
+      sourceParams = [...params, ...params];
+    }
+
+    const total = await this.count(
+      `SELECT CAST(COUNT(*) AS INTEGER) AS count FROM (${source}) AS matching`,
+      sourceParams
+    );
+    const rows = await this.query(
+      `SELECT * FROM (${source}) AS matching ORDER BY timestamp ${query.order.toUpperCase()}, id LIMIT ? OFFSET ?`,
+      [...sourceParams, query.limit, query.offset]
+    );
+
+    return formatHistoryResult(rows.map(row => this.rowToHistoryEntry(row)), total, query);
+  }
+
+  // ============================================
+  // RETENTION & ARCHIVAL
+  // ============================================
+
+  /**
+   * Move history entries older than `before` into history_archive, tagged
+   * with their monthly segment. Returns the number of entries archived.
+   */
+  async archiveHistory(before) {
+    await this.initialize();
+
+    const cutoff = new Date(before).toISOString();
+    const columns = Object.values(HISTORY_COLUMNS).join(', ');
+    let archived = 0;
+
+    await this.transaction(async tx => {
+      const row = (await tx.query(
+        'SELECT CAST(COUNT(*) AS INTEGER) AS count FROM history WHERE timestamp < ?', [cutoff]
+      ))[0];
+      archived = Number(row.count);
+      if (archived === 0) return;
+
+      await tx.execute(`
+        INSERT INTO history_archive (${columns}, segment)
+        SELECT ${columns}, SUBSTR(timestamp, 1, 7) FROM history WHERE timestamp < ?
+      `, [cutoff]);
+      await tx.execute('DELETE FROM history WHERE timestamp < ?', [cutoff]);
+    });
+
+    return archived;
+  }
+
+  /**
+   * Archive whatever falls outside the retention policy
+   */
+  async applyRetention(now = new Date()) {
+    if (!hasRetention(this.retention)) {
+      return { archived: 0, cutoff: null };
+    }
+
+    const nthNewest = this.retention.maxEntries
+      ? (await this.queryOne(
+        'SELECT timestamp FROM history ORDER BY timestamp DESC LIMIT 1 OFFSET ?',
+        [this.retention.maxEntries - 1]
+      ))?.timestamp
+      : null;
+    const cutoff = retentionCutoff(this.retention, nthNewest, now);
+
+    return {
+      archived: cutoff ? await this.archiveHistory(cutoff) : 0,
+      cutoff
+    };
+  }
+
+  async listArchiveSegments() {
+    const rows = await this.query(
+      'SELECT segment, CAST(COUNT(*) AS INTEGER) AS count FROM history_archive GROUP BY segment ORDER BY segment'
+    );
+    return rows.map(({ segment, count }) => ({ segment, count: Number(count) }));
+  }
+
+  // ============================================
+  // ANALYTICS METHODS
+  // ============================================
+
+  async getAnalytics(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.startDate) {
+      conditions.push('created_at >= ?');
+      params.push(new Date(filters.startDate).toISOString());
+    }
+    if (filters.endDate) {
+      conditions.push('created_at <= ?');
+      params.push(new Date(filters.endDate).toISOString());
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countBy = async column => (await this.query(`
+      SELECT ${column} AS name, CAST(COUNT(*) AS INTEGER) AS count
+      FROM tickets ${where ? `${where} AND` : 'WHERE'} ${column} IS NOT NULL
+      GROUP BY ${column}
+      ORDER BY count DESC
+    `, params)).map(({ name, count }) => ({ name, count: Number(count) }));
+
+    const total = await this.count(`SELECT CAST(COUNT(*) AS INTEGER) AS count FROM tickets ${where}`, params);
+    const platforms = await countBy('platform');
+    const priorities = await countBy('priority');
+    const clients = await countBy('account');
+
+    const toObject = rows => Object.fromEntries(rows.map(({ name, count }) => [name, count]));
+
+    return {
+      period: {
+        start: filters.startDate || null,
+        end: filters.endDate || null
+      },
+      totalRequests: total,
+      byPlatform: toObject(platforms),
+      byPriority: toObject(priorities),
+      byClient: toObject(clients),
+      topPlatforms: platforms.slice(0, 10),
+      topClients: clients.slice(0, 10)
+    };
+  }
+
+  async getTurnaroundStats() {
+    const completed = "status = 'completed' AND response_time IS NOT NULL";
+    const turnaround = this.turnaroundExpression();
+
+    const summarize = async (condition, params = []) => {
+      const stats = await this.queryOne(`
+        SELECT CAST(COUNT(*) AS INTEGER) AS count, AVG(${turnaround}) AS avg,
+               MIN(${turnaround}) AS fastest, MAX(${turnaround}) AS slowest
+        FROM tickets WHERE ${condition}
+      `, params);
+
+      const count = Number(stats.count);
+      if (count === 0) return null;
+
+      const { median } = await this.queryOne(`
+        SELECT ${turnaround} AS median FROM tickets WHERE ${condition}
+        ORDER BY median LIMIT 1 OFFSET ?
+      `, [...params, Math.floor(count / 2)]);
+
+      return {
+        count,
+        avg: Number(stats.avg),
+        fastest: Number(stats.fastest),
+        slowest: Number(stats.slowest),
+        median: Number(median)
+      };
+    };
+
+    const overall = await summarize(completed);
+    if (!overall) {
+      return {
+        avgTurnaround: 0,
+        medianTurnaround: 0,
+        fastest: 0,
+        slowest: 0,
+        byPriority: {}
+      };
+    }
+
+    // By priority
+    const byPriority = {};
+    for (const priority of ['high', 'medium', 'low']) {
+      const stats = await summarize(`${completed} AND priority = ?`, [priority]);
+      if (stats) {
+        byPriority[priority] = {
+          count: stats.count,
+          avg: Math.round(stats.avg),
+          median: Math.round(stats.median)
+        };
+      }
+    }
+
+    return {
+      avgTurnaround: Math.round(overall.avg),
+      medianTurnaround: Math.round(overall.median),
+      fastest: Math.round(overall.fastest),
+      slowest: Math.round(overall.slowest),
+      byPriority
+    };
+  }
+
+  async getStorageStats() {
+    const ticketCount = await this.count('SELECT CAST(COUNT(*) AS INTEGER) AS count FROM tickets');
+    const historyCount = await this.count('SELECT CAST(COUNT(*) AS INTEGER) AS count FROM history');
+    const archivedCount = await this.count('SELECT CAST(COUNT(*) AS INTEGER) AS count FROM history_archive');
+    const conversationCount = await this.count('SELECT CAST(COUNT(*) AS INTEGER) AS count FROM conversations');
+    // Whatever statuses tickets are in - the workflow decides which exist
+    const byStatus = Object.fromEntries(
+      (await this.query('SELECT status, CAST(COUNT(*) AS INTEGER) AS count FROM tickets GROUP BY status'))
+        .map(({ status, count }) => [status, Number(count)])
+    );
+    const workloadRows = await this.query(
+      'SELECT assignee, status, CAST(COUNT(*) AS INTEGER) AS count FROM tickets GROUP BY assignee, status'
+    );
+
+    return {
+      ticketCount,
+      historyCount,
+      archivedCount,
+      conversationCount,
+      byStatus,
+      ...summarizeWorkload(workloadRows.map(row => ({ ...row, count: Number(row.count) }))),
+      schemaVersion: await this.getSchemaVersion()
+    };
+  }
+
+  // ============================================
+  // HELPER METHODS
+  // ============================================
+
+  async count(sql, params = []) {
+    const row = await this.queryOne(sql, params);
+    return Number(row.count);
+  }
+
+  /**
+   * WHERE clause for a parsed history query (see history-query.js)
+   */
+  buildHistoryConditions(query) {
+    const clauses = [];
+    const params = [];
+
+    for (const [field, values] of Object.entries(query.filters)) {
+      clauses.push(`${HISTORY_FILTER_COLUMNS[field]} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+    if (query.from) {
+      clauses.push('timestamp >= ?');
+      params.push(query.from);
+    }
+    if (query.to) {
+      clauses.push('timestamp <= ?');
+      params.push(query.to);
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * WHERE clauses for a parsed ticket query (see ticket-query.js)
+   */
+  buildTicketConditions(query) {
+    const clauses = [];
+    const params = [];
+
+    for (const [field, values] of Object.entries(query.filters)) {
+      clauses.push(`LOWER(${TICKET_COLUMNS[field]}) IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+
+    for (const [field, { from, to }] of Object.entries(query.dateRanges)) {
+      if (from) {
+        clauses.push(`${TICKET_COLUMNS[field]} >= ?`);
+        params.push(from);
+      }
+      if (to) {
+        clauses.push(`${TICKET_COLUMNS[field]} <= ?`);
+        params.push(to);
+      }
+    }
+
+    if (query.slaBreached !== null) {
+      // Open tickets are measured against now, completed ones against their response time
+      const breached = 'sla_deadline IS NOT NULL AND COALESCE(response_time, ?) > sla_deadline';
+      clauses.push(query.slaBreached ? `(${breached})` : `NOT (${breached})`);
+      params.push(new Date().toISOString());
+    }
+
+    if (query.unassigned !== null) {
+      clauses.push(query.unassigned ? "COALESCE(assignee, '') = ''" : "COALESCE(assignee, '') <> ''");
+    }
+
+    if (query.search) {
+      const pattern = `%${query.search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+      const matches = SEARCH_FIELDS.map(field => `LOWER(COALESCE(${TICKET_COLUMNS[field]}, '')) LIKE ? ESCAPE '\\'`);
+      clauses.push(`(${matches.join(' OR ')})`);
+      params.push(...SEARCH_FIELDS.map(() => pattern));
+    }
+
+    return { clauses, params };
+  }
+
+  /**
+   * Expression a ticket field sorts by - mirrors sortValue() in ticket-query.js
+   */
+  sortExpression(field) {
+    if (field === 'priority') {
+      const ranks = Object.entries(PRIORITY_RANK)
+        .map(([priority, rank]) => `WHEN '${priority}' THEN ${rank}`)
+        .join(' ');
+      return `(CASE LOWER(priority) ${ranks} ELSE 0 END)`;
+    }
+    return `COALESCE(${TICKET_COLUMNS[field]}, '')`;
+  }
+
+  /**
+   * Rows after `values` in the given order:
+   * (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND c > z) ...
+   */
+  buildKeysetCondition(sort, values) {
+    const alternatives = [];
+    const params = [];
+
+    sort.forEach(({ field, direction }, i) => {
+      const parts = [];
+      for (let j = 0; j < i; j++) {
+        parts.push(`${this.sortExpression(sort[j].field)} = ?`);
+        params.push(values[j]);
+      }
+      parts.push(`${this.sortExpression(field)} ${direction === 'asc' ? '>' : '<'} ?`);
+      params.push(values[i]);
+      alternatives.push(`(${parts.join(' AND ')})`);
+    });
+
+    return { clause: `(${alternatives.join(' OR ')})`, params };
+  }
+
+  ticketToRow(ticket) {
+    const row = {};
+    const extra = {};
+
+    for (const [field, value] of Object.entries(ticket)) {
+      const column = TICKET_COLUMNS[field];
+      if (!column) {
+        extra[field] = value;
+      } else if (JSON_FIELDS.has(field)) {
+        row[column] = JSON.stringify(value ?? null);
+      } else {
+        row[column] = value ?? null;
+      }
+    }
+
+    row.extra = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+    return row;
+  }
+
+  rowToTicket(row) {
+    const ticket = {};
+
+    for (const [field, column] of Object.entries(TICKET_COLUMNS)) {
+      ticket[field] = JSON_FIELDS.has(field) && row[column] !== null
+        ? JSON.parse(row[column])
+        : row[column];
+    }
+
+    return row.extra ? { ...ticket, ...JSON.parse(row.extra) } : ticket;
+  }
+
+  commentToRow(comment) {
+    const row = {};
+    for (const [field, column] of Object.entries(COMMENT_COLUMNS)) {
+      const value = comment[field] ?? null;
+      row[column] = COMMENT_JSON_FIELDS.has(field) && value !== null ? JSON.stringify(value) : value;
+    }
+    return row;
+  }
+
+  rowToComment(row) {
+    const comment = {};
+    for (const [field, column] of Object.entries(COMMENT_COLUMNS)) {
+      comment[field] = COMMENT_JSON_FIELDS.has(field)
+        ? JSON.parse(row[column] || '[]')
+        : row[column] ?? null;
+    }
+    return comment;
+  }
+
+  conversationToRow(conversation) {
+    const row = {};
+    for (const [field, column] of Object.entries(CONVERSATION_COLUMNS)) {
+      const value = conversation[field] ?? null;
+      row[column] = CONVERSATION_JSON_FIELDS.has(field) && value !== null ? JSON.stringify(value) : value;
+    }
+    row.dropped_turns = row.dropped_turns || 0;
+    return row;
+  }
+
+  rowToConversation(row) {
+    const conversation = {};
+    for (const [field, column] of Object.entries(CONVERSATION_COLUMNS)) {
+      conversation[field] = CONVERSATION_JSON_FIELDS.has(field) && row[column] !== null
+        ? JSON.parse(row[column])
+        : row[column] ?? null;
+    }
+    conversation.droppedTurns = Number(conversation.droppedTurns);
+    return conversation;
+  }
+
+  historyEntryToRow(entry) {
+    return Object.keys(HISTORY_COLUMNS).map(field => {
+      const value = entry[field] ?? null;
+      if (field === 'metadata') return value === null ? null : JSON.stringify(value);
+      // response_time is an INTEGER column
+      if (field === 'responseTime') return value === null ? null : Math.round(value);
+      return value;
+    });
+  }
+
+  rowToHistoryEntry(row) {
+    const entry = {};
+    for (const [field, column] of Object.entries(HISTORY_COLUMNS)) {
+      entry[field] = row[column] ?? null;
+    }
+    entry.metadata = entry.metadata ? JSON.parse(entry.metadata) : {};
+    return entry;
+  }
+
+  // Export data (for downloading)
+  async exportToJSON() {
+    const tickets = await this.query('SELECT * FROM tickets ORDER BY created_at');
+    const history = await this.query('SELECT * FROM history ORDER BY timestamp');
+
+    return {
+      tickets: tickets.map(row => this.rowToTicket(row)),
+      history: history.map(row => this.rowToHistoryEntry(row)),
+      exportedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = SqlStorage;
@@ -0,0 +1,98 @@
+const InMemoryStorage = require('./inmemory-storage');
+const SqliteStorage = require('./sqlite-storage');
+
+const ACCOUNTS = ['Acme', 'Globex', 'Initech'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATUSES = ['pending', 'in_progress', 'completed'];
+
+// 20 tickets with plenty of ties, so pages split runs of equal sort values
+const TICKETS = Array.from({ length: 20 }, (_, i) => {
+  const createdAt = new Date(Date.UTC(2024, 0, 1 + Math.floor(i / 3))).toISOString();
+  return {
+    id: `ticket_${String(i).padStart(2, '0')}`,
+    requestId: `req_${i}`,
+    account: ACCOUNTS[i % ACCOUNTS.length],
+    platform: i % 2 ? 'DV360' : 'The Trade Desk',
+    tagType: i % 4 ? 'Tracker' : 'Video Wrapper',
+    priority: PRIORITIES[i % PRIORITIES.length],
+    status: STATUSES[i % STATUSES.length],
+    assignee: i % 5 ? `user${i % 3}` : null,
+    requestTime: createdAt,
+    slaDeadline: new Date(Date.UTC(2024, 0, 2 + (i % 4))).toISOString(),
+    createdAt
+  };
+});
+
+const QUERIES = [
+  {},
+  { sort: 'priority:desc' },
+  { sort: 'account:asc,priority:asc' },
+  { sort: 'slaDeadline:asc,createdAt:desc' },
+  { sort: 'assignee:asc' },
+  { status: 'pending,in_progress', sort: 'account:desc' },
+  { q: 'dv360', sort: 'createdAt:asc' }
+];
+
+/**
+ * Follow nextCursor from the first page to the last
+ */
+async function walk(storage, params, limit) {
+  const ids = [];
+  let cursor;
+  do {
+    const result = await storage.listTickets({ ...params, limit, ...(cursor ? { cursor } : {}) });
+    ids.push(...result.tickets.map(ticket => ticket.id));
+    cursor = result.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+describe('ticket pagination', () => {
+  const memory = new InMemoryStorage();
+  const sqlite = new SqliteStorage({ filename: ':memory:' });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await sqlite.initialize();
+    for (const ticket of TICKETS) {
+      await memory.createTicket(ticket);
+      await sqlite.createTicket(ticket);
+    }
+  });
+
+  afterAll(() => {
+    sqlite.db.close();
+    jest.restoreAllMocks();
+  });
+
+  test.each(QUERIES)('cursor pages match across drivers for %j', async params => {
+    const all = (await memory.listTickets({ ...params, limit: 200 })).tickets.map(ticket => ticket.id);
+
+    for (const limit of [1, 3, 7]) {
+      expect(await walk(memory, params, limit)).toEqual(all);
+      expect(await walk(sqlite, params, limit)).toEqual(all);
+    }
+  });
+
+  test('cursor pages stay stable while tickets are added', async () => {
+    const params = { sort: 'createdAt:asc', limit: 5 };
+
+    for (const storage of [memory, sqlite]) {
+      const first = await storage.listTickets(params);
+      // A ticket sorting before the cursor does not shift the next page
+      await storage.createTicket({ ...TICKETS[0], id: `ticket_early_${storage.constructor.name}` });
+      const second = await storage.listTickets({ ...params, cursor: first.nextCursor });
+
+      expect(second.tickets.map(ticket => ticket.id)).toEqual(TICKETS.slice(5, 10).map(ticket => ticket.id));
+    }
+  });
+
+  test('both drivers reject a cursor from another sort order', async () => {
+    const { nextCursor } = await memory.listTickets({ sort: 'priority:desc', limit: 2 });
+
+    for (const storage of [memory, sqlite]) {
+      await expect(storage.listTickets({ sort: 'account:asc', cursor: nextCursor }))
+        .rejects.toThrow(/cursor is invalid/);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * SQLite Storage Service
+ * SqlStorage backed by a local SQLite database file (better-sqlite3)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const SqlStorage = require('./sql-storage');
+
+class SqliteStorage extends SqlStorage {
+  constructor(options = {}) {
+    super(options);
+    this.filename = options.filename || path.join(__dirname, '../data/tag-assistant.db');
+    this.db = null;
+  }
+
+  async connect() {
+    // Required lazily so the native module only loads when this driver is used
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+  }
+
+  async query(sql, params = []) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  async execute(sql, params = []) {
+    this.db.prepare(sql).run(...params);
+  }
+
+  async exec(sql) {
+    this.db.exec(sql);
+  }
+
+  async transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      const result = await fn(this);
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Milliseconds between request and response
+  turnaroundExpression() {
+    return '(julianday(response_time) - julianday(request_time)) * 86400000';
+  }
+
+  async getStorageStats() {
+    return {
+      ...(await super.getStorageStats()),
+      filename: this.filename
+    };
+  }
+}
+
+module.exports = SqliteStorage;
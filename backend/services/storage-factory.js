@@ -0,0 +1,169 @@
+/**
+ * Storage Factory
+ * Picks the storage driver from environment variables and checks at boot
+ * that every registered driver implements the full storage interface.
+ *
+ * Driver selection:
+ * 1. STORAGE_DRIVER, if set (memory, file, sqlite, postgres, notion)
+ * 2. DATABASE_URL scheme: postgres:// or postgresql:// -> postgres, sqlite: -> sqlite
+ * 3. NOTION_TOKEN and NOTION_TICKETS_DB_ID -> notion
+ * 4. Otherwise in-memory storage
+ */
+
+const InMemoryStorage = require('./inmemory-storage');
+const FileStorage = require('./file-storage');
+const SqliteStorage = require('./sqlite-storage');
+const PostgresStorage = require('./postgres-storage');
+const NotionStorage = require('./notion-storage');
+const { retentionFromEnv } = require('./history-query');
+
+// Methods server.js relies on - every driver must implement all of them
+const REQUIRED_METHODS = [
+  'initialize',
+  'stores',
+  'createTicket',
+  'getTicket',
+  'listTickets',
+  'updateTicket',
+  'createComment',
+  'getComment',
+  'listComments',
+  'updateComment',
+  'putAttachment',
+  'getAttachment',
+  'deleteAttachment',
+  'getConversation',
+  'saveConversation',
+  'deleteConversation',
+  'deleteExpiredConversations',
+  'getCatalog',
+  'saveCatalog',
+  'logRequest',
+  'logAction',
+  'getHistory',
+  'archiveHistory',
+  'applyRetention',
+  'listArchiveSegments',
+  'getAnalytics',
+  'getTurnaroundStats',
+  'getStorageStats'
+];
+
+// name -> { Storage, options(env), requiredEnv }
+const drivers = new Map();
+
+function registerDriver(name, Storage, { options = () => ({}), requiredEnv = [] } = {}) {
+  drivers.set(name, { Storage, options, requiredEnv });
+}
+
+registerDriver('memory', InMemoryStorage);
+
+registerDriver('file', FileStorage, {
+  options: env => ({ dataDir: env.DATA_DIR })
+});
+
+registerDriver('sqlite', SqliteStorage, {
+  options: env => ({
+    filename: env.SQLITE_PATH || (env.DATABASE_URL?.startsWith('sqlite:')
+      ? env.DATABASE_URL.replace(/^sqlite:(\/\/)?/, '')
+      : undefined)
+  })
+});
+
+registerDriver('postgres', PostgresStorage, {
+  options: env => ({ connectionString: env.DATABASE_URL }),
+  requiredEnv: ['DATABASE_URL']
+});
+
+registerDriver('notion', NotionStorage, {
+  options: env => ({
+    token: env.NOTION_TOKEN,
+    ticketsDbId: env.NOTION_TICKETS_DB_ID,
+    historyDbId: env.NOTION_HISTORY_DB_ID,
+    baseUrl: env.NOTION_BASE_URL,
+    syncInterval: parseInt(env.NOTION_SYNC_INTERVAL_MS) || undefined
+  }),
+  requiredEnv: ['NOTION_TOKEN', 'NOTION_TICKETS_DB_ID']
+});
+
+function resolveDriverName(env) {
+  if (env.STORAGE_DRIVER) {
+    return env.STORAGE_DRIVER.trim().toLowerCase();
+  }
+
+  if (env.DATABASE_URL) {
+    if (/^postgres(ql)?:\/\//.test(env.DATABASE_URL)) return 'postgres';
+    if (env.DATABASE_URL.startsWith('sqlite:')) return 'sqlite';
+  }
+
+  if (env.NOTION_TOKEN && env.NOTION_TICKETS_DB_ID) {
+    return 'notion';
+  }
+
+  return 'memory';
+}
+
+/**
+ * Return the interface methods a driver class (or instance) is missing
+ */
+function findMissingMethods(target) {
+  return REQUIRED_METHODS.filter(method => typeof target[method] !== 'function');
+}
+
+/**
+ * Check every registered driver against the storage interface
+ * Throws listing each incomplete driver and what it lacks
+ */
+function validateDrivers() {
+  const problems = [];
+
+  for (const [name, { Storage }] of drivers) {
+    const missing = findMissingMethods(Storage.prototype);
+    if (missing.length > 0) {
+      problems.push(`${name} (missing: ${missing.join(', ')})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Storage drivers do not implement the storage interface: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Create the storage service selected by the environment
+ * Returns { driver, storage } - the driver name is reported by /api/health
+ */
+function createStorage(env = process.env) {
+  validateDrivers();
+
+  const name = resolveDriverName(env);
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}" (available: ${[...drivers.keys()].join(', ')})`);
+  }
+
+  const missingEnv = driver.requiredEnv.filter(key => !env[key]);
+  if (missingEnv.length > 0) {
+    throw new Error(`Storage driver "${name}" requires ${missingEnv.join(', ')}`);
+  }
+
+  const storage = new driver.Storage({
+    ...driver.options(env),
+    retention: retentionFromEnv(env)
+  });
+
+  // Catch methods removed or shadowed on the instance as well
+  const missing = findMissingMethods(storage);
+  if (missing.length > 0) {
+    throw new Error(`Storage driver "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  return { driver: name, storage };
+}
+
+module.exports = {
+  createStorage,
+  registerDriver,
+  validateDrivers,
+  REQUIRED_METHODS
+};
@@ -0,0 +1,55 @@
+const { createStorage, registerDriver, validateDrivers, REQUIRED_METHODS } = require('./storage-factory');
+const InMemoryStorage = require('./inmemory-storage');
+
+describe('createStorage', () => {
+  test('picks the driver from STORAGE_DRIVER, then DATABASE_URL', () => {
+    expect(createStorage({}).driver).toBe('memory');
+    expect(createStorage({ STORAGE_DRIVER: ' Memory ' }).driver).toBe('memory');
+    expect(createStorage({ DATABASE_URL: 'postgresql://localhost/tickets' }).driver).toBe('postgres');
+    // Only both Notion variables select Notion
+    expect(createStorage({ NOTION_TOKEN: 'secret' }).driver).toBe('memory');
+  });
+
+  test('refuses an unknown driver, or one without its settings', () => {
+    expect(() => createStorage({ STORAGE_DRIVER: 'mongo' }))
+      .toThrow('Unknown storage driver "mongo" (available: memory, file, sqlite, postgres, notion)');
+    expect(() => createStorage({ STORAGE_DRIVER: 'notion' }))
+      .toThrow('Storage driver "notion" requires NOTION_TOKEN, NOTION_TICKETS_DB_ID');
+  });
+
+  test('every built-in driver implements the storage interface', () => {
+    expect(REQUIRED_METHODS).toContain('stores');
+    expect(() => validateDrivers()).not.toThrow();
+  });
+
+  test('refuses to start with a driver missing part of the interface', () => {
+    class PartialStorage extends InMemoryStorage {}
+    PartialStorage.prototype.getCatalog = undefined;
+    PartialStorage.prototype.saveCatalog = undefined;
+    registerDriver('partial', PartialStorage);
+
+    try {
+      expect(() => createStorage({ STORAGE_DRIVER: 'memory' }))
+        .toThrow('Storage drivers do not implement the storage interface: partial (missing: getCatalog, saveCatalog)');
+    } finally {
+      registerDriver('partial', InMemoryStorage);
+    }
+    expect(createStorage({ STORAGE_DRIVER: 'partial' }).driver).toBe('partial');
+  });
+
+  test('catches a method shadowed on the instance', () => {
+    class ShadowedStorage extends InMemoryStorage {
+      constructor(options) {
+        super(options);
+        this.logAction = null;
+      }
+    }
+    registerDriver('shadowed', ShadowedStorage);
+
+    try {
+      expect(() => createStorage({ STORAGE_DRIVER: 'shadowed' })).toThrow('Storage driver "shadowed" is missing: logAction');
+    } finally {
+      registerDriver('shadowed', InMemoryStorage);
+    }
+  });
+});
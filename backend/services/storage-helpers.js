@@ -0,0 +1,173 @@
+/**
+ * Storage Helpers
+ * Record construction shared by every storage backend, so tickets and
+ * history entries look the same whichever driver stores them
+ */
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Ticket priorities, as stored
+const PRIORITY_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * A priority as stored ("High" -> "high"), or null if it is not one
+ */
+function parsePriority(priority) {
+  const level = typeof priority === 'string' ? priority.trim().toLowerCase() : null;
+  return PRIORITY_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * The SLA deadline of a ticket of `priority` requested at `from`
+ */
+function calculateSLADeadline(priority, from = new Date()) {
+  const now = new Date(from);
+  let hoursToAdd;
+
+  switch (priority) {
+    case 'high':
+      hoursToAdd = 4;
+      break;
+    case 'medium':
+      hoursToAdd = 24;
+      break;
+    case 'low':
+      hoursToAdd = 48;
+      break;
+    default:
+      hoursToAdd = 24;
+  }
+
+  now.setHours(now.getHours() + hoursToAdd);
+  return now.toISOString();
+}
+
+/**
+ * Build a complete ticket record from (partial) ticket data
+ */
+function buildTicket(ticketData) {
+  // Stored lowercase, the way SLAs and analytics compare them - the chat
+  // extracts "High", "Medium" or "Low"
+  const priority = ticketData.priority ? String(ticketData.priority).toLowerCase() : 'medium';
+  const requestTime = ticketData.requestTime || new Date().toISOString();
+
+  return {
+    id: ticketData.id || generateId('ticket'),
+    requestId: ticketData.requestId || generateId('req'),
+    account: ticketData.account || null,
+    platform: ticketData.platform || null,
+    platformId: ticketData.platformId || null,
+    seat: ticketData.seat || null,
+    tagType: ticketData.tagType || null,
+    priority,
+    status: ticketData.status || 'pending',
+    requestor: ticketData.requestor || ticketData.userId || 'anonymous',
+    assignee: ticketData.assignee || null,
+    team: ticketData.team || null,
+    targetElement: ticketData.targetElement || null,
+    vwPercent: ticketData.vwPercent || null,
+    vwSeconds: ticketData.vwSeconds || null,
+    requestTime,
+    responseTime: ticketData.responseTime || null,
+    slaDeadline: ticketData.slaDeadline || calculateSLADeadline(priority, requestTime),
+    conversationHistory: ticketData.conversationHistory || [],
+    createdAt: ticketData.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Build a history entry from either logAction calling convention:
+ *   logAction({ requestId, ticketId, userId, action, data })
+ *   logAction(requestId, ticketId, userId, action, metadata)
+ */
+function buildHistoryEntry(requestIdOrObject, ticketId, userId, action, metadata = {}) {
+  let requestId, finalTicketId, finalUserId, finalAction, finalMetadata;
+
+  if (typeof requestIdOrObject === 'object' && requestIdOrObject !== null) {
+    requestId = requestIdOrObject.requestId;
+    finalTicketId = requestIdOrObject.ticketId || null;
+    finalUserId = requestIdOrObject.userId;
+    finalAction = requestIdOrObject.action;
+    finalMetadata = requestIdOrObject.data || requestIdOrObject.metadata || {};
+  } else {
+    requestId = requestIdOrObject;
+    finalTicketId = ticketId;
+    finalUserId = userId;
+    finalAction = action;
+    finalMetadata = metadata || {};
+  }
+
+  return {
+    id: generateId('history'),
+    requestId,
+    ticketId: finalTicketId,
+    userId: finalUserId,
+    action: finalAction,
+    account: finalMetadata.account || null,
+    platform: finalMetadata.platform || null,
+    priority: finalMetadata.priority || null,
+    // A duration in ms - ticket updates can carry an ISO responseTime instead
+    responseTime: typeof finalMetadata.responseTime === 'number' ? finalMetadata.responseTime : null,
+    // The complete payload, so the audit trail loses nothing
+    metadata: { ...finalMetadata },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Bookkeeping fields that change on every write and are not worth a diff
+const UNTRACKED_FIELDS = new Set(['updatedAt']);
+
+/**
+ * Field-level differences between two versions of a ticket
+ * Returns [{ field, from, to }] for every field whose value changed
+ */
+function diffTicket(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (UNTRACKED_FIELDS.has(field)) continue;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Per-assignee ticket counts from [{ assignee, status, count }] rows
+ * Returns { workload: { [assignee]: { total, byStatus } }, unassignedCount }
+ */
+function summarizeWorkload(rows) {
+  const workload = {};
+  let unassignedCount = 0;
+
+  for (const { assignee, status, count } of rows) {
+    if (!assignee) {
+      unassignedCount += count;
+      continue;
+    }
+    const load = workload[assignee] || (workload[assignee] = { total: 0, byStatus: {} });
+    load.total += count;
+    load.byStatus[status] = (load.byStatus[status] || 0) + count;
+  }
+
+  return { workload, unassignedCount };
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  generateId,
+  parsePriority,
+  calculateSLADeadline,
+  buildTicket,
+  buildHistoryEntry,
+  diffTicket,
+  summarizeWorkload
+};
@@ -0,0 +1,173 @@
+/**
+ * System Prompt
+ * Builds the chat agent's system prompt from an editable template
+ * (config/prompts/system.md) and the live data it describes: the platform
+ * catalog from PlatformMatcher, the known clients, and the tag types and
+ * priority rules in config/prompt.json (or the file at PROMPT_CONFIG).
+ *
+ * The template uses {{placeholders}}:
+ *   {{platforms}}       one line per active platform with its aliases, and
+ *                       the tag types and details it is limited to / needs
+ *   {{topPlatforms}}    the three highest-priority platform names
+ *   {{clients}}         the known client names
+ *   {{tagTypes}}        "Tracker" or "Video Wrapper"
+ *   {{tagTypeValues}}   "Tracker" | "Video Wrapper" (for the JSON format)
+ *   {{tagTypeRules}}    keyword -> tag type lines
+ *   {{priorities}}      "High", "Medium", or "Low"
+ *   {{priorityValues}}  "High" | "Medium" | "Low"
+ *   {{priorityRules}}   keyword -> priority lines, ending with the default
+ *   {{details}}         the details platforms can require, with the question
+ *                       to ask for each
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TAG_TYPES, PRIORITIES } = require('./extraction-schema');
+const { DETAILS, describeSpecs } = require('./platform-specs');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/prompt.json');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const PLACEHOLDERS = [
+  'platforms',
+  'topPlatforms',
+  'clients',
+  'tagTypes',
+  'tagTypeValues',
+  'tagTypeRules',
+  'priorities',
+  'priorityValues',
+  'priorityRules',
+  'details'
+];
+
+function quoteList(values, lastSeparator) {
+  const quoted = values.map(value => `"${value}"`);
+  if (quoted.length <= 1) return quoted.join('');
+  if (quoted.length === 2) return `${quoted[0]} ${lastSeparator} ${quoted[1]}`;
+  return `${quoted.slice(0, -1).join(', ')}, ${lastSeparator} ${quoted[quoted.length - 1]}`;
+}
+
+function keywordLine(keywords, value) {
+  return `- ${keywords.map(keyword => `"${keyword}"`).join(', ')} → ${value}`;
+}
+
+// "- Rablab = Rablab Onsite Tracking (Tracker only; needs targetElement)"
+function platformLine(platform) {
+  const aliases = platform.aliases?.length > 0 ? ` = ${platform.aliases.join(', ')}` : '';
+  const specs = describeSpecs(platform);
+  return `- ${platform.name}${aliases}${specs ? ` (${specs})` : ''}`;
+}
+
+class SystemPrompt {
+  constructor(template, config) {
+    const errors = SystemPrompt.validate(template, config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid system prompt config: ${errors.join('; ')}`);
+    }
+
+    this.template = template;
+    this.tagTypes = config.tagTypes;
+    this.priorityRules = config.priorityRules || [];
+    this.defaultPriority = config.defaultPriority;
+  }
+
+  /**
+   * Load the prompt config (defaults to config/prompt.json) and the template
+   * it points at - relative to the config file
+   */
+  static load(filePath = DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const templatePath = path.resolve(path.dirname(filePath), config.template || 'prompts/system.md');
+    return new SystemPrompt(fs.readFileSync(templatePath, 'utf8'), config);
+  }
+
+  /**
+   * Return the problems with a template and config - empty when they are valid
+   */
+  static validate(template, config) {
+    const errors = [];
+
+    if (typeof template !== 'string' || !template.trim()) {
+      return ['template must not be empty'];
+    }
+    for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!PLACEHOLDERS.includes(name) && !errors.includes(`unknown placeholder {{${name}}}`)) {
+        errors.push(`unknown placeholder {{${name}}}`);
+      }
+    }
+
+    if (!Array.isArray(config?.tagTypes) || config.tagTypes.length === 0) {
+      errors.push('tagTypes must list at least one tag type');
+    } else {
+      for (const { name, keywords } of config.tagTypes) {
+        if (!TAG_TYPES.includes(name)) {
+          errors.push(`tag type "${name}" is not one of ${TAG_TYPES.join(', ')}`);
+        }
+        if (!Array.isArray(keywords)) {
+          errors.push(`tag type "${name}": keywords must be a list`);
+        }
+      }
+    }
+
+    for (const { priority, keywords } of config?.priorityRules || []) {
+      if (!PRIORITIES.includes(priority)) {
+        errors.push(`priority rule "${priority}" is not one of ${PRIORITIES.join(', ')}`);
+      }
+      if (!Array.isArray(keywords) || keywords.length === 0) {
+        errors.push(`priority rule "${priority}": keywords must be a non-empty list`);
+      }
+    }
+    if (config?.defaultPriority && !PRIORITIES.includes(config.defaultPriority)) {
+      errors.push(`defaultPriority "${config.defaultPriority}" is not one of ${PRIORITIES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * The placeholder values for a catalog ({ platforms, clients })
+   * `platforms` as returned by PlatformMatcher.getAllPlatforms() - active, by priority
+   */
+  values({ platforms = [], clients = [] } = {}) {
+    const tagTypeNames = this.tagTypes.map(tagType => tagType.name);
+
+    const priorityRules = this.priorityRules.map(rule => keywordLine(rule.keywords, rule.priority));
+    if (this.defaultPriority) {
+      priorityRules.push(`- Otherwise → ${this.defaultPriority}`);
+    }
+
+    return {
+      platforms: platforms.length > 0
+        ? platforms.map(platformLine).join('\n')
+        : '- (no platforms configured)',
+      topPlatforms: platforms.slice(0, 3).map(platform => platform.name).join(', '),
+      clients: clients.length > 0 ? clients.join(', ') : '(none configured)',
+      tagTypes: quoteList(tagTypeNames, 'or'),
+      tagTypeValues: tagTypeNames.map(name => `"${name}"`).join(' | '),
+      tagTypeRules: this.tagTypes
+        .filter(tagType => tagType.keywords.length > 0)
+        .map(tagType => keywordLine(tagType.keywords, tagType.name))
+        .join('\n'),
+      priorities: quoteList(PRIORITIES, 'or'),
+      priorityValues: PRIORITIES.map(name => `"${name}"`).join(' | '),
+      priorityRules: priorityRules.join('\n'),
+      details: Object.entries(DETAILS)
+        .map(([field, { label, question, tagTypes }]) => `- ${field} (${label}${tagTypes.length < TAG_TYPES.length ? `, ${tagTypes.join(', ')} only` : ''}): "${question}"`)
+        .join('\n')
+    };
+  }
+
+  /**
+   * Fill in the template for a catalog ({ platforms, clients })
+   */
+  render(catalog) {
+    const values = this.values(catalog);
+    return this.template.replace(PLACEHOLDER_PATTERN, (match, name) => values[name]).trim();
+  }
+}
+
+SystemPrompt.PLACEHOLDERS = PLACEHOLDERS;
+
+module.exports = SystemPrompt;
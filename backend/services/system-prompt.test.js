@@ -0,0 +1,71 @@
+const SystemPrompt = require('./system-prompt');
+
+const CONFIG = {
+  tagTypes: [
+    { name: 'Tracker', keywords: ['pixel', 'tracking'] },
+    { name: 'Video Wrapper', keywords: ['vast'] }
+  ],
+  priorityRules: [{ priority: 'High', keywords: ['urgent', 'asap'] }],
+  defaultPriority: 'Medium'
+};
+
+const PLATFORMS = [
+  { name: 'Google DV360', aliases: ['DV360', 'DBM'] },
+  { name: 'Rablab', aliases: ['Rablab Onsite Tracking'], tagTypes: ['Tracker'], requiredFields: ['targetElement'] },
+  { name: 'GAM', aliases: [] },
+  { name: 'Xandr', aliases: [] }
+];
+
+describe('SystemPrompt', () => {
+  test('fills in the catalog, clients and rules', () => {
+    const prompt = new SystemPrompt('Platforms:\n{{platforms}}\nTop: {{ topPlatforms }}\nClients: {{clients}}', CONFIG);
+
+    expect(prompt.render({ platforms: PLATFORMS, clients: ['Nike', 'Cofidis'] })).toBe(`Platforms:
+- Google DV360 = DV360, DBM
+- Rablab = Rablab Onsite Tracking (Tracker only; needs targetElement)
+- GAM
+- Xandr
+Top: Google DV360, Rablab, GAM
+Clients: Nike, Cofidis`);
+  });
+
+  test('lists the tag types and priorities with their keywords', () => {
+    const prompt = new SystemPrompt('{{tagTypes}}|{{tagTypeValues}}\n{{tagTypeRules}}\n{{priorities}}\n{{priorityRules}}', CONFIG);
+
+    expect(prompt.render({})).toBe(`"Tracker" or "Video Wrapper"|"Tracker" | "Video Wrapper"
+- "pixel", "tracking" → Tracker
+- "vast" → Video Wrapper
+"High", "Medium", or "Low"
+- "urgent", "asap" → High
+- Otherwise → Medium`);
+  });
+
+  test('says so when there are no platforms or clients', () => {
+    const prompt = new SystemPrompt('{{platforms}} / {{clients}}', CONFIG);
+    expect(prompt.render()).toBe('- (no platforms configured) / (none configured)');
+  });
+
+  test('refuses unknown placeholders and invalid rules', () => {
+    expect(SystemPrompt.validate('{{platforms}} {{accounts}} {{accounts}}', {
+      tagTypes: [{ name: 'Banner', keywords: 'display' }],
+      priorityRules: [{ priority: 'Urgent', keywords: [] }],
+      defaultPriority: 'Normal'
+    })).toEqual([
+      'unknown placeholder {{accounts}}',
+      'tag type "Banner" is not one of Tracker, Video Wrapper',
+      'tag type "Banner": keywords must be a list',
+      'priority rule "Urgent" is not one of High, Medium, Low',
+      'priority rule "Urgent": keywords must be a non-empty list',
+      'defaultPriority "Normal" is not one of High, Medium, Low'
+    ]);
+    expect(() => new SystemPrompt('  ', CONFIG)).toThrow('Invalid system prompt config: template must not be empty');
+  });
+
+  test('loads config/prompt.json and its template, leaving no placeholder unfilled', () => {
+    const prompt = SystemPrompt.load();
+    const rendered = prompt.render({ platforms: PLATFORMS, clients: ['Nike'] });
+
+    expect(rendered).not.toMatch(/\{\{|undefined/);
+    expect(rendered).toContain('- Rablab = Rablab Onsite Tracking (Tracker only; needs targetElement)');
+  });
+});
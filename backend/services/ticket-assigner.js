@@ -0,0 +1,178 @@
+/**
+ * Ticket Assigner
+ * Auto-assignment rules for new tickets, loaded from config/assignment.json
+ * (or the file at ASSIGNMENT_CONFIG). Rules are tried in order:
+ *
+ *   { "accounts": ["Nike"], "assignee": "alice" }
+ *     account ownership - Nike tickets go to alice
+ *   { "platforms": ["dv360", "gam"], "team": "programmatic", "strategy": "round_robin" }
+ *     rotate through the team's members, separately for each platform
+ *     (platforms are matched by id, name or client seat id, e.g. "dv360_cofidis")
+ *
+ * A rule without accounts or platforms matches every ticket. Round-robin
+ * positions are kept in memory and restart from the first member on boot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/assignment.json');
+
+class TicketAssigner {
+  constructor(config = {}) {
+    const errors = TicketAssigner.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid assignment config: ${errors.join('; ')}`);
+    }
+
+    this.teams = config.teams || {};
+    this.rules = config.rules || [];
+    this.rotations = new Map(); // rule index + platform -> next member
+    this.turns = new WeakMap(); // round-robin assignment -> { rotationKey, position } it took
+  }
+
+  /**
+   * Load the rules from a JSON file (defaults to config/assignment.json)
+   */
+  static load(filePath = DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new TicketAssigner(config);
+  }
+
+  /**
+   * Return the problems with an assignment config - empty when it is valid
+   */
+  static validate(config) {
+    const errors = [];
+    const teams = config.teams || {};
+
+    for (const [team, members] of Object.entries(teams)) {
+      if (!Array.isArray(members) || members.some(member => typeof member !== 'string' || !member)) {
+        errors.push(`team "${team}" must be a list of user ids`);
+      }
+    }
+
+    (config.rules || []).forEach((rule, index) => {
+      const name = rule.name || `rule ${index + 1}`;
+      if (rule.team && !teams[rule.team]) {
+        errors.push(`${name}: unknown team "${rule.team}"`);
+      }
+      if (rule.strategy === 'round_robin') {
+        if (!rule.team) errors.push(`${name}: round_robin needs a team`);
+        else if (teams[rule.team]?.length === 0) errors.push(`${name}: team "${rule.team}" has no members`);
+      } else if (rule.strategy) {
+        errors.push(`${name}: unknown strategy "${rule.strategy}"`);
+      } else if (!rule.assignee) {
+        errors.push(`${name}: needs an assignee or strategy round_robin`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * The first team listing the user, or null
+   */
+  teamOf(userId) {
+    return Object.keys(this.teams).find(team => this.teams[team].includes(userId)) || null;
+  }
+
+  /**
+   * Pick an assignee for a new ticket
+   * Returns { assignee, team, rule } or null when no rule matches
+   */
+  assign(ticket) {
+    for (const [index, rule] of this.rules.entries()) {
+      if (!this.matches(rule, ticket)) continue;
+
+      const rotationKey = `${index}:${lower(ticket.platformId || ticket.platform)}`;
+      const position = this.rotations.get(rotationKey) || 0;
+      const assignee = rule.strategy === 'round_robin'
+        ? this.nextMember(rule.team, rotationKey)
+        : rule.assignee;
+
+      const assignment = {
+        assignee,
+        team: rule.team || this.teamOf(assignee),
+        rule: rule.name || `rule ${index + 1}`
+      };
+      if (rule.strategy === 'round_robin') {
+        this.turns.set(assignment, { rotationKey, position });
+      }
+      return assignment;
+    }
+    return null;
+  }
+
+  /**
+   * Give back the round-robin turn an assignment took, when its ticket was
+   * not created - unless the rotation has moved on since
+   */
+  release(assignment) {
+    const turn = this.turns.get(assignment);
+    if (turn && this.rotations.get(turn.rotationKey) === turn.position + 1) {
+      this.rotations.set(turn.rotationKey, turn.position);
+    }
+    this.turns.delete(assignment);
+  }
+
+  /**
+   * Work out the ticket fields for a manual assignment change
+   * operation: claim (take it yourself), assign, reassign or unassign
+   * Returns { updates, errors } - errors is empty when the change is allowed
+   */
+  planAssignment(operation, ticket, { userId, assignee, team } = {}) {
+    const current = ticket.assignee || null;
+    const target = operation === 'claim' ? userId : assignee;
+
+    let error = null;
+    if (operation === 'unassign') {
+      if (!current) error = 'Ticket is not assigned';
+    } else if (!target) {
+      error = operation === 'claim' ? 'userId is required to claim a ticket' : 'assignee is required';
+    } else if (operation === 'reassign') {
+      if (!current) error = 'Ticket is not assigned - use assign';
+    } else if (current && current !== target) {
+      error = `Ticket is already assigned to ${current} - use reassign`;
+    }
+
+    if (error) {
+      return { updates: null, errors: [error] };
+    }
+
+    // Unassigned tickets stay in their team's backlog
+    if (operation === 'unassign') {
+      return { updates: { assignee: null }, errors: [] };
+    }
+    return {
+      updates: { assignee: target, team: team || this.teamOf(target) || ticket.team || null },
+      errors: []
+    };
+  }
+
+  matches(rule, ticket) {
+    if (rule.accounts && !rule.accounts.map(lower).includes(lower(ticket.account))) {
+      return false;
+    }
+    if (rule.platforms) {
+      const platforms = rule.platforms.map(lower);
+      if (![ticket.platformId, ticket.platform, ticket.seat].some(value => platforms.includes(lower(value)))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  nextMember(team, rotationKey) {
+    const members = this.teams[team];
+    const position = this.rotations.get(rotationKey) || 0;
+    this.rotations.set(rotationKey, position + 1);
+    return members[position % members.length];
+  }
+}
+
+function lower(value) {
+  return String(value ?? '').toLowerCase();
+}
+
+module.exports = TicketAssigner;
@@ -0,0 +1,146 @@
+const TicketAssigner = require('./ticket-assigner');
+const InMemoryStorage = require('./inmemory-storage');
+
+const CONFIG = {
+  teams: {
+    programmatic: ['alice', 'bob', 'carol'],
+    social: ['dave', 'erin']
+  },
+  rules: [
+    { name: 'Nike owner', accounts: ['Nike'], assignee: 'dave' },
+    { name: 'Programmatic', platforms: ['dv360', 'gam'], team: 'programmatic', strategy: 'round_robin' },
+    { name: 'Everything else', team: 'social', strategy: 'round_robin' }
+  ]
+};
+
+const ticket = (platformId, account = 'Acme') => ({ account, platform: platformId.toUpperCase(), platformId });
+const assignees = (assigner, tickets) => tickets.map(t => assigner.assign(t).assignee);
+
+describe('TicketAssigner', () => {
+  test('rotates through the team separately for each platform', () => {
+    const assigner = new TicketAssigner(CONFIG);
+
+    expect(assignees(assigner, [ticket('dv360'), ticket('dv360'), ticket('gam'), ticket('dv360'), ticket('dv360')]))
+      .toEqual(['alice', 'bob', 'alice', 'carol', 'alice']);
+    expect(assigner.assign(ticket('gam'))).toEqual({ assignee: 'bob', team: 'programmatic', rule: 'Programmatic' });
+  });
+
+  test('keeps a rotation per rule', () => {
+    const assigner = new TicketAssigner(CONFIG);
+
+    expect(assignees(assigner, [ticket('dv360'), ticket('ttd'), ticket('dv360'), ticket('ttd')]))
+      .toEqual(['alice', 'dave', 'bob', 'erin']);
+  });
+
+  test('matches a platform by id, name or client seat', () => {
+    const assigner = new TicketAssigner(CONFIG);
+
+    expect(assigner.assign({ account: 'Acme', platform: 'DV360', platformId: 'other' }).rule).toBe('Programmatic');
+    expect(assigner.assign({ account: 'Acme', platformId: 'x', seat: 'GAM' }).rule).toBe('Programmatic');
+  });
+
+  test('gives account owners their tickets before any rotation', () => {
+    const assigner = new TicketAssigner(CONFIG);
+
+    expect(assigner.assign(ticket('dv360', 'nike'))).toEqual({ assignee: 'dave', team: 'social', rule: 'Nike owner' });
+    // The owner's ticket did not take a turn
+    expect(assigner.assign(ticket('dv360')).assignee).toBe('alice');
+  });
+
+  test('is null when no rule matches', () => {
+    const assigner = new TicketAssigner({ rules: [{ accounts: ['Nike'], assignee: 'dave' }] });
+    expect(assigner.assign(ticket('dv360'))).toBeNull();
+  });
+
+  test('gives a turn back when its ticket was not created', () => {
+    const assigner = new TicketAssigner(CONFIG);
+
+    const failed = assigner.assign(ticket('dv360'));
+    assigner.release(failed);
+    expect(assigner.assign(ticket('dv360')).assignee).toBe('alice');
+
+    // Not once the rotation has moved on, and not twice
+    const first = assigner.assign(ticket('dv360'));
+    assigner.assign(ticket('dv360'));
+    assigner.release(first);
+    assigner.release(first);
+    expect(assigner.assign(ticket('dv360')).assignee).toBe('alice');
+  });
+
+  test('releasing an owner assignment changes nothing', () => {
+    const assigner = new TicketAssigner(CONFIG);
+    assigner.assign(ticket('dv360'));
+
+    assigner.release(assigner.assign(ticket('dv360', 'Nike')));
+
+    expect(assigner.assign(ticket('dv360')).assignee).toBe('bob');
+  });
+
+  test('refuses an invalid config', () => {
+    expect(TicketAssigner.validate({
+      teams: { empty: [], broken: 'alice' },
+      rules: [
+        { team: 'missing', strategy: 'round_robin' },
+        { team: 'empty', strategy: 'round_robin' },
+        { name: 'odd', strategy: 'random', team: 'empty' },
+        { accounts: ['Nike'] }
+      ]
+    })).toEqual([
+      'team "broken" must be a list of user ids',
+      'rule 1: unknown team "missing"',
+      'rule 2: team "empty" has no members',
+      'odd: unknown strategy "random"',
+      'rule 4: needs an assignee or strategy round_robin'
+    ]);
+    expect(() => new TicketAssigner({ rules: [{}] })).toThrow(/^Invalid assignment config/);
+  });
+
+  describe('planAssignment', () => {
+    const assigner = new TicketAssigner(CONFIG);
+    const unassigned = { id: 'ticket_1', assignee: null, team: null };
+    const assigned = { id: 'ticket_1', assignee: 'alice', team: 'programmatic' };
+
+    test('claim takes the ticket for the user, with their team', () => {
+      expect(assigner.planAssignment('claim', unassigned, { userId: 'dave' }))
+        .toEqual({ updates: { assignee: 'dave', team: 'social' }, errors: [] });
+      expect(assigner.planAssignment('claim', unassigned, {}).errors).toEqual(['userId is required to claim a ticket']);
+      expect(assigner.planAssignment('claim', assigned, { userId: 'dave' }).errors)
+        .toEqual(['Ticket is already assigned to alice - use reassign']);
+    });
+
+    test('assign needs an unassigned ticket, reassign an assigned one', () => {
+      expect(assigner.planAssignment('assign', unassigned, { assignee: 'zed', team: 'vendors' }).updates)
+        .toEqual({ assignee: 'zed', team: 'vendors' });
+      expect(assigner.planAssignment('assign', unassigned, {}).errors).toEqual(['assignee is required']);
+      expect(assigner.planAssignment('reassign', unassigned, { assignee: 'bob' }).errors)
+        .toEqual(['Ticket is not assigned - use assign']);
+      expect(assigner.planAssignment('reassign', assigned, { assignee: 'erin' }).updates)
+        .toEqual({ assignee: 'erin', team: 'social' });
+    });
+
+    test('unassign leaves the ticket in its team', () => {
+      expect(assigner.planAssignment('unassign', assigned)).toEqual({ updates: { assignee: null }, errors: [] });
+      expect(assigner.planAssignment('unassign', unassigned).errors).toEqual(['Ticket is not assigned']);
+    });
+  });
+
+  test('workload counts tickets per assignee and status', async () => {
+    const storage = new InMemoryStorage();
+    const assigner = new TicketAssigner(CONFIG);
+    for (const platformId of ['dv360', 'dv360', 'dv360', 'dv360']) {
+      await storage.createTicket({ ...ticket(platformId), ...assigner.assign(ticket(platformId)) });
+    }
+    const [first] = (await storage.listTickets()).tickets.filter(t => t.assignee === 'alice');
+    await storage.updateTicket(first.id, { status: 'in_progress' });
+    await storage.createTicket(ticket('dv360'));
+
+    const { workload, unassignedCount } = await storage.getStorageStats();
+
+    expect(workload).toEqual({
+      alice: { total: 2, byStatus: { in_progress: 1, pending: 1 } },
+      bob: { total: 1, byStatus: { pending: 1 } },
+      carol: { total: 1, byStatus: { pending: 1 } }
+    });
+    expect(unassignedCount).toBe(1);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Ticket Comments
+ * Comment records, @-mention parsing, attachment validation and threading
+ * for the comments on a ticket. Storage drivers keep the flat comment
+ * records and the attachment contents; replies point at their parent with
+ * parentId and are nested into threads when listed.
+ *
+ * Deleted comments stay behind as tombstones (no body, no attachments) so
+ * the replies under them keep their place in the thread.
+ */
+
+const { generateId } = require('./storage-helpers');
+
+const MAX_BODY_LENGTH = 10000;
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// @alice, @bob.smith, @tag-ops - but not the "@" in an email address
+const MENTION_PATTERN = /(^|[^\w.@])@([\w][\w.-]*[\w]|[\w])/g;
+
+/**
+ * Unique user ids mentioned in a comment body, in order of appearance
+ */
+function parseMentions(body) {
+  const mentions = [];
+  for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+    if (!mentions.includes(match[2])) {
+      mentions.push(match[2]);
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Check uploaded attachments ({ filename, contentType, data } with base64 data)
+ * Returns { attachments, errors } - attachments carry the decoded content
+ */
+function parseAttachments(uploads = []) {
+  const errors = [];
+  const attachments = [];
+
+  if (!Array.isArray(uploads)) {
+    return { attachments, errors: ['attachments must be a list'] };
+  }
+  if (uploads.length > MAX_ATTACHMENTS) {
+    errors.push(`At most ${MAX_ATTACHMENTS} attachments per comment`);
+  }
+
+  uploads.slice(0, MAX_ATTACHMENTS).forEach((upload, index) => {
+    const name = upload?.filename || `attachment ${index + 1}`;
+    if (!upload?.filename || typeof upload.filename !== 'string') {
+      errors.push(`${name}: filename is required`);
+      return;
+    }
+    if (typeof upload.data !== 'string' || !upload.data) {
+      errors.push(`${name}: data must be base64-encoded content`);
+      return;
+    }
+
+    const content = Buffer.from(upload.data, 'base64');
+    if (content.length === 0) {
+      errors.push(`${name}: data must be base64-encoded content`);
+    } else if (content.length > MAX_ATTACHMENT_BYTES) {
+      errors.push(`${name}: larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`);
+    } else {
+      attachments.push({
+        id: generateId('attachment'),
+        filename: upload.filename.replace(/[\\/]/g, '_'),
+        contentType: upload.contentType || 'application/octet-stream',
+        size: content.length,
+        content
+      });
+    }
+  });
+
+  return { attachments, errors };
+}
+
+/**
+ * Build a new comment record - attachments are stored separately, the
+ * comment keeps their metadata
+ */
+function buildComment({ ticketId, parentId, author, body, attachments = [] }) {
+  const now = new Date().toISOString();
+  return {
+    id: generateId('comment'),
+    ticketId,
+    parentId: parentId || null,
+    author,
+    body,
+    mentions: parseMentions(body),
+    attachments: attachments.map(({ id, filename, contentType, size }) => ({ id, filename, contentType, size })),
+    createdAt: now,
+    updatedAt: now,
+    editedAt: null,
+    deletedAt: null
+  };
+}
+
+/**
+ * Nest a ticket's comments into threads, oldest first at every level
+ */
+function buildThreads(comments) {
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+
+  for (const node of [...nodes.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.replies : threads).push(node);
+  }
+
+  return threads;
+}
+
+module.exports = {
+  parseMentions,
+  parseAttachments,
+  buildComment,
+  buildThreads,
+  MAX_BODY_LENGTH,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES
+};
@@ -0,0 +1,82 @@
+const {
+  parseMentions,
+  parseAttachments,
+  buildComment,
+  buildThreads,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES
+} = require('./ticket-comments');
+
+const upload = (filename, content = 'hello') => ({ filename, contentType: 'text/plain', data: Buffer.from(content).toString('base64') });
+
+describe('parseMentions', () => {
+  test('lists each user mentioned once, in order, ignoring email addresses', () => {
+    expect(parseMentions('@bob.smith can you check? cc @tag-ops, @bob.smith - or mail ops@example.com'))
+      .toEqual(['bob.smith', 'tag-ops']);
+    expect(parseMentions('Thanks @alice.')).toEqual(['alice']);
+    expect(parseMentions(null)).toEqual([]);
+  });
+});
+
+describe('parseAttachments', () => {
+  test('decodes uploads, keeping the metadata and a safe filename', () => {
+    const { attachments, errors } = parseAttachments([upload('../tag.js', 'var x;')]);
+
+    expect(errors).toEqual([]);
+    expect(attachments).toEqual([{
+      id: expect.stringMatching(/^attachment_/),
+      filename: '.._tag.js',
+      contentType: 'text/plain',
+      size: 6,
+      content: Buffer.from('var x;')
+    }]);
+  });
+
+  test('refuses too many, too large or empty attachments', () => {
+    const many = Array.from({ length: MAX_ATTACHMENTS + 1 }, (_, index) => upload(`file${index}.txt`));
+    const tooMany = parseAttachments(many);
+    expect(tooMany.errors).toEqual([`At most ${MAX_ATTACHMENTS} attachments per comment`]);
+    expect(tooMany.attachments).toHaveLength(MAX_ATTACHMENTS);
+
+    const large = Buffer.alloc(MAX_ATTACHMENT_BYTES + 1).toString('base64');
+    expect(parseAttachments([
+      { filename: 'big.bin', data: large },
+      { filename: 'empty.txt', data: '' },
+      { data: 'aGk=' }
+    ]).errors).toEqual([
+      'big.bin: larger than 5 MB',
+      'empty.txt: data must be base64-encoded content',
+      'attachment 3: filename is required'
+    ]);
+    expect(parseAttachments('file.txt').errors).toEqual(['attachments must be a list']);
+  });
+});
+
+describe('buildThreads', () => {
+  test('nests replies under their parent, oldest first at every level', () => {
+    const comment = (id, createdAt, parentId = null) => ({ ...buildComment({ ticketId: 'ticket_1', parentId, author: 'alice', body: id }), id, createdAt });
+    const comments = [
+      comment('reply-2', '2026-10-01T12:00:00.000Z', 'root-1'),
+      comment('root-2', '2026-10-01T11:00:00.000Z'),
+      comment('reply-1', '2026-10-01T10:30:00.000Z', 'root-1'),
+      comment('nested', '2026-10-01T13:00:00.000Z', 'reply-1'),
+      comment('root-1', '2026-10-01T10:00:00.000Z')
+    ];
+
+    const threads = buildThreads(comments);
+
+    expect(threads.map(thread => thread.id)).toEqual(['root-1', 'root-2']);
+    expect(threads[0].replies.map(reply => reply.id)).toEqual(['reply-1', 'reply-2']);
+    expect(threads[0].replies[0].replies.map(reply => reply.id)).toEqual(['nested']);
+  });
+});
+
+describe('buildComment', () => {
+  test('keeps the mentions and the attachment metadata, not the contents', () => {
+    const { attachments } = parseAttachments([upload('notes.txt')]);
+    const comment = buildComment({ ticketId: 'ticket_1', author: 'alice', body: 'See @bob', attachments });
+
+    expect(comment).toMatchObject({ parentId: null, mentions: ['bob'], deletedAt: null });
+    expect(comment.attachments).toEqual([{ id: attachments[0].id, filename: 'notes.txt', contentType: 'text/plain', size: 5 }]);
+  });
+});
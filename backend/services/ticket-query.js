@@ -0,0 +1,296 @@
+/**
+ * Ticket Query
+ * Parses GET /api/tickets query parameters into a normalized query that
+ * every storage driver understands, plus the in-memory implementation of it
+ * (SQL drivers translate the same query in sql-storage.js).
+ *
+ * Filters (comma-separated values match any, case-insensitive):
+ *   status, priority, platform, platformId, seat, account, requestor, tagType,
+ *   assignee, team
+ * Date ranges (ISO dates): createdFrom, createdTo, updatedFrom, updatedTo
+ * slaBreached=true|false, unassigned=true|false, q=<free text>
+ * Queues: assignee=<user> is that person's queue, unassigned=true the
+ * team's backlog (combine with team=<team>)
+ * Sorting: sort=createdAt:desc,priority:asc (default createdAt:desc)
+ * Pagination: limit + cursor (keyset, stable while tickets are added),
+ *             or the older page + limit
+ */
+
+const EQUALITY_FILTERS = ['status', 'priority', 'platform', 'platformId', 'seat', 'account', 'requestor', 'tagType', 'assignee', 'team'];
+
+// Query parameter -> [ticket field, bound]
+const DATE_FILTERS = {
+  createdFrom: ['createdAt', 'from'],
+  createdTo: ['createdAt', 'to'],
+  updatedFrom: ['updatedAt', 'from'],
+  updatedTo: ['updatedAt', 'to']
+};
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'requestTime', 'slaDeadline', 'priority', 'status', 'account', 'platform', 'tagType', 'assignee', 'team'];
+
+// Free-text search looks at these fields
+const SEARCH_FIELDS = ['id', 'account', 'platform', 'tagType', 'requestor', 'assignee', 'status', 'targetElement'];
+
+// Priorities sort by urgency rather than alphabetically
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const DEFAULT_SORT = [{ field: 'createdAt', direction: 'desc' }];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Parse request query parameters
+ * Returns { query, errors } - errors is empty when the query is valid
+ */
+function parseTicketQuery(params = {}) {
+  const errors = [];
+  const query = {
+    filters: {},
+    dateRanges: {},
+    slaBreached: null,
+    unassigned: null,
+    search: null,
+    sort: DEFAULT_SORT,
+    limit: DEFAULT_LIMIT,
+    cursor: null,
+    page: null
+  };
+
+  for (const field of EQUALITY_FILTERS) {
+    const values = splitList(params[field]);
+    if (values.length > 0) {
+      query.filters[field] = values.map(value => value.toLowerCase());
+    }
+  }
+
+  for (const [param, [field, bound]] of Object.entries(DATE_FILTERS)) {
+    if (!params[param]) continue;
+    const date = new Date(params[param]);
+    if (isNaN(date)) {
+      errors.push(`${param} must be a valid date`);
+      continue;
+    }
+    query.dateRanges[field] = { ...query.dateRanges[field], [bound]: date.toISOString() };
+  }
+
+  for (const flag of ['slaBreached', 'unassigned']) {
+    if (params[flag] === undefined || params[flag] === '') continue;
+    if (!['true', 'false'].includes(String(params[flag]))) {
+      errors.push(`${flag} must be true or false`);
+    } else {
+      query[flag] = String(params[flag]) === 'true';
+    }
+  }
+
+  if (params.q && String(params.q).trim()) {
+    query.search = String(params.q).trim().toLowerCase();
+  }
+
+  if (params.sort) {
+    query.sort = [];
+    for (const part of splitList(params.sort)) {
+      const [field, direction = 'asc'] = part.split(':');
+      if (!SORT_FIELDS.includes(field)) {
+        errors.push(`Cannot sort by "${field}" (allowed: ${SORT_FIELDS.join(', ')})`);
+      } else if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+        errors.push(`Sort direction for "${field}" must be asc or desc`);
+      } else {
+        query.sort.push({ field, direction: direction.toLowerCase() });
+      }
+    }
+  }
+
+  if (params.limit !== undefined) {
+    const limit = parseInt(params.limit);
+    if (!(limit > 0)) {
+      errors.push('limit must be a positive number');
+    } else {
+      query.limit = Math.min(limit, MAX_LIMIT);
+    }
+  }
+
+  if (params.cursor) {
+    query.cursor = decodeCursor(params.cursor, query.sort);
+    if (!query.cursor) {
+      errors.push('cursor is invalid or does not match the sort order');
+    }
+  } else if (params.page !== undefined) {
+    query.page = parseInt(params.page) || 1;
+  }
+
+  return { query, errors };
+}
+
+function splitList(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+// ============================================
+// IN-MEMORY EVALUATION
+// ============================================
+
+/**
+ * Value a ticket is sorted (and paged) by - nulls sort as '' so every
+ * driver orders them the same way
+ */
+function sortValue(ticket, field) {
+  if (field === 'priority') {
+    return PRIORITY_RANK[String(ticket.priority || '').toLowerCase()] || 0;
+  }
+  const value = ticket[field];
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function isSlaBreached(ticket, now = new Date().toISOString()) {
+  if (!ticket.slaDeadline) return false;
+  return (ticket.responseTime || now) > ticket.slaDeadline;
+}
+
+function matchesQuery(ticket, query, now = new Date().toISOString()) {
+  for (const [field, values] of Object.entries(query.filters)) {
+    if (!values.includes(String(ticket[field] ?? '').toLowerCase())) return false;
+  }
+
+  for (const [field, { from, to }] of Object.entries(query.dateRanges)) {
+    const value = ticket[field];
+    if (!value) return false;
+    if (from && value < from) return false;
+    if (to && value > to) return false;
+  }
+
+  if (query.slaBreached !== null && isSlaBreached(ticket, now) !== query.slaBreached) {
+    return false;
+  }
+
+  if (query.unassigned !== null && !ticket.assignee !== query.unassigned) {
+    return false;
+  }
+
+  if (query.search) {
+    const found = SEARCH_FIELDS.some(field =>
+      String(ticket[field] ?? '').toLowerCase().includes(query.search)
+    );
+    if (!found) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Comparator for the query's sort order; ties are broken by id so the
+ * order (and therefore the cursor) is total
+ */
+function compareTickets(sort) {
+  return (a, b) => {
+    for (const { field, direction } of sortWithTiebreaker(sort)) {
+      const av = sortValue(a, field);
+      const bv = sortValue(b, field);
+      if (av < bv) return direction === 'asc' ? -1 : 1;
+      if (av > bv) return direction === 'asc' ? 1 : -1;
+    }
+    return 0;
+  };
+}
+
+function sortWithTiebreaker(sort) {
+  return [...sort, { field: 'id', direction: sort[sort.length - 1]?.direction || 'desc' }];
+}
+
+/**
+ * Filter, sort and paginate an array of tickets
+ */
+function applyTicketQuery(tickets, query) {
+  const now = new Date().toISOString();
+  const compare = compareTickets(query.sort);
+  const matching = tickets.filter(ticket => matchesQuery(ticket, query, now)).sort(compare);
+
+  let start = 0;
+  if (query.cursor) {
+    // First ticket strictly after the cursor position
+    const index = matching.findIndex(ticket => compare(ticket, query.cursor.position) > 0);
+    start = index === -1 ? matching.length : index;
+  } else if (query.page) {
+    start = (query.page - 1) * query.limit;
+  }
+
+  const page = matching.slice(start, start + query.limit);
+  const hasMore = start + query.limit < matching.length;
+
+  return formatResult(page, matching.length, query, hasMore);
+}
+
+// ============================================
+// RESULTS & CURSORS
+// ============================================
+
+function formatResult(tickets, total, query, hasMore) {
+  const result = {
+    tickets,
+    total,
+    limit: query.limit,
+    sort: query.sort,
+    hasMore,
+    nextCursor: hasMore && tickets.length > 0
+      ? encodeCursor(tickets[tickets.length - 1], query.sort)
+      : null
+  };
+
+  if (!query.cursor) {
+    result.page = query.page || 1;
+    result.pages = Math.ceil(total / query.limit);
+  }
+
+  return result;
+}
+
+function sortKey(sort) {
+  return sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+}
+
+function encodeCursor(ticket, sort) {
+  const values = sort.map(({ field }) => sortValue(ticket, field));
+  return Buffer.from(JSON.stringify({ s: sortKey(sort), v: values, id: ticket.id })).toString('base64url');
+}
+
+/**
+ * Returns { values, id, position } where position is a pseudo-ticket that
+ * compareTickets can order against real tickets, or null if the cursor is
+ * malformed or was issued for a different sort order
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const { s: key, v: values, id } = decoded || {};
+  if (key !== sortKey(sort) || !Array.isArray(values) || typeof id !== 'string') {
+    return null;
+  }
+
+  const position = { id };
+  sort.forEach(({ field }, i) => {
+    // Undo sortValue for priority so the rank round-trips
+    position[field] = field === 'priority'
+      ? Object.keys(PRIORITY_RANK).find(key => PRIORITY_RANK[key] === values[i]) || ''
+      : values[i];
+  });
+
+  return { values, id, position };
+}
+
+module.exports = {
+  parseTicketQuery,
+  applyTicketQuery,
+  matchesQuery,
+  isSlaBreached,
+  sortWithTiebreaker,
+  formatResult,
+  EQUALITY_FILTERS,
+  SEARCH_FIELDS,
+  PRIORITY_RANK
+};
@@ -0,0 +1,124 @@
+/**
+ * Ticket Workflow
+ * The ticket status lifecycle, loaded from config/workflow.json (or the file
+ * at WORKFLOW_CONFIG): which statuses exist, which moves between them are
+ * allowed and which need a reason. Moving a ticket to 'completed' stamps its
+ * responseTime, which the turnaround stats are computed from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMPLETED_STATUS = 'completed';
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/workflow.json');
+
+class TicketWorkflow {
+  constructor(config) {
+    const errors = TicketWorkflow.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid workflow config: ${errors.join('; ')}`);
+    }
+
+    this.initialStatus = config.initialStatus;
+    this.statuses = config.statuses;
+  }
+
+  /**
+   * Load the workflow from a JSON file (defaults to config/workflow.json)
+   */
+  static load(filePath = DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new TicketWorkflow(config);
+  }
+
+  /**
+   * Return the problems with a workflow config - empty when it is valid
+   */
+  static validate(config) {
+    const errors = [];
+    const statuses = config?.statuses;
+
+    if (!statuses || typeof statuses !== 'object' || Object.keys(statuses).length === 0) {
+      return ['statuses must define at least one status'];
+    }
+    if (!statuses[config.initialStatus]) {
+      errors.push(`initialStatus "${config.initialStatus}" is not a defined status`);
+    }
+    if (!statuses[COMPLETED_STATUS]) {
+      errors.push(`a "${COMPLETED_STATUS}" status is required`);
+    }
+
+    for (const [status, { transitions = [] }] of Object.entries(statuses)) {
+      for (const target of transitions) {
+        if (!statuses[target]) {
+          errors.push(`${status} -> ${target}: "${target}" is not a defined status`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  statusNames() {
+    return Object.keys(this.statuses);
+  }
+
+  allowedTransitions(status) {
+    return this.statuses[status]?.transitions || [];
+  }
+
+  /**
+   * Whether a ticket in this status is done - no further moves allowed
+   */
+  isFinal(status) {
+    return !!this.statuses[status] && this.allowedTransitions(status).length === 0;
+  }
+
+  /**
+   * Work out the ticket fields to write for a status change
+   * Returns { updates, errors } - errors is empty when the move is allowed
+   */
+  planTransition(ticket, to, reason) {
+    const allowed = this.allowedTransitions(ticket.status);
+
+    let error = null;
+    if (!this.statuses[to]) {
+      error = `Unknown status "${to}" (allowed: ${this.statusNames().join(', ')})`;
+    } else if (ticket.status === to) {
+      error = `Ticket is already ${to}`;
+    } else if (!allowed.includes(to)) {
+      error = `Cannot move a ${ticket.status} ticket to ${to} (allowed: ${allowed.join(', ') || 'none'})`;
+    } else if (this.statuses[to].requiresReason && !reason) {
+      error = `A reason is required to move a ticket to ${to}`;
+    }
+
+    if (error) {
+      return { updates: null, errors: [error] };
+    }
+
+    const updates = { status: to };
+    if (to === COMPLETED_STATUS) {
+      updates.responseTime = new Date().toISOString();
+    }
+    return { updates, errors: [] };
+  }
+
+  /**
+   * The lifecycle as served by GET /api/workflow
+   */
+  describe() {
+    return {
+      initialStatus: this.initialStatus,
+      statuses: Object.entries(this.statuses).map(([status, definition]) => ({
+        status,
+        label: definition.label || status,
+        transitions: definition.transitions || [],
+        requiresReason: !!definition.requiresReason
+      }))
+    };
+  }
+}
+
+TicketWorkflow.COMPLETED_STATUS = COMPLETED_STATUS;
+
+module.exports = TicketWorkflow;
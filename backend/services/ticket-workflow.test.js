@@ -0,0 +1,71 @@
+const TicketWorkflow = require('./ticket-workflow');
+
+describe('TicketWorkflow', () => {
+  const workflow = TicketWorkflow.load();
+  const ticket = status => ({ id: 'ticket_1', status });
+
+  test('allows the moves config/workflow.json lists', () => {
+    expect(workflow.initialStatus).toBe('pending');
+    expect(workflow.planTransition(ticket('pending'), 'in_progress')).toEqual({ updates: { status: 'in_progress' }, errors: [] });
+  });
+
+  test('refuses an illegal move, naming the allowed ones', () => {
+    const { updates, errors } = workflow.planTransition(ticket('pending'), 'completed');
+    expect(updates).toBeNull();
+    expect(errors).toEqual(['Cannot move a pending ticket to completed (allowed: in_progress, cancelled)']);
+
+    expect(workflow.planTransition(ticket('completed'), 'pending').errors)
+      .toEqual(['Cannot move a completed ticket to pending (allowed: none)']);
+  });
+
+  test('refuses an unknown status and a move to the same status', () => {
+    expect(workflow.planTransition(ticket('pending'), 'done').errors[0]).toMatch(/^Unknown status "done" \(allowed: pending, in_progress/);
+    expect(workflow.planTransition(ticket('pending'), 'pending').errors).toEqual(['Ticket is already pending']);
+  });
+
+  test('needs a reason to fail or cancel a ticket', () => {
+    expect(workflow.planTransition(ticket('in_progress'), 'failed').errors)
+      .toEqual(['A reason is required to move a ticket to failed']);
+    expect(workflow.planTransition(ticket('pending'), 'cancelled').errors)
+      .toEqual(['A reason is required to move a ticket to cancelled']);
+
+    expect(workflow.planTransition(ticket('in_progress'), 'failed', 'Tag rejected by the platform').errors).toEqual([]);
+    expect(workflow.planTransition(ticket('pending'), 'cancelled', 'Duplicate').errors).toEqual([]);
+  });
+
+  test('stamps responseTime on completion only', () => {
+    const before = new Date().toISOString();
+    const { updates } = workflow.planTransition(ticket('in_review'), 'completed');
+
+    expect(updates.status).toBe('completed');
+    expect(updates.responseTime >= before).toBe(true);
+    expect(workflow.planTransition(ticket('in_review'), 'in_progress').updates).toEqual({ status: 'in_progress' });
+    expect(workflow.isFinal('completed')).toBe(true);
+    expect(workflow.isFinal('failed')).toBe(false);
+  });
+
+  test('refuses a config whose transitions point at undefined statuses', () => {
+    const config = {
+      initialStatus: 'new',
+      statuses: {
+        pending: { transitions: ['done'] },
+        completed: { transitions: [] }
+      }
+    };
+
+    expect(TicketWorkflow.validate(config)).toEqual([
+      'initialStatus "new" is not a defined status',
+      'pending -> done: "done" is not a defined status'
+    ]);
+    expect(() => new TicketWorkflow(config)).toThrow(/^Invalid workflow config: initialStatus "new"/);
+    expect(TicketWorkflow.validate({ initialStatus: 'pending', statuses: { pending: {} } }))
+      .toEqual(['a "completed" status is required']);
+    expect(TicketWorkflow.validate({})).toEqual(['statuses must define at least one status']);
+  });
+
+  test('describes the lifecycle for GET /api/workflow', () => {
+    const { statuses } = workflow.describe();
+    expect(statuses.find(({ status }) => status === 'cancelled'))
+      .toEqual({ status: 'cancelled', label: 'Cancelled', transitions: [], requiresReason: true });
+  });
+});